@@ -92,6 +92,7 @@ app.use(cors({
         allowedHeaders: [
                 "Content-Type",
                 "Authorization",
+                "X-API-Key",
                 "X-Requested-With",
                 "Accept",
                 "Origin",
@@ -152,6 +152,7 @@ export const RedisKeys = {
     postDetails: (postId) => `fn:post:${postId}:details`,
     postStats: (postId) => `fn:post:${postId}:stats`,
     trendingPosts: (location = 'global') => `fn:posts:trending:${location}`,
+    trendingHashtags: (window, limit) => `fn:hashtags:trending:${window}:l${limit}`,
     
     // Search and exploration
     searchResults: (query, page = 1) => {
@@ -164,6 +165,8 @@ export const RedisKeys = {
     // Business and products
     businessProfile: (businessId) => `fn:business:${businessId}:profile`,
     businessProducts: (businessId) => `fn:business:${businessId}:products`,
+    businessAnalytics: (businessId, startDate, endDate) => `fn:business:${businessId}:analytics:${startDate}:${endDate}`,
+    businessEventSeen: (businessId, event, viewerKey) => `fn:business:${businessId}:seen:${event}:${viewerKey}`,
     productDetails: (productId) => `fn:product:${productId}:details`,
     categories: () => 'fn:categories:all',
     
@@ -176,6 +179,9 @@ export const RedisKeys = {
     chatMessages: (chatId, page = 1) => `fn:chat:${chatId}:messages:p${page}`,
     onlineUsers: () => 'fn:live:online_users',
     tempUpload: (userId) => `fn:temp:upload:${userId}`,
+
+    // Background jobs
+    jobLock: (jobName) => `fn:lock:job:${jobName}`,
 };
 
 // TTL constants (in seconds)
@@ -191,6 +197,7 @@ export const RedisTTL = {
     POST_DETAILS: 30 * 60,          // 30 minutes
     SEARCH_RESULTS: 15 * 60,        // 15 minutes
     BUSINESS_PROFILE: 2 * 60 * 60,  // 2 hours
+    BUSINESS_ANALYTICS: 10 * 60,    // 10 minutes
     
     // Static data (long TTL)
     USER_FOLLOWERS: 4 * 60 * 60,    // 4 hours
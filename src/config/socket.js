@@ -3,6 +3,7 @@ import { createAdapter } from '@socket.io/redis-adapter';
 import jwt from 'jsonwebtoken';
 import { User } from '../models/user.models.js';
 import { redisPubSub, redisPublisher, redisClient } from './redis.config.js';
+import { isAccessTokenRevoked } from '../utlis/tokenRevocation.utils.js';
 import mongoose from 'mongoose';
 
 class SocketManager {
@@ -99,6 +100,11 @@ class SocketManager {
                     }
 
                     const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+
+                    if (await isAccessTokenRevoked(decoded.jti)) {
+                        return next(new Error('Authentication error: Token revoked'));
+                    }
+
                     const user = await User.findById(decoded._id).select('-password');
 
                     if (!user) {
@@ -167,6 +173,10 @@ class SocketManager {
                     });
 
                     console.log(`✅ User ${socket.userId} auto-joined ${activeChats.length} chat rooms on connect`);
+
+                    // Everything sent to the user while they were offline has now reached them
+                    const { markMessagesDelivered } = await import('../controllers/chat.controllers.js');
+                    await markMessagesDelivered(socket.userId, activeChats.map(chat => chat._id));
                 } catch (error) {
                     console.error(`❌ Error auto-joining chat rooms for user ${socket.userId}:`, error);
                 }
@@ -174,11 +184,47 @@ class SocketManager {
 
             // Note: No Redis pattern subscriptions needed - Socket.IO rooms handle routing
 
+            // Only participants may join a chat room
+            const isChatParticipant = async (chatId) => {
+                if (!mongoose.Types.ObjectId.isValid(chatId)) return false;
+                const Chat = (await import('../models/chat.models.js')).default;
+                return !!(await Chat.exists({ _id: chatId, participants: socket.userId }));
+            };
+
+            // Acknowledge with the outcome if the client passed a callback
+            const acknowledge = (ack, payload) => {
+                if (typeof ack === 'function') ack(payload);
+            };
+
+            const acknowledgeError = (ack, event, error) => {
+                if (!error.statusCode || error.statusCode >= 500) {
+                    console.error(`❌ Socket ${event} error for user ${socket.userId}:`, error);
+                }
+                acknowledge(ack, {
+                    success: false,
+                    statusCode: error.statusCode || 500,
+                    error: error.statusCode ? error.message : 'Something went wrong'
+                });
+            };
+
             // Handle joining chat rooms
-            socket.on('join_chat', (chatId) => {
-                socket.join(`chat:${chatId}`);
-                socket.chatRooms.add(chatId); // Track for cleanup
-                console.log(`User ${socket.userId} joined chat ${chatId}`);
+            socket.on('join_chat', async (chatId, ack) => {
+                try {
+                    if (!(await isChatParticipant(chatId))) {
+                        console.warn(`🚫 User ${socket.userId} tried to join chat ${chatId} without being a participant`);
+                        return acknowledge(ack, { success: false, statusCode: 403, error: 'Not a participant of this chat' });
+                    }
+
+                    socket.join(`chat:${chatId}`);
+                    socket.chatRooms.add(chatId); // Track for cleanup
+                    console.log(`User ${socket.userId} joined chat ${chatId}`);
+                    acknowledge(ack, { success: true, chatId });
+
+                    const { markMessagesDelivered } = await import('../controllers/chat.controllers.js');
+                    await markMessagesDelivered(socket.userId, [chatId]);
+                } catch (error) {
+                    acknowledgeError(ack, 'join_chat', error);
+                }
             });
 
             // Handle leaving chat rooms
@@ -188,9 +234,10 @@ class SocketManager {
                 console.log(`User ${socket.userId} left chat ${chatId}`);
             });
 
-            // Handle typing events
+            // Handle typing events (only inside rooms the socket was allowed to join)
             socket.on('typing_start', (data) => {
-                const { chatId } = data;
+                const { chatId } = data || {};
+                if (!socket.rooms.has(`chat:${chatId}`)) return;
 
                 // Emit to chat room - Socket.IO adapter syncs across processes
                 socket.to(`chat:${chatId}`).emit('user_typing', {
@@ -202,80 +249,97 @@ class SocketManager {
             });
 
             socket.on('typing_stop', (data) => {
-                const { chatId } = data;
+                const { chatId } = data || {};
+                if (!socket.rooms.has(`chat:${chatId}`)) return;
+
                 socket.to(`chat:${chatId}`).emit('user_stopped_typing', {
                     userId: socket.userId,
                     chatId
                 });
             });
 
-            // Handle message events
-            socket.on('send_message', (data) => {
-                const { chatId, message, messageType = 'text', replyTo } = data;
-
-                // Emit to all users in the chat (except sender)
-                socket.to(`chat:${chatId}`).emit('new_message', {
-                    chatId,
-                    message: {
-                        sender: {
-                            _id: socket.userId,
-                            username: socket.user.username,
-                            fullName: socket.user.fullName,
-                            profileImageUrl: socket.user.profileImageUrl
-                        },
+            // Message events go through the same checks and storage as the HTTP endpoints,
+            // which also broadcast the result to the chat room
+
+            socket.on('send_message', async (data, ack) => {
+                try {
+                    const { chatId, message, messageType = 'text', replyTo, clientMessageId } = data || {};
+                    const { sendChatMessage } = await import('../controllers/chat.controllers.js');
+
+                    const result = await sendChatMessage({
+                        chatId,
+                        senderId: socket.user._id,
                         message,
                         messageType,
                         replyTo,
-                        timestamp: new Date()
+                        clientMessageId
+                    });
+
+                    acknowledge(ack, {
+                        success: true,
+                        messageId: result.message._id,
+                        clientMessageId: clientMessageId || null,
+                        duplicate: result.duplicate,
+                        message: result.message
+                    });
+                } catch (error) {
+                    acknowledgeError(ack, 'send_message', error);
+                }
+            });
+
+            // Client confirms that new_message events reached the device
+            socket.on('message_delivered', async (data, ack) => {
+                try {
+                    const { chatId, messageIds } = data || {};
+                    if (!Array.isArray(messageIds) || messageIds.length === 0) {
+                        return acknowledge(ack, { success: false, statusCode: 400, error: 'messageIds must be a non-empty array' });
                     }
-                });
+                    if (!(await isChatParticipant(chatId))) {
+                        return acknowledge(ack, { success: false, statusCode: 403, error: 'Not a participant of this chat' });
+                    }
+
+                    const { markMessagesDelivered } = await import('../controllers/chat.controllers.js');
+                    const updatedCount = await markMessagesDelivered(socket.userId, [chatId], messageIds);
+                    acknowledge(ack, { success: true, updatedCount });
+                } catch (error) {
+                    acknowledgeError(ack, 'message_delivered', error);
+                }
             });
 
-            // Handle message read events
-            socket.on('mark_read', (data) => {
-                const { chatId, messageIds } = data;
+            socket.on('mark_read', async (data, ack) => {
+                try {
+                    const { chatId, messageIds } = data || {};
+                    const { markChatMessagesRead } = await import('../controllers/chat.controllers.js');
 
-                // Emit to message senders that their messages were read
-                socket.to(`chat:${chatId}`).emit('messages_read', {
-                    chatId,
-                    readBy: {
-                        _id: socket.userId,
-                        username: socket.user.username,
-                        fullName: socket.user.fullName
-                    },
-                    messageIds
-                });
+                    const updatedCount = await markChatMessagesRead({ chatId, reader: socket.user, messageIds });
+                    acknowledge(ack, { success: true, updatedCount });
+                } catch (error) {
+                    acknowledgeError(ack, 'mark_read', error);
+                }
             });
 
-            // Handle message deletion
-            socket.on('delete_message', (data) => {
-                const { chatId, messageId } = data;
+            socket.on('delete_message', async (data, ack) => {
+                try {
+                    const { chatId, messageId } = data || {};
+                    const { deleteChatMessage } = await import('../controllers/chat.controllers.js');
 
-                socket.to(`chat:${chatId}`).emit('message_deleted', {
-                    chatId,
-                    messageId,
-                    deletedBy: {
-                        _id: socket.userId,
-                        username: socket.user.username,
-                        fullName: socket.user.fullName
-                    }
-                });
+                    await deleteChatMessage({ chatId, messageId, user: socket.user });
+                    acknowledge(ack, { success: true, messageId });
+                } catch (error) {
+                    acknowledgeError(ack, 'delete_message', error);
+                }
             });
 
-            // Handle message restoration
-            socket.on('restore_message', (data) => {
-                const { chatId, messageId, restoredMessage } = data;
+            socket.on('restore_message', async (data, ack) => {
+                try {
+                    const { chatId, messageId } = data || {};
+                    const { restoreChatMessage } = await import('../controllers/chat.controllers.js');
 
-                socket.to(`chat:${chatId}`).emit('message_restored', {
-                    chatId,
-                    messageId,
-                    restoredMessage,
-                    restoredBy: {
-                        _id: socket.userId,
-                        username: socket.user.username,
-                        fullName: socket.user.fullName
-                    }
-                });
+                    const restoredMessage = await restoreChatMessage({ chatId, messageId, user: socket.user });
+                    acknowledge(ack, { success: true, messageId, message: restoredMessage });
+                } catch (error) {
+                    acknowledgeError(ack, 'restore_message', error);
+                }
             });
 
             // Handle online status
@@ -607,6 +671,17 @@ class SocketManager {
         }
     }
 
+    // Add or remove all of a user's sockets to/from a chat room, on every PM2 process (via the Redis adapter)
+    addUserToChatRoom(userId, chatId) {
+        if (!this.io) return;
+        this.io.in(`user_${userId}`).socketsJoin(`chat:${chatId}`);
+    }
+
+    removeUserFromChatRoom(userId, chatId) {
+        if (!this.io) return;
+        this.io.in(`user_${userId}`).socketsLeave(`chat:${chatId}`);
+    }
+
     emitToUsers(userIds, event, data) {
         if (!this.io) {
             console.warn('Socket.IO not initialized, skipping emitToUsers');
@@ -8,6 +8,7 @@ import Comment from "../models/comment.models.js";
 import { ApiError } from "../utlis/ApiError.js";
 import { ApiResponse } from "../utlis/ApiResponse.js";
 import { asyncHandler } from "../utlis/asyncHandler.js";
+import { revokeAccessToken } from "../utlis/tokenRevocation.utils.js";
 import mongoose from "mongoose";
 
 // ===============================
@@ -69,6 +70,8 @@ export const adminLogin = asyncHandler(async (req, res) => {
 
 // POST /api/v1/admin/logout
 export const adminLogout = asyncHandler(async (req, res) => {
+    await revokeAccessToken(req.tokenPayload?.jti, req.tokenPayload?.exp);
+
     await Admin.findByIdAndUpdate(
         req.admin._id,
         {
@@ -0,0 +1,113 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { asyncHandler } from "../utlis/asyncHandler.js";
+import { ApiError } from "../utlis/ApiError.js";
+import { ApiResponse } from "../utlis/ApiResponse.js";
+import ApiKey, { API_KEY_SCOPES } from "../models/apikey.models.js";
+
+const MAX_ACTIVE_KEYS_PER_USER = 10;
+
+/**
+ * Issue a new personal API key
+ * @route POST /api/v1/users/api-keys
+ * The plain key is returned only in this response; only its hash is stored.
+ */
+const createApiKey = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const { label, permissions, expiresInDays } = req.body;
+
+    const requestedPermissions = permissions === undefined ? ['read:*'] : permissions;
+
+    if (!Array.isArray(requestedPermissions) || requestedPermissions.length === 0) {
+        throw new ApiError(400, "permissions must be a non-empty array");
+    }
+
+    const invalidPermissions = requestedPermissions.filter(permission => !API_KEY_SCOPES.includes(permission));
+    if (invalidPermissions.length > 0) {
+        throw new ApiError(400, `Invalid permissions: ${invalidPermissions.join(', ')}. Allowed: ${API_KEY_SCOPES.join(', ')}`);
+    }
+
+    let expiresAt;
+    if (expiresInDays !== undefined) {
+        const days = parseInt(expiresInDays);
+        if (!days || days < 1 || days > 365) {
+            throw new ApiError(400, "expiresInDays must be between 1 and 365");
+        }
+        expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const activeKeys = await ApiKey.countDocuments({ userId, isActive: true });
+    if (activeKeys >= MAX_ACTIVE_KEYS_PER_USER) {
+        throw new ApiError(400, `You can have at most ${MAX_ACTIVE_KEYS_PER_USER} active API keys`);
+    }
+
+    const plainKey = `fn_${crypto.randomBytes(32).toString('hex')}`;
+
+    const apiKey = await ApiKey.create({
+        key: ApiKey.hashKey(plainKey),
+        prefix: plainKey.slice(0, 10),
+        userId,
+        label: label?.trim(),
+        permissions: [...new Set(requestedPermissions)],
+        expiresAt
+    });
+
+    return res.status(201).json(
+        new ApiResponse(201, {
+            _id: apiKey._id,
+            key: plainKey,
+            prefix: apiKey.prefix,
+            label: apiKey.label,
+            permissions: apiKey.permissions,
+            expiresAt: apiKey.expiresAt,
+            createdAt: apiKey.createdAt
+        }, "API key created successfully. Store it now, it won't be shown again")
+    );
+});
+
+/**
+ * List the user's API keys (without the keys themselves)
+ * @route GET /api/v1/users/api-keys
+ */
+const getApiKeys = asyncHandler(async (req, res) => {
+    const apiKeys = await ApiKey.find({ userId: req.user._id, isActive: true })
+        .select("-key")
+        .sort({ createdAt: -1 })
+        .lean();
+
+    return res.status(200).json(
+        new ApiResponse(200, apiKeys, "API keys retrieved successfully")
+    );
+});
+
+/**
+ * Revoke an API key
+ * @route DELETE /api/v1/users/api-keys/:keyId
+ */
+const revokeApiKey = asyncHandler(async (req, res) => {
+    const { keyId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(keyId)) {
+        throw new ApiError(400, "Invalid API key ID");
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+        { _id: keyId, userId: req.user._id, isActive: true },
+        { $set: { isActive: false } },
+        { new: true }
+    ).select("-key");
+
+    if (!apiKey) {
+        throw new ApiError(404, "API key not found");
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, apiKey, "API key revoked successfully")
+    );
+});
+
+export {
+    createApiKey,
+    getApiKeys,
+    revokeApiKey
+};
@@ -2,10 +2,18 @@ import { User } from "../models/user.models.js";
 import Business from "../models/business.models.js";
 import Post from "../models/userPost.models.js";
 import BusinessRating from "../models/businessRating.models.js";
+import BusinessInsight from "../models/businessInsight.models.js";
+import ContactRequest from "../models/contactRequest.models.js";
 import { ApiError } from "../utlis/ApiError.js";
 import { ApiResponse } from "../utlis/ApiResponse.js";
 import { asyncHandler } from "../utlis/asyncHandler.js";
 import { getCoordinates } from "../utlis/getCoordinates.js";
+import { trackBusinessEvent } from "../utlis/businessAnalytics.utils.js";
+import { startOfUTCDay, INSIGHTS_MAX_DAYS } from "../utlis/insightsRollup.js";
+import { buildSeries, sumSeries, getTopPosts } from "./insights.controllers.js";
+import { CacheManager } from "../utlis/cache.utils.js";
+import { deletePosts } from "../utlis/postCleanup.utils.js";
+import { RedisKeys, RedisTTL } from "../config/redis.config.js";
 import mongoose from "mongoose";
 
 // Predefined business categories
@@ -315,13 +323,14 @@ export const deleteBusinessProfile = asyncHandler(async (req, res) => {
     }
 
     // Delete all business-related posts
-    const deletedPosts = await Post.deleteMany({
+    const deletedPosts = await deletePosts({
         userId,
         contentType: 'business'
     });
 
-    // Delete the business profile
+    // Delete the business profile and its analytics
     await Business.deleteOne({ userId });
+    await BusinessInsight.deleteMany({ businessId: business._id });
 
     // Update user profile
     user.isBusinessProfile = false;
@@ -488,6 +497,14 @@ export const getBusinessById = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Business owner not found");
     }
 
+    trackBusinessEvent({
+        businessId: business._id,
+        ownerId: business.userId,
+        event: 'view',
+        viewerId: req.user?._id,
+        ipAddress: req.ip
+    });
+
     // Get rating summary
     const ratingStats = await BusinessRating.aggregate([
         { $match: { businessId: new mongoose.Types.ObjectId(id) } },
@@ -1320,3 +1337,174 @@ export const toggleServicePosts = asyncHandler(async (req, res) => {
 
 
 
+
+// 📊 Business analytics
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BUSINESS_DAILY_METRICS = ['views', 'clicks', 'contactRequests', 'conversions'];
+
+// Inclusive UTC day range from ?startDate=&endDate= (defaults to the last 30 days)
+const parseAnalyticsRange = ({ startDate, endDate }) => {
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate ? new Date(startDate) : new Date(end.getTime() - 29 * DAY_MS);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        throw new ApiError(400, "startDate and endDate must be valid dates");
+    }
+
+    const since = startOfUTCDay(start);
+    const lastDay = startOfUTCDay(end);
+
+    if (since > lastDay) {
+        throw new ApiError(400, "startDate must not be after endDate");
+    }
+
+    const days = Math.round((lastDay.getTime() - since.getTime()) / DAY_MS) + 1;
+    if (days > INSIGHTS_MAX_DAYS) {
+        throw new ApiError(400, `Date range cannot exceed ${INSIGHTS_MAX_DAYS} days`);
+    }
+
+    return { since, until: new Date(lastDay.getTime() + DAY_MS), days };
+};
+
+// Contact requests per UTC day of `dateField` (received by createdAt, converted by respondedAt)
+const countContactRequestsByDay = (businessId, dateField, match, since, until) => ContactRequest.aggregate([
+    { $match: { business: businessId, ...match, [dateField]: { $gte: since, $lt: until } } },
+    {
+        $group: {
+            _id: {
+                $dateFromParts: {
+                    year: { $year: `$${dateField}` },
+                    month: { $month: `$${dateField}` },
+                    day: { $dayOfMonth: `$${dateField}` }
+                }
+            },
+            count: { $sum: 1 }
+        }
+    },
+    { $project: { _id: 0, date: '$_id', count: 1 } }
+]);
+
+const loadBusinessDaily = async (businessId, since, until) => {
+    const [activity, received, approved] = await Promise.all([
+        BusinessInsight.find({ businessId, date: { $gte: since, $lt: until } }).select('date views clicks').lean(),
+        countContactRequestsByDay(businessId, 'createdAt', {}, since, until),
+        countContactRequestsByDay(businessId, 'respondedAt', { status: 'approved' }, since, until)
+    ]);
+
+    const byDay = new Map();
+    const entryFor = (date) => {
+        const key = date.getTime();
+        if (!byDay.has(key)) byDay.set(key, { date });
+        return byDay.get(key);
+    };
+
+    activity.forEach(({ date, views, clicks }) => Object.assign(entryFor(date), { views, clicks }));
+    received.forEach(({ date, count }) => { entryFor(date).contactRequests = count; });
+    approved.forEach(({ date, count }) => { entryFor(date).conversions = count; });
+
+    return [...byDay.values()];
+};
+
+const percentOf = (part, whole) => whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0;
+
+const withRates = (totals) => ({
+    ...totals,
+    clickThroughRate: percentOf(totals.clicks, totals.views),
+    conversionRate: percentOf(totals.conversions, totals.contactRequests)
+});
+
+// Percentage change against the previous period (null when the previous period had nothing)
+const periodChange = (current, previous) => Object.fromEntries(
+    Object.keys(current).map(metric => [
+        metric,
+        previous[metric] > 0 ? percentOf(current[metric] - previous[metric], previous[metric]) : null
+    ])
+);
+
+const buildBusinessAnalytics = async (business, { since, until, days }) => {
+    const previousSince = new Date(since.getTime() - days * DAY_MS);
+
+    const [currentDaily, previousDaily, topPosts] = await Promise.all([
+        loadBusinessDaily(business._id, since, until),
+        loadBusinessDaily(business._id, previousSince, since),
+        getTopPosts(business.userId, since, until)
+    ]);
+
+    const series = buildSeries(currentDaily, since, days, BUSINESS_DAILY_METRICS);
+    const totals = withRates(sumSeries(series, BUSINESS_DAILY_METRICS));
+    const previousTotals = withRates(
+        sumSeries(buildSeries(previousDaily, previousSince, days, BUSINESS_DAILY_METRICS), BUSINESS_DAILY_METRICS)
+    );
+
+    return {
+        period: { startDate: since, endDate: new Date(until.getTime() - DAY_MS), days, totals },
+        previousPeriod: { startDate: previousSince, endDate: new Date(since.getTime() - DAY_MS), days, totals: previousTotals },
+        change: periodChange(totals, previousTotals),
+        daily: series,
+        topPosts
+    };
+};
+
+// GET /api/v1/business/analytics?startDate=2025-01-01&endDate=2025-01-31
+export const getBusinessAnalytics = asyncHandler(async (req, res) => {
+    const business = await Business.findOne({ userId: req.user._id })
+        .select('userId businessName insights')
+        .lean();
+
+    if (!business) {
+        throw new ApiError(404, "Business profile not found");
+    }
+
+    const range = parseAnalyticsRange(req.query);
+    const cacheKey = RedisKeys.businessAnalytics(
+        business._id,
+        range.since.toISOString().slice(0, 10),
+        range.until.toISOString().slice(0, 10)
+    );
+
+    const { data, fromCache } = await CacheManager.getOrSet(
+        cacheKey,
+        () => buildBusinessAnalytics(business, range),
+        RedisTTL.BUSINESS_ANALYTICS
+    );
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            businessId: business._id,
+            lifetime: {
+                views: business.insights?.views || 0,
+                clicks: business.insights?.clicks || 0,
+                conversions: business.insights?.conversions || 0
+            },
+            ...data,
+            fromCache
+        }, "Business analytics fetched successfully")
+    );
+});
+
+// POST /api/v1/business/:businessId/click - website or link tapped on the business profile
+export const trackBusinessClick = asyncHandler(async (req, res) => {
+    const { businessId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(businessId)) {
+        throw new ApiError(400, "Invalid business ID");
+    }
+
+    const business = await Business.findById(businessId).select('userId').lean();
+    if (!business) {
+        throw new ApiError(404, "Business profile not found");
+    }
+
+    const tracked = await trackBusinessEvent({
+        businessId: business._id,
+        ownerId: business.userId,
+        event: 'click',
+        viewerId: req.user?._id,
+        ipAddress: req.ip
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, { tracked }, "Business click recorded")
+    );
+});
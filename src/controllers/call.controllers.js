@@ -8,6 +8,7 @@ import { asyncHandler } from '../utlis/asyncHandler.js';
 import socketManager from '../config/socket.js';
 import mongoose from 'mongoose';
 import { sendNotification } from '../config/firebase-admin.config.js';
+import { getActiveMute } from '../utlis/chatMute.utils.js';
 
 // Constants for call management
 const CALL_TIMEOUT_MINUTES = 2; // Calls timeout after 2 minutes if not answered
@@ -262,7 +263,10 @@ export const initiateCall = asyncHandler(async (req, res) => {
 
         let fcmSent = false;
 
-        if (receiver.fcmToken) {
+        // A receiver who muted this chat gets no push; the socket event below still reaches open apps
+        const receiverMutedChat = !!getActiveMute(chat, receiverId);
+
+        if (receiver.fcmToken && !receiverMutedChat) {
             console.log('📤 FCM token found, initiating send...');
             console.log('📤 Token preview:', receiver.fcmToken.substring(0, 20) + '...');
 
@@ -330,6 +334,8 @@ export const initiateCall = asyncHandler(async (req, res) => {
                 console.error('❌ CRITICAL: Unhandled FCM promise rejection!');
                 console.error('❌ Error:', err);
             });
+        } else if (receiverMutedChat) {
+            console.log('🔕 Receiver muted this chat - skipping FCM notification');
         } else {
             console.warn('⚠️ No FCM token found for receiver:', {
                 receiverId: receiver._id,
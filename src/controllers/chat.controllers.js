@@ -1,10 +1,12 @@
 import Chat from '../models/chat.models.js';
 import Message from '../models/message.models.js';
 import Follower from '../models/follower.models.js';
+import StarredMessage from '../models/starredMessage.models.js';
 import { ApiError } from '../utlis/ApiError.js';
 import { ApiResponse } from '../utlis/ApiResponse.js';
 import { asyncHandler } from '../utlis/asyncHandler.js';
-import { uploadBufferToBunny } from '../utlis/bunny.js';
+import { uploadBufferToBunny, getFileType } from '../utlis/bunny.js';
+import { analyzeVoiceNote, AudioAnalysisError, MAX_VOICE_NOTE_SECONDS, MAX_VOICE_NOTE_BYTES } from '../utlis/audio.utils.js';
 import mongoose from 'mongoose';
 import socketManager from '../config/socket.js';
 import { sendPushNotification } from './pushNotification.controllers.js';
@@ -12,9 +14,11 @@ import { User } from '../models/user.models.js';
 import { ChatPubSub, NotificationPubSub, LiveFeaturesPubSub } from '../utlis/pubsub.utils.js';
 import notificationCache from '../utlis/notificationCache.utils.js';
 import { redisClient } from '../config/redis.config.js';
+import { MUTE_DURATIONS, getActiveMute, filterUnmutedRecipients } from '../utlis/chatMute.utils.js';
+import { DISAPPEARING_DURATIONS, DISAPPEARING_LABELS, getDisappearingDuration, getMessageExpiry } from '../utlis/disappearingMessages.utils.js';
 
 // Helper function to safely emit socket events
-const safeEmitToChat = (chatId, event, data) => {
+export const safeEmitToChat = (chatId, event, data) => {
     if (socketManager.isReady()) {
         socketManager.emitToChat(chatId, event, data);
     } else {
@@ -22,6 +26,89 @@ const safeEmitToChat = (chatId, event, data) => {
     }
 };
 
+// Invalidate the cached chat lists (active, archived and requested, first pages) of the given users
+export const invalidateChatListCache = async (userIds) => {
+    const cacheInvalidations = [];
+    for (const userId of userIds) {
+        for (let page = 1; page <= 3; page++) {
+            cacheInvalidations.push(
+                redisClient.del(`chats:user:${userId}:status:active:page:${page}:limit:20`),
+                redisClient.del(`chats:user:${userId}:status:active:archived:page:${page}:limit:20`),
+                redisClient.del(`chats:user:${userId}:status:requested:page:${page}:limit:20`)
+            );
+        }
+    }
+    await Promise.all(cacheInvalidations);
+};
+
+// Announce a group or chat setting change in the chat itself and make it the chat's last message
+export const postSystemMessage = async (chatId, actorId, action, text, targetUserIds = []) => {
+    const now = new Date();
+
+    const message = await Message.create({
+        chatId,
+        sender: actorId,
+        message: text,
+        messageType: 'system',
+        systemEvent: { action, targetUsers: targetUserIds },
+        timestamp: now,
+        readBy: [actorId]
+    });
+
+    await Chat.updateOne(
+        { _id: chatId },
+        {
+            $set: {
+                lastMessage: { sender: actorId, message: text, timestamp: now },
+                lastMessageId: message._id,
+                lastMessageAt: now
+            },
+            $inc: { 'stats.totalMessages': 1 }
+        }
+    );
+
+    const populatedMessage = await Message.findById(message._id)
+        .populate('sender', 'username fullName profileImageUrl')
+        .populate('systemEvent.targetUsers', 'username fullName profileImageUrl')
+        .lean();
+
+    safeEmitToChat(chatId.toString(), 'new_message', {
+        chatId: chatId.toString(),
+        message: populatedMessage
+    });
+
+    return populatedMessage;
+};
+
+const MAX_REACTION_LENGTH = 16;
+
+// Messages can be edited by their sender for this long after sending
+const MESSAGE_EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15;
+const MAX_EDIT_HISTORY = 10;
+const MAX_MESSAGE_LENGTH = 5000;
+
+const MAX_PINNED_MESSAGES = 50;
+
+// Reactions grouped by emoji, most used first; reactedByMe only when a viewer is given
+export const summarizeReactions = (reactions = [], currentUserId = null) => {
+    const byEmoji = new Map();
+
+    reactions.forEach(reaction => {
+        if (!byEmoji.has(reaction.emoji)) {
+            byEmoji.set(reaction.emoji, { emoji: reaction.emoji, count: 0, users: [] });
+        }
+        const group = byEmoji.get(reaction.emoji);
+        group.count++;
+        group.users.push(reaction.user);
+    });
+
+    return [...byEmoji.values()]
+        .map(group => currentUserId
+            ? { ...group, reactedByMe: group.users.some(userId => userId.toString() === currentUserId.toString()) }
+            : group)
+        .sort((a, b) => b.count - a.count);
+};
+
 // Check if user follows another user
 const checkFollowStatus = async (followerId, userId) => {
     const followRelation = await Follower.findOne({
@@ -32,6 +119,64 @@ const checkFollowStatus = async (followerId, userId) => {
     return !!followRelation;
 };
 
+// A direct chat is a request while the recipient does not follow the sender; re-apply that rule to an existing chat
+const syncDirectChatRequestStatus = (existingChat, currentUserId, recipientFollowsSender) => {
+    // If recipient no longer follows sender AND chat is currently active,
+    // convert it to a request
+    if (!recipientFollowsSender && existingChat.status === 'active') {
+        existingChat.status = 'requested';
+        existingChat.createdBy = currentUserId; // Update creator to current requester
+        console.log('💬 Chat converted to requested - recipient unfollowed sender');
+    }
+    // If recipient now follows sender AND chat is currently requested,
+    // convert it to active (auto-accept)
+    else if (recipientFollowsSender && existingChat.status === 'requested') {
+        existingChat.status = 'active';
+        console.log('💬 Chat auto-accepted - recipient now follows sender');
+    }
+    // If chat was declined, allow re-requesting
+    else if (existingChat.status === 'declined') {
+        existingChat.status = 'requested';
+        existingChat.createdBy = currentUserId; // Update to new requester
+        console.log('💬 Chat request re-sent after decline');
+    }
+};
+
+/**
+ * Find the direct chat between two users or start one, with the same de-duplication and
+ * chat-request rules as createChat (a new chat is 'requested' unless the recipient follows the sender)
+ * @param {ObjectId} currentUserId - User starting the conversation
+ * @param {ObjectId} otherUserId - Recipient
+ * @returns {Promise<{ chat: Object, created: boolean }>} - Chat document
+ */
+export const getOrCreateDirectChat = async (currentUserId, otherUserId) => {
+    const participants = [currentUserId, otherUserId]
+        .map(id => new mongoose.Types.ObjectId(id.toString()))
+        .sort((a, b) => a.toString().localeCompare(b.toString()));
+
+    const [existingChat, recipientFollowsSender] = await Promise.all([
+        Chat.findOne({
+            chatType: 'direct',
+            participants: { $all: participants, $size: 2 }
+        }),
+        checkFollowStatus(otherUserId, currentUserId)
+    ]);
+
+    if (existingChat) {
+        syncDirectChatRequestStatus(existingChat, currentUserId, recipientFollowsSender);
+        if (existingChat.isModified()) await existingChat.save();
+        return { chat: existingChat, created: false };
+    }
+
+    const chat = await Chat.create({
+        participants,
+        chatType: 'direct',
+        createdBy: currentUserId,
+        ...(!recipientFollowsSender && { status: 'requested' })
+    });
+    return { chat, created: true };
+};
+
 // Create a new chat (1-on-1 or group)
 export const createChat = asyncHandler(async (req, res) => {
     const currentUserId = req.user._id;
@@ -84,26 +229,7 @@ export const createChat = asyncHandler(async (req, res) => {
             // ✅ FIX: Check if follow status has changed since chat was created
             const otherUserId = validParticipants.find(id => id.toString() !== currentUserId.toString());
             const recipientFollowsSender = await checkFollowStatus(otherUserId, currentUserId);
-
-            // If recipient no longer follows sender AND chat is currently active,
-            // convert it to a request
-            if (!recipientFollowsSender && existingChat.status === 'active') {
-                existingChat.status = 'requested';
-                existingChat.createdBy = currentUserId; // Update creator to current requester
-                console.log('💬 Chat converted to requested - recipient unfollowed sender');
-            }
-            // If recipient now follows sender AND chat is currently requested,
-            // convert it to active (auto-accept)
-            else if (recipientFollowsSender && existingChat.status === 'requested') {
-                existingChat.status = 'active';
-                console.log('💬 Chat auto-accepted - recipient now follows sender');
-            }
-            // If chat was declined, allow re-requesting
-            else if (existingChat.status === 'declined') {
-                existingChat.status = 'requested';
-                existingChat.createdBy = currentUserId; // Update to new requester
-                console.log('💬 Chat request re-sent after decline');
-            }
+            syncDirectChatRequestStatus(existingChat, currentUserId, recipientFollowsSender);
 
             // Before returning, make sure we're not showing deleted messages
             // Get the latest non-deleted message
@@ -204,6 +330,7 @@ export const createChat = asyncHandler(async (req, res) => {
 export const getUserChats = asyncHandler(async (req, res) => {
     const currentUserId = req.user._id;
     const { page = 1, limit = 20, chatStatus = 'active' } = req.query;
+    const showArchived = req.query.archived === 'true';
 
     // Ensure currentUserId is properly formatted as ObjectId
     const userObjectId = new mongoose.Types.ObjectId(currentUserId);
@@ -213,7 +340,7 @@ export const getUserChats = asyncHandler(async (req, res) => {
     const skip = (pageNum - 1) * pageLimit;
 
     // Check cache first
-    const cacheKey = `chats:user:${currentUserId}:status:${chatStatus}:page:${pageNum}:limit:${pageLimit}`;
+    const cacheKey = `chats:user:${currentUserId}:status:${chatStatus}${showArchived ? ':archived' : ''}:page:${pageNum}:limit:${pageLimit}`;
     try {
         const cachedData = await redisClient.get(cacheKey);
         if (cachedData) {
@@ -250,6 +377,9 @@ export const getUserChats = asyncHandler(async (req, res) => {
         };
     }
 
+    // Archived chats are listed separately (?archived=true)
+    chatFilter.archivedBy = showArchived ? userObjectId : { $ne: userObjectId };
+
     // Only log in development for debugging
     if (process.env.NODE_ENV === 'development' && process.env.DEBUG_CHAT === 'true') {
         console.log('💬 Chat Debug - User:', currentUserId);
@@ -459,6 +589,20 @@ export const getUserChats = asyncHandler(async (req, res) => {
         // Add unread count from aggregation
         chatWithUsers.unreadCount = unreadCountMap[chatId] || 0;
 
+        // Mute and archive state is per user - only expose the current user's
+        const mute = getActiveMute(chat, currentUserId);
+        chatWithUsers.isMuted = !!mute;
+        chatWithUsers.mutedUntil = mute?.mutedUntil || null;
+        chatWithUsers.isArchived = (chat.archivedBy || []).some(id => id.toString() === currentUserId.toString());
+        delete chatWithUsers.mutedBy;
+        delete chatWithUsers.archivedBy;
+
+        chatWithUsers.disappearingMessages = {
+            duration: getDisappearingDuration(chat),
+            updatedBy: chat.disappearingMessages?.updatedBy || null,
+            updatedAt: chat.disappearingMessages?.updatedAt || null
+        };
+
         return chatWithUsers;
     }));
 
@@ -490,6 +634,7 @@ export const getUserChats = asyncHandler(async (req, res) => {
         new ApiResponse(200, {
             chats: populatedChats,
             chatStatus: statusFilter,
+            archived: showArchived,
             pagination: {
                 currentPage: pageNum,
                 totalPages: Math.ceil(actualTotal / pageLimit),
@@ -502,6 +647,198 @@ export const getUserChats = asyncHandler(async (req, res) => {
     );
 });
 
+// Mute a chat for the current user: PATCH /api/v1/chats/:chatId/mute { duration: '8h' | '1w' | 'forever' }
+export const muteChat = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+    const { duration = 'forever' } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        throw new ApiError(400, 'Invalid chat ID');
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(MUTE_DURATIONS, duration)) {
+        throw new ApiError(400, `duration must be one of: ${Object.keys(MUTE_DURATIONS).join(', ')}`);
+    }
+
+    const mutedUntil = MUTE_DURATIONS[duration] ? new Date(Date.now() + MUTE_DURATIONS[duration]) : null;
+    const userObjectId = new mongoose.Types.ObjectId(currentUserId.toString());
+
+    // Replace any previous (possibly expired) mute of this user in one update, so concurrent mutes cannot leave two entries
+    // (update pipelines are not cast by Mongoose, hence the explicit ObjectId)
+    const result = await Chat.updateOne(
+        { _id: chatId, participants: currentUserId },
+        [{
+            $set: {
+                mutedBy: {
+                    $concatArrays: [
+                        {
+                            $filter: {
+                                input: { $ifNull: ['$mutedBy', []] },
+                                as: 'mute',
+                                cond: { $ne: ['$$mute.user', userObjectId] }
+                            }
+                        },
+                        [{ user: userObjectId, mutedUntil }]
+                    ]
+                }
+            }
+        }]
+    );
+
+    if (result.matchedCount === 0) {
+        throw new ApiError(404, 'Chat not found or access denied');
+    }
+
+    await Promise.all([
+        notificationCache.invalidateMessageCache(currentUserId.toString()),
+        invalidateChatListCache([currentUserId])
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, { chatId, isMuted: true, mutedUntil }, 'Chat muted successfully')
+    );
+});
+
+// Unmute a chat for the current user
+export const unmuteChat = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        throw new ApiError(400, 'Invalid chat ID');
+    }
+
+    const result = await Chat.updateOne(
+        { _id: chatId, participants: currentUserId },
+        { $pull: { mutedBy: { user: currentUserId } } }
+    );
+
+    if (result.matchedCount === 0) {
+        throw new ApiError(404, 'Chat not found or access denied');
+    }
+
+    await Promise.all([
+        notificationCache.invalidateMessageCache(currentUserId.toString()),
+        invalidateChatListCache([currentUserId])
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, { chatId, isMuted: false, mutedUntil: null }, 'Chat unmuted successfully')
+    );
+});
+
+// Archive a chat for the current user (it stays archived when new messages arrive)
+export const archiveChat = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        throw new ApiError(400, 'Invalid chat ID');
+    }
+
+    const result = await Chat.updateOne(
+        { _id: chatId, participants: currentUserId },
+        { $addToSet: { archivedBy: currentUserId } }
+    );
+
+    if (result.matchedCount === 0) {
+        throw new ApiError(404, 'Chat not found or access denied');
+    }
+
+    await invalidateChatListCache([currentUserId]);
+
+    return res.status(200).json(
+        new ApiResponse(200, { chatId, isArchived: true }, 'Chat archived successfully')
+    );
+});
+
+// Move an archived chat back to the main chat list
+export const unarchiveChat = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        throw new ApiError(400, 'Invalid chat ID');
+    }
+
+    const result = await Chat.updateOne(
+        { _id: chatId, participants: currentUserId },
+        { $pull: { archivedBy: currentUserId } }
+    );
+
+    if (result.matchedCount === 0) {
+        throw new ApiError(404, 'Chat not found or access denied');
+    }
+
+    await invalidateChatListCache([currentUserId]);
+
+    return res.status(200).json(
+        new ApiResponse(200, { chatId, isArchived: false }, 'Chat unarchived successfully')
+    );
+});
+
+// Disappearing messages for the whole chat: PATCH /api/v1/chats/:chatId/disappearing { duration: 'off' | '24h' | '7d' | '90d' }
+// Any participant of a direct chat can change it; in groups only admins can. Messages already sent keep their expiry.
+export const updateDisappearingMessages = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+    const { duration } = req.body || {};
+
+    if (!Object.prototype.hasOwnProperty.call(DISAPPEARING_DURATIONS, duration)) {
+        throw new ApiError(400, `duration must be one of: ${Object.keys(DISAPPEARING_DURATIONS).join(', ')}`);
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        throw new ApiError(400, 'Invalid chat ID');
+    }
+
+    const chat = await Chat.findOne({ _id: chatId, participants: currentUserId })
+        .select('participants chatType admins status createdBy disappearingMessages')
+        .lean();
+    if (!chat) {
+        throw new ApiError(404, 'Chat not found or access denied');
+    }
+
+    if (chat.chatType === 'group' && !(chat.admins || []).some(id => id.toString() === currentUserId.toString())) {
+        throw new ApiError(403, 'Only group admins can change disappearing messages');
+    }
+
+    if (chat.status === 'declined') {
+        throw new ApiError(403, 'This chat request has been declined');
+    }
+    if (chat.status === 'requested' && chat.createdBy.toString() !== currentUserId.toString()) {
+        throw new ApiError(403, 'You must accept the chat request before changing chat settings');
+    }
+
+    if (getDisappearingDuration(chat) === duration) {
+        return res.status(200).json(
+            new ApiResponse(200, { chatId, disappearingMessages: chat.disappearingMessages || { duration } }, 'Disappearing messages unchanged')
+        );
+    }
+
+    const disappearingMessages = { duration, updatedBy: currentUserId, updatedAt: new Date() };
+    await Chat.updateOne({ _id: chatId }, { $set: { disappearingMessages } });
+
+    const actorName = req.user.fullName || req.user.username || 'Someone';
+    const text = duration === 'off'
+        ? `${actorName} turned off disappearing messages`
+        : `${actorName} turned on disappearing messages. New messages will disappear ${DISAPPEARING_LABELS[duration]} after they're sent`;
+    await postSystemMessage(chatId, currentUserId, 'disappearing_messages_changed', text);
+
+    safeEmitToChat(chatId, 'disappearing_messages_updated', { chatId, disappearingMessages });
+
+    const participantIds = chat.participants.map(id => id.toString());
+    await Promise.all([
+        notificationCache.invalidateMultipleUsersCache(participantIds, 'message'),
+        invalidateChatListCache(participantIds)
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, { chatId, disappearingMessages }, 'Disappearing messages updated successfully')
+    );
+});
+
 // Accept a chat request
 export const acceptChatRequest = asyncHandler(async (req, res) => {
     const currentUserId = req.user._id;
@@ -650,17 +987,25 @@ export const getChatMessages = asyncHandler(async (req, res) => {
         throw new ApiError(403, 'This chat request has been declined');
     }
 
+    // Opening the chat delivers everything sent to the user so far
+    markMessagesDelivered(currentUserId, [chat._id]).catch(error =>
+        console.error('Error marking messages delivered:', error)
+    );
+
     // Get messages with pagination using Message model
+    const now = new Date();
     const [messages, totalMessages] = await Promise.all([
         Message.find({
             chatId,
-            isDeleted: { $ne: true } // Exclude deleted messages
+            isDeleted: { $ne: true }, // Exclude deleted messages
+            expiresAt: { $not: { $lte: now } } // Expired but not swept yet
         })
             .sort({ timestamp: -1 })
             .skip(skip)
             .limit(pageLimit)
-            .select('sender message messageType mediaUrl fileName fileSize duration timestamp readBy replyTo reactions')
+            .select('sender message messageType mediaUrl fileName fileSize duration timestamp editedAt readBy deliveredTo replyTo reactions systemEvent isForwarded sharedPost storyReply waveform')
             .populate('sender', 'username fullName profileImageUrl')
+            .populate('systemEvent.targetUsers', 'username fullName')
             .populate({
                 path: 'replyTo',
                 select: 'message sender timestamp',
@@ -672,7 +1017,8 @@ export const getChatMessages = asyncHandler(async (req, res) => {
             .lean(),
         Message.countDocuments({
             chatId,
-            isDeleted: { $ne: true } // Exclude deleted messages when counting
+            isDeleted: { $ne: true }, // Exclude deleted messages when counting
+            expiresAt: { $not: { $lte: now } }
         })
     ]);
 
@@ -694,6 +1040,30 @@ export const getChatMessages = asyncHandler(async (req, res) => {
         }
     }
 
+    const starred = await StarredMessage.find({
+        userId: currentUserId,
+        messageId: { $in: messages.map(message => message._id) }
+    }).select('messageId').lean();
+    const starredIds = new Set(starred.map(star => star.messageId.toString()));
+    const pinnedIds = new Set((chat.pinnedMessages || []).map(id => id.toString()));
+
+    const recipientIds = chat.participants
+        .map(id => id.toString())
+        .filter(id => id !== currentUserId.toString());
+
+    // Group reactions by emoji for display, and flag pinned and starred messages
+    messages.forEach(message => {
+        // Receipt state of the current user's own messages (details via the message info endpoint)
+        if (message.sender?._id?.toString() === currentUserId.toString()) {
+            message.deliveryStatus = getDeliveryStatus(message, recipientIds);
+        }
+        delete message.deliveredTo;
+
+        message.reactionSummary = summarizeReactions(message.reactions, currentUserId);
+        message.isPinned = pinnedIds.has(message._id.toString());
+        message.isStarred = starredIds.has(message._id.toString());
+    });
+
     return res.status(200).json(
         new ApiResponse(200, {
             messages: messages.reverse(), // Reverse to get chronological order
@@ -708,22 +1078,133 @@ export const getChatMessages = asyncHandler(async (req, res) => {
     );
 });
 
-// Add a message to a chat
-export const addMessage = asyncHandler(async (req, res) => {
-    const currentUserId = req.user._id;
-    const { chatId } = req.params;
+/**
+ * Record that messages from others reached `userId`, and tell the chat rooms.
+ * Without messageIds, every undelivered message in the chats counts as delivered (the user's app just
+ * connected or opened the chat); the event then carries deliveredAt so senders can mark everything before it.
+ * @param {string|ObjectId} userId - Receiving user
+ * @param {Array<string|ObjectId>} chatIds - Chats the user is a participant of
+ * @param {Array<string>} messageIds - Optional: only these messages
+ * @returns {Promise<number>} - Number of messages newly marked as delivered
+ */
+export const markMessagesDelivered = async (userId, chatIds, messageIds = null) => {
+    if (!chatIds || chatIds.length === 0) return 0;
+
+    const userObjectId = new mongoose.Types.ObjectId(userId.toString());
+    const deliveredAt = new Date();
+    const filter = {
+        chatId: { $in: chatIds },
+        sender: { $ne: userObjectId },
+        isDeleted: { $ne: true },
+        'deliveredTo.user': { $ne: userObjectId },
+        timestamp: { $lte: deliveredAt }
+    };
 
-    // Handle both FormData and JSON body
-    const body = req.body || {};
-    const message = body.message;
-    const messageType = body.messageType || 'text';
-    const replyTo = body.replyTo;
-    const mediaFile = req.file; // File uploaded via FormData
+    let affectedChatIds;
+    if (messageIds) {
+        filter._id = { $in: messageIds.filter(id => mongoose.Types.ObjectId.isValid(id)) };
+        affectedChatIds = chatIds.map(id => id.toString());
+    } else {
+        affectedChatIds = (await Message.distinct('chatId', filter)).map(id => id.toString());
+        if (affectedChatIds.length === 0) return 0;
+    }
+
+    const result = await Message.updateMany(filter, {
+        $push: { deliveredTo: { user: userObjectId, deliveredAt } }
+    });
+
+    if (result.modifiedCount > 0) {
+        affectedChatIds.forEach(chatId => {
+            safeEmitToChat(chatId, 'messages_delivered', {
+                chatId,
+                deliveredTo: userObjectId,
+                deliveredAt,
+                ...(messageIds && { messageIds })
+            });
+        });
+    }
+
+    return result.modifiedCount;
+};
+
+// sent -> delivered (every recipient has it) -> read (every recipient read it)
+const getDeliveryStatus = (message, recipientIds) => {
+    if (recipientIds.length === 0) return 'sent';
+
+    const readBy = new Set((message.readBy || []).map(id => id.toString()));
+    if (recipientIds.every(id => readBy.has(id))) return 'read';
+
+    const deliveredTo = new Set((message.deliveredTo || []).map(entry => entry.user.toString()));
+    if (recipientIds.every(id => deliveredTo.has(id) || readBy.has(id))) return 'delivered';
+
+    return 'sent';
+};
+
+const MAX_CLIENT_MESSAGE_ID_LENGTH = 64;
+
+// Containers that hold either audio or video (getFileType reports them as video)
+const AUDIO_CONTAINER_TYPES = ['video/mp4', 'audio/mp4', 'video/webm'];
+
+// 'system', 'post_share' and 'story_reply' messages are only created by the server
+const CLIENT_MESSAGE_TYPES = ['text', 'image', 'video', 'file', 'audio', 'location'];
+
+// Server-built message types and the serverFields entry each one requires
+const SERVER_MESSAGE_FIELDS = {
+    post_share: 'sharedPost',
+    story_reply: 'storyReply'
+};
+
+const populateMessage = (messageId) => Message.findById(messageId)
+    .populate('sender', 'username fullName profileImageUrl')
+    .populate({
+        path: 'replyTo',
+        select: 'message sender timestamp',
+        populate: {
+            path: 'sender',
+            select: 'username fullName'
+        }
+    })
+    .lean();
+
+/**
+ * Save a message and fan it out (new_message event, push notifications, cache invalidation).
+ * Shared by the HTTP endpoint and the socket `send_message` event so both are checked and stored the same way.
+ * A clientMessageId that was already used by the sender in this chat returns the stored message
+ * instead of creating a duplicate, so clients can safely retry.
+ * `serverFields` carries content the server built itself (media of a forwarded message, a shared post preview)
+ * and is stored as-is - never pass client input through it.
+ * @returns {Promise<{ message: Object, duplicate: boolean }>}
+ */
+export const sendChatMessage = async ({
+    chatId,
+    senderId: currentUserId,
+    message,
+    messageType = 'text',
+    replyTo = null,
+    mediaFile = null,
+    clientMessageId = null,
+    serverFields = null
+}) => {
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        throw new ApiError(400, 'Invalid chat ID');
+    }
+
+    if (clientMessageId !== null && clientMessageId !== undefined &&
+        (typeof clientMessageId !== 'string' || !clientMessageId.trim() || clientMessageId.length > MAX_CLIENT_MESSAGE_ID_LENGTH)) {
+        throw new ApiError(400, `clientMessageId must be a string of at most ${MAX_CLIENT_MESSAGE_ID_LENGTH} characters`);
+    }
 
+    if (message !== undefined && message !== null && typeof message !== 'string') {
+        throw new ApiError(400, 'Message must be a string');
+    }
 
+    const isServerBuilt = Boolean(SERVER_MESSAGE_FIELDS[messageType] && serverFields?.[SERVER_MESSAGE_FIELDS[messageType]]);
+    if (!CLIENT_MESSAGE_TYPES.includes(messageType) && !isServerBuilt) {
+        throw new ApiError(400, `messageType must be one of: ${CLIENT_MESSAGE_TYPES.join(', ')}`);
+    }
 
     // For media messages, allow empty message if file is present
-    if ((!message || message.trim().length === 0) && !mediaFile) {
+    if ((!message || message.trim().length === 0) && !mediaFile && !serverFields?.mediaUrl) {
         throw new ApiError(400, 'Message content or media file is required');
     }
 
@@ -754,6 +1235,14 @@ export const addMessage = asyncHandler(async (req, res) => {
         throw new ApiError(403, 'This chat request has been declined');
     }
 
+    // A retried send returns what was stored the first time
+    if (clientMessageId) {
+        const existingMessage = await Message.findOne({ chatId, sender: currentUserId, clientMessageId }).select('_id').lean();
+        if (existingMessage) {
+            return { message: await populateMessage(existingMessage._id), duplicate: true };
+        }
+    }
+
     // Create message data object
     const messageData = {
         chatId,
@@ -762,11 +1251,66 @@ export const addMessage = asyncHandler(async (req, res) => {
         messageType, // ✅ Use the actual messageType from request
         timestamp: new Date(),
         readBy: [currentUserId],
-        replyTo: replyTo || null
+        replyTo: replyTo || null,
+        ...(clientMessageId && { clientMessageId }),
+        ...serverFields
     };
 
+    const expiresAt = getMessageExpiry(chat, messageData.timestamp);
+    if (expiresAt) {
+        messageData.expiresAt = expiresAt;
+    }
+
     // ✅ Handle file upload if present
     if (mediaFile) {
+        // Audio is recognised by its bytes only (never the file name). MP4/3GP (Android MediaRecorder) and
+        // WebM (browsers) recordings share their signature with video; ffmpeg checks their streams below
+        const fileType = getFileType(mediaFile.buffer);
+        const isAudioContainer = AUDIO_CONTAINER_TYPES.includes(fileType.mimeType);
+        const mayBeAudio = fileType.isAudio || isAudioContainer;
+
+        // Auto-detect message type if not provided
+        if (messageType === 'text') {
+            if (fileType.isAudio || (isAudioContainer && mediaFile.mimetype.startsWith('audio/'))) {
+                messageData.messageType = 'audio';
+            } else if (mediaFile.mimetype.startsWith('image/')) {
+                messageData.messageType = 'image';
+            } else if (mediaFile.mimetype.startsWith('video/')) {
+                messageData.messageType = 'video';
+            } else {
+                messageData.messageType = 'file';
+            }
+        }
+
+        // 🎙️ Voice notes are analysed before upload so a rejected file is never stored
+        if (messageData.messageType === 'audio') {
+            if (!mayBeAudio) {
+                throw new ApiError(400, 'Audio messages must contain an audio file');
+            }
+
+            if (mediaFile.size > MAX_VOICE_NOTE_BYTES) {
+                throw new ApiError(400, `Voice notes can be at most ${MAX_VOICE_NOTE_BYTES / (1024 * 1024)}MB`);
+            }
+
+            try {
+                const { duration, waveform } = await analyzeVoiceNote(mediaFile.buffer);
+                if (duration > MAX_VOICE_NOTE_SECONDS) {
+                    throw new ApiError(400, `Voice notes can be at most ${MAX_VOICE_NOTE_SECONDS} seconds long`);
+                }
+                messageData.duration = duration;
+                messageData.waveform = waveform;
+            } catch (analysisError) {
+                if (!(analysisError instanceof AudioAnalysisError)) throw analysisError;
+
+                // Without ffmpeg a file cannot be confirmed to be audio, so it is not stored as a voice note
+                if (analysisError.unavailable) {
+                    console.error('❌ Voice note analysis unavailable:', analysisError.message);
+                    throw new ApiError(503, 'Voice notes cannot be processed right now');
+                }
+                throw new ApiError(400, 'Audio messages must contain a readable audio-only recording');
+            }
+        }
+
         try {
             // Upload file to Bunny.net
             const uploadResult = await uploadBufferToBunny(mediaFile.buffer, 'chat_media');
@@ -780,26 +1324,23 @@ export const addMessage = asyncHandler(async (req, res) => {
             if (uploadResult.duration) {
                 messageData.duration = uploadResult.duration;
             }
-
-            // Auto-detect message type if not provided
-            if (messageType === 'text') {
-                if (mediaFile.mimetype.startsWith('image/')) {
-                    messageData.messageType = 'image';
-                } else if (mediaFile.mimetype.startsWith('video/')) {
-                    messageData.messageType = 'video';
-                } else if (mediaFile.mimetype.startsWith('audio/')) {
-                    messageData.messageType = 'audio';
-                } else {
-                    messageData.messageType = 'file';
-                }
-            }
         } catch (uploadError) {
             throw new ApiError(500, `Failed to upload media file: ${uploadError.message}`);
         }
     }
 
     // Create new message using Message model
-    const newMessage = await Message.create(messageData);
+    let newMessage;
+    try {
+        newMessage = await Message.create(messageData);
+    } catch (error) {
+        // Two retries raced past the check above - the unique index keeps one
+        if (error.code === 11000 && clientMessageId) {
+            const existingMessage = await Message.findOne({ chatId, sender: currentUserId, clientMessageId }).select('_id').lean();
+            return { message: await populateMessage(existingMessage._id), duplicate: true };
+        }
+        throw error;
+    }
 
     // Update chat's last message info
     chat.lastMessageAt = new Date();
@@ -813,17 +1354,7 @@ export const addMessage = asyncHandler(async (req, res) => {
     await chat.save();
 
     // Populate with selective fields only
-    const populatedMessage = await Message.findById(newMessage._id)
-        .populate('sender', 'username fullName profileImageUrl')
-        .populate({
-            path: 'replyTo',
-            select: 'message sender timestamp',
-            populate: {
-                path: 'sender',
-                select: 'username fullName'
-            }
-        })
-        .lean();
+    const populatedMessage = await populateMessage(newMessage._id);
 
     // Emit message - Socket.IO Redis adapter handles cross-process sync automatically
     safeEmitToChat(chatId, 'new_message', {
@@ -834,8 +1365,10 @@ export const addMessage = asyncHandler(async (req, res) => {
     // Send push notifications to other participants (fire-and-forget)
     (async () => {
         try {
-            const otherParticipants = chat.participants.filter(
-                participantId => participantId.toString() !== currentUserId.toString()
+            // Participants who muted the chat get no push notification
+            const otherParticipants = filterUnmutedRecipients(
+                chat,
+                chat.participants.filter(participantId => participantId.toString() !== currentUserId.toString())
             );
 
             if (otherParticipants.length > 0) {
@@ -846,9 +1379,11 @@ export const addMessage = asyncHandler(async (req, res) => {
                 // Create notification data
                 const notificationData = {
                     title: `New message from ${senderName}`,
-                    body: messageType === 'text'
+                    body: messageType === 'text' || messageType === 'story_reply'
                         ? finalMessage.length > 50 ? finalMessage.substring(0, 50) + '...' : finalMessage
-                        : `Sent ${messageType === 'image' ? 'an image' : messageType === 'video' ? 'a video' : messageType === 'audio' ? 'an audio' : 'a file'}`,
+                        : messageType === 'post_share'
+                            ? 'Shared a post'
+                            : `Sent ${messageType === 'image' ? 'an image' : messageType === 'video' ? 'a video' : messageType === 'audio' ? 'an audio' : 'a file'}`,
                     chatId: chatId,
                     messageId: newMessage._id.toString(),
                     senderId: currentUserId.toString(),
@@ -872,39 +1407,55 @@ export const addMessage = asyncHandler(async (req, res) => {
             await notificationCache.invalidateMultipleUsersCache(participantIds, 'message');
 
             // Invalidate chat list cache for all participants (so they see updated lastMessage)
-            const cacheInvalidations = [];
-            for (const participantId of participantIds) {
-                // Invalidate both active and requested chat lists (multiple pages)
-                for (let page = 1; page <= 3; page++) {
-                    const activeKey = `chats:user:${participantId}:status:active:page:${page}:limit:20`;
-                    const requestedKey = `chats:user:${participantId}:status:requested:page:${page}:limit:20`;
-                    cacheInvalidations.push(
-                        redisClient.del(activeKey),
-                        redisClient.del(requestedKey)
-                    );
-                }
-            }
-
-            await Promise.all(cacheInvalidations);
+            await invalidateChatListCache(participantIds);
             console.log(`✅ Invalidated caches for ${participantIds.length} participants`);
         } catch (cacheError) {
             console.error('Error invalidating caches:', cacheError);
         }
     })();
 
-    return res.status(201).json(
-        new ApiResponse(201, populatedMessage, 'Message sent successfully')
+    return { message: populatedMessage, duplicate: false };
+};
+
+// Add a message to a chat
+export const addMessage = asyncHandler(async (req, res) => {
+    // Handle both FormData and JSON body
+    const body = req.body || {};
+
+    const { message, duplicate } = await sendChatMessage({
+        chatId: req.params.chatId,
+        senderId: req.user._id,
+        message: body.message,
+        messageType: body.messageType || 'text',
+        replyTo: body.replyTo,
+        mediaFile: req.file, // File uploaded via FormData
+        clientMessageId: body.clientMessageId
+    });
+
+    const statusCode = duplicate ? 200 : 201;
+    return res.status(statusCode).json(
+        new ApiResponse(statusCode, message, duplicate ? 'Message already sent' : 'Message sent successfully')
     );
 });
 
-// Mark messages as read
-export const markMessagesRead = asyncHandler(async (req, res) => {
-    const currentUserId = req.user._id;
-    const { chatId } = req.params;
-    const { messageIds } = req.body; // Optional: mark specific messages as read
+/**
+ * Mark messages of a chat as read by `reader` and notify the chat room.
+ * Shared by the HTTP endpoint and the socket `mark_read` event.
+ * @param {Object} params
+ * @param {string} params.chatId - Chat ID
+ * @param {Object} params.reader - Reading user ({ _id, username, fullName })
+ * @param {Array<string>} params.messageIds - Optional: only these messages (all unread otherwise)
+ * @returns {Promise<number>} - Number of messages newly marked as read
+ */
+export const markChatMessagesRead = async ({ chatId, reader, messageIds = null }) => {
+    const currentUserId = reader._id;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        throw new ApiError(400, 'Invalid chat ID');
+    }
 
     // Verify user is participant in the chat
-    const chat = await Chat.findOne({
+    const chat = await Chat.exists({
         _id: chatId,
         participants: currentUserId
     });
@@ -913,39 +1464,38 @@ export const markMessagesRead = asyncHandler(async (req, res) => {
         throw new ApiError(404, 'Chat not found or access denied');
     }
 
+    const filter = {
+        chatId,
+        readBy: { $ne: currentUserId }
+    };
+
     if (messageIds && Array.isArray(messageIds)) {
         // Mark specific messages as read
-        await Message.updateMany(
-            {
-                _id: { $in: messageIds },
-                chatId,
-                readBy: { $ne: currentUserId }
-            },
-            {
-                $addToSet: { readBy: currentUserId }
-            }
-        );
-    } else {
-        // Mark all unread messages in the chat as read
-        await Message.updateMany(
-            {
-                chatId,
-                readBy: { $ne: currentUserId }
-            },
-            {
-                $addToSet: { readBy: currentUserId }
-            }
-        );
+        filter._id = { $in: messageIds.filter(id => mongoose.Types.ObjectId.isValid(id)) };
     }
 
+    const readAt = new Date();
+
+    // Reading implies delivery
+    await Message.updateMany(
+        { ...filter, 'deliveredTo.user': { $ne: currentUserId } },
+        { $push: { deliveredTo: { user: currentUserId, deliveredAt: readAt } } }
+    );
+
+    const result = await Message.updateMany(filter, {
+        $addToSet: { readBy: currentUserId },
+        $push: { readReceipts: { user: currentUserId, readAt } }
+    });
+
     // Emit real-time event for messages read
     safeEmitToChat(chatId, 'messages_read', {
         chatId,
         readBy: {
             _id: currentUserId,
-            username: req.user.username,
-            fullName: req.user.fullName
-        }
+            username: reader.username,
+            fullName: reader.fullName
+        },
+        ...(Array.isArray(messageIds) && { messageIds })
     });
 
     // Invalidate message cache for the user who marked messages as read
@@ -953,21 +1503,22 @@ export const markMessagesRead = asyncHandler(async (req, res) => {
         await notificationCache.invalidateMessageCache(currentUserId.toString());
 
         // Invalidate chat list cache so unread counts update on refresh
-        const cacheInvalidations = [];
-        for (let page = 1; page <= 3; page++) {
-            const activeKey = `chats:user:${currentUserId}:status:active:page:${page}:limit:20`;
-            const requestedKey = `chats:user:${currentUserId}:status:requested:page:${page}:limit:20`;
-            cacheInvalidations.push(
-                redisClient.del(activeKey),
-                redisClient.del(requestedKey)
-            );
-        }
-        await Promise.all(cacheInvalidations);
+        await invalidateChatListCache([currentUserId]);
     } catch (cacheError) {
         console.error('Error invalidating message cache:', cacheError);
         // Don't block response if cache invalidation fails
     }
 
+    return result.modifiedCount;
+};
+
+// Mark messages as read
+export const markMessagesRead = asyncHandler(async (req, res) => {
+    const { chatId } = req.params;
+    const { messageIds } = req.body || {}; // Optional: mark specific messages as read
+
+    await markChatMessagesRead({ chatId, reader: req.user, messageIds });
+
     return res.status(200).json(
         new ApiResponse(200, {}, 'Messages marked as read')
     );
@@ -988,18 +1539,25 @@ export const markChatAsRead = asyncHandler(async (req, res) => {
         throw new ApiError(404, 'Chat not found or access denied');
     }
 
-    // Update all unread messages in the chat to include current user in readBy array
-    const result = await Message.updateMany(
-        {
-            chatId,
-            readBy: { $ne: currentUserId },
-            isDeleted: { $ne: true }
-        },
-        {
-            $addToSet: { readBy: currentUserId }
-        }
+    const unreadFilter = {
+        chatId,
+        readBy: { $ne: currentUserId },
+        isDeleted: { $ne: true }
+    };
+    const readAt = new Date();
+
+    // Reading implies delivery
+    await Message.updateMany(
+        { ...unreadFilter, 'deliveredTo.user': { $ne: currentUserId } },
+        { $push: { deliveredTo: { user: currentUserId, deliveredAt: readAt } } }
     );
 
+    // Update all unread messages in the chat to include current user in readBy array
+    const result = await Message.updateMany(unreadFilter, {
+        $addToSet: { readBy: currentUserId },
+        $push: { readReceipts: { user: currentUserId, readAt } }
+    });
+
     // Emit real-time event for chat marked as read
     safeEmitToChat(chatId, 'chat_marked_as_read', {
         chatId,
@@ -1015,16 +1573,7 @@ export const markChatAsRead = asyncHandler(async (req, res) => {
         await notificationCache.invalidateMessageCache(currentUserId.toString());
 
         // Invalidate chat list cache so unread counts update on refresh
-        const cacheInvalidations = [];
-        for (let page = 1; page <= 3; page++) {
-            const activeKey = `chats:user:${currentUserId}:status:active:page:${page}:limit:20`;
-            const requestedKey = `chats:user:${currentUserId}:status:requested:page:${page}:limit:20`;
-            cacheInvalidations.push(
-                redisClient.del(activeKey),
-                redisClient.del(requestedKey)
-            );
-        }
-        await Promise.all(cacheInvalidations);
+        await invalidateChatListCache([currentUserId]);
     } catch (cacheError) {
         console.error('Error invalidating message cache:', cacheError);
         // Don't block response if cache invalidation fails
@@ -1037,10 +1586,20 @@ export const markChatAsRead = asyncHandler(async (req, res) => {
     );
 });
 
-// Delete a message
-export const deleteMessage = asyncHandler(async (req, res) => {
-    const currentUserId = req.user._id;
-    const { chatId, messageId } = req.params;
+/**
+ * Soft-delete a message (sender or chat admin) and notify the chat room.
+ * Shared by the HTTP endpoint and the socket `delete_message` event.
+ * @param {Object} params
+ * @param {string} params.chatId - Chat ID
+ * @param {string} params.messageId - Message ID
+ * @param {Object} params.user - Deleting user ({ _id, username, fullName })
+ */
+export const deleteChatMessage = async ({ chatId, messageId, user }) => {
+    const currentUserId = user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+        throw new ApiError(400, 'Invalid chat or message ID');
+    }
 
     // Verify user is participant in the chat
     const chat = await Chat.findOne({
@@ -1118,20 +1677,225 @@ export const deleteMessage = asyncHandler(async (req, res) => {
         messageId,
         deletedBy: {
             _id: currentUserId,
-            username: req.user.username,
-            fullName: req.user.fullName
+            username: user.username,
+            fullName: user.fullName
         }
     });
+};
+
+// Delete a message
+export const deleteMessage = asyncHandler(async (req, res) => {
+    const { chatId, messageId } = req.params;
+
+    await deleteChatMessage({ chatId, messageId, user: req.user });
 
     return res.status(200).json(
         new ApiResponse(200, {}, 'Message deleted successfully')
     );
 });
 
-// Restore a deleted message (admin or sender only)
-export const restoreMessage = asyncHandler(async (req, res) => {
+// GET /api/v1/chats/:chatId/messages/:messageId/info - who received and read a message (sender only)
+export const getMessageInfo = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId, messageId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+        throw new ApiError(400, 'Invalid chat or message ID');
+    }
+
+    const chat = await Chat.findOne({
+        _id: chatId,
+        participants: currentUserId
+    }).select('participants').lean();
+
+    if (!chat) {
+        throw new ApiError(404, 'Chat not found or access denied');
+    }
+
+    const message = await Message.findOne({
+        _id: messageId,
+        chatId,
+        isDeleted: { $ne: true }
+    }).select('sender timestamp readBy deliveredTo readReceipts').lean();
+
+    if (!message) {
+        throw new ApiError(404, 'Message not found');
+    }
+
+    if (message.sender.toString() !== currentUserId.toString()) {
+        throw new ApiError(403, 'Only the sender can view message info');
+    }
+
+    const recipientIds = chat.participants
+        .map(id => id.toString())
+        .filter(id => id !== currentUserId.toString());
+
+    const users = await User.find({ _id: { $in: recipientIds } })
+        .select('username fullName profileImageUrl')
+        .lean();
+    const userById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const deliveredAtByUser = new Map((message.deliveredTo || []).map(entry => [entry.user.toString(), entry.deliveredAt]));
+    const readAtByUser = new Map((message.readReceipts || []).map(entry => [entry.user.toString(), entry.readAt]));
+    const readBy = new Set((message.readBy || []).map(id => id.toString()));
+
+    const recipients = recipientIds.map(id => {
+        // Messages read before receipts existed have readBy but no timestamps
+        const hasRead = readBy.has(id);
+        return {
+            user: userById.get(id) || { _id: id },
+            deliveredAt: deliveredAtByUser.get(id) || null,
+            readAt: readAtByUser.get(id) || null,
+            status: hasRead ? 'read' : deliveredAtByUser.has(id) ? 'delivered' : 'sent'
+        };
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            messageId,
+            sentAt: message.timestamp,
+            status: getDeliveryStatus(message, recipientIds),
+            deliveredCount: recipients.filter(recipient => recipient.status !== 'sent').length,
+            readCount: recipients.filter(recipient => recipient.status === 'read').length,
+            totalRecipients: recipients.length,
+            readBy: recipients.filter(recipient => recipient.status === 'read'),
+            deliveredTo: recipients.filter(recipient => recipient.status === 'delivered'),
+            pending: recipients.filter(recipient => recipient.status === 'sent')
+        }, 'Message info fetched successfully')
+    );
+});
+
+// Edit a message (sender only, within the edit window)
+export const editMessage = asyncHandler(async (req, res) => {
     const currentUserId = req.user._id;
     const { chatId, messageId } = req.params;
+    const newText = typeof req.body?.message === 'string' ? req.body.message.trim() : '';
+
+    if (!mongoose.Types.ObjectId.isValid(chatId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+        throw new ApiError(400, 'Invalid chat or message ID');
+    }
+
+    if (!newText) {
+        throw new ApiError(400, 'Message content is required');
+    }
+
+    if (newText.length > MAX_MESSAGE_LENGTH) {
+        throw new ApiError(400, `Message cannot exceed ${MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    // Verify user is participant in the chat
+    const chat = await Chat.findOne({
+        _id: chatId,
+        participants: currentUserId
+    });
+
+    if (!chat) {
+        throw new ApiError(404, 'Chat not found or access denied');
+    }
+
+    const message = await Message.findOne({
+        _id: messageId,
+        chatId,
+        isDeleted: { $ne: true }
+    });
+
+    if (!message) {
+        throw new ApiError(404, 'Message not found');
+    }
+
+    if (message.sender.toString() !== currentUserId.toString()) {
+        throw new ApiError(403, 'You can only edit your own messages');
+    }
+
+    if (message.messageType === 'system') {
+        throw new ApiError(400, 'System messages cannot be edited');
+    }
+
+    const editWindowMs = MESSAGE_EDIT_WINDOW_MINUTES * 60 * 1000;
+    if (Date.now() - message.timestamp.getTime() > editWindowMs) {
+        throw new ApiError(400, `Messages can only be edited within ${MESSAGE_EDIT_WINDOW_MINUTES} minutes of sending`);
+    }
+
+    if (newText === message.message) {
+        throw new ApiError(400, 'Message is unchanged');
+    }
+
+    const editedAt = new Date();
+
+    // Matching on the current text keeps concurrent edits from losing a history entry
+    const updated = await Message.findOneAndUpdate(
+        { _id: messageId, message: message.message, isDeleted: { $ne: true } },
+        {
+            $set: { message: newText, editedAt },
+            $push: {
+                editHistory: {
+                    $each: [{ message: message.message, editedAt }],
+                    $slice: -MAX_EDIT_HISTORY
+                }
+            }
+        },
+        { new: true }
+    );
+
+    if (!updated) {
+        throw new ApiError(409, 'Message was changed or deleted meanwhile, please try again');
+    }
+
+    // Keep the chat list preview in sync when the last message was edited
+    const isLastMessage = chat.lastMessageId?.toString() === messageId.toString();
+    if (isLastMessage) {
+        await Chat.updateOne(
+            { _id: chatId, lastMessageId: updated._id },
+            { $set: { 'lastMessage.message': newText } }
+        );
+    }
+
+    const populatedMessage = await Message.findById(updated._id)
+        .populate('sender', 'username fullName profileImageUrl')
+        .populate({
+            path: 'replyTo',
+            select: 'message sender timestamp',
+            populate: {
+                path: 'sender',
+                select: 'username fullName'
+            }
+        })
+        .lean();
+
+    safeEmitToChat(chatId, 'message_edited', {
+        chatId,
+        messageId,
+        message: populatedMessage,
+        editedAt,
+        editedBy: {
+            _id: currentUserId,
+            username: req.user.username,
+            fullName: req.user.fullName
+        }
+    });
+
+    if (isLastMessage) {
+        invalidateChatListCache(chat.participants.map(p => p.toString())).catch(cacheError =>
+            console.error('Error invalidating chat list cache:', cacheError)
+        );
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, populatedMessage, 'Message edited successfully')
+    );
+});
+
+/**
+ * Restore a deleted message (admin or sender only) and notify the chat room.
+ * Shared by the HTTP endpoint and the socket `restore_message` event.
+ * @returns {Promise<Object>} - The restored message
+ */
+export const restoreChatMessage = async ({ chatId, messageId, user }) => {
+    const currentUserId = user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+        throw new ApiError(400, 'Invalid chat or message ID');
+    }
 
     // Verify user is participant in the chat
     const chat = await Chat.findOne({
@@ -1175,17 +1939,7 @@ export const restoreMessage = asyncHandler(async (req, res) => {
     await message.save();
 
     // Populate sender info for response
-    const populatedMessage = await Message.findById(message._id)
-        .populate('sender', 'username fullName profileImageUrl')
-        .populate({
-            path: 'replyTo',
-            select: 'message sender timestamp',
-            populate: {
-                path: 'sender',
-                select: 'username fullName'
-            }
-        })
-        .lean();
+    const populatedMessage = await populateMessage(message._id);
 
     // Emit real-time event for message restoration
     safeEmitToChat(chatId, 'message_restored', {
@@ -1193,6 +1947,194 @@ export const restoreMessage = asyncHandler(async (req, res) => {
         messageId,
         restoredMessage: populatedMessage,
         restoredBy: {
+            _id: currentUserId,
+            username: user.username,
+            fullName: user.fullName
+        }
+    });
+
+    return populatedMessage;
+};
+
+// Restore a deleted message (admin or sender only)
+export const restoreMessage = asyncHandler(async (req, res) => {
+    const { chatId, messageId } = req.params;
+
+    const populatedMessage = await restoreChatMessage({ chatId, messageId, user: req.user });
+
+    return res.status(200).json(
+        new ApiResponse(200, populatedMessage, 'Message restored successfully')
+    );
+});
+
+const parseReactionEmoji = (emoji) => {
+    const value = typeof emoji === 'string' ? emoji.trim() : '';
+    if (!value || value.length > MAX_REACTION_LENGTH) {
+        throw new ApiError(400, 'A valid emoji is required');
+    }
+    return value;
+};
+
+// Shared by adding and removing reactions: the chat must be usable by the current user
+const ensureMessageReactable = async (chatId, messageId, currentUserId) => {
+    if (!mongoose.Types.ObjectId.isValid(chatId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+        throw new ApiError(400, 'Invalid chat or message ID');
+    }
+
+    const chat = await Chat.findOne({
+        _id: chatId,
+        participants: currentUserId
+    }).select('status createdBy');
+
+    if (!chat) {
+        throw new ApiError(404, 'Chat not found or access denied');
+    }
+
+    if (chat.status === 'requested' && chat.createdBy.toString() !== currentUserId.toString()) {
+        throw new ApiError(403, 'You must accept the chat request before reacting to messages');
+    } else if (chat.status === 'declined') {
+        throw new ApiError(403, 'This chat request has been declined');
+    }
+
+    const messageExists = await Message.exists({
+        _id: messageId,
+        chatId,
+        isDeleted: { $ne: true }
+    });
+
+    if (!messageExists) {
+        throw new ApiError(404, 'Message not found');
+    }
+};
+
+const emitReactionChange = async (req, chatId, messageId, action, emoji) => {
+    const message = await Message.findById(messageId).select('reactions').lean();
+    const reactions = summarizeReactions(message?.reactions);
+
+    safeEmitToChat(chatId, 'message_reaction', {
+        chatId,
+        messageId,
+        action,
+        emoji,
+        user: {
+            _id: req.user._id,
+            username: req.user.username,
+            fullName: req.user.fullName
+        },
+        reactions
+    });
+
+    return summarizeReactions(message?.reactions, req.user._id);
+};
+
+// POST /api/v1/chats/:chatId/messages/:messageId/reactions - one reaction per user per emoji
+export const addReaction = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId, messageId } = req.params;
+    const emoji = parseReactionEmoji(req.body?.emoji);
+
+    await ensureMessageReactable(chatId, messageId, currentUserId);
+
+    // The filter makes a repeated reaction a no-op, even when two requests race
+    const result = await Message.updateOne(
+        {
+            _id: messageId,
+            chatId,
+            reactions: { $not: { $elemMatch: { user: currentUserId, emoji } } }
+        },
+        { $push: { reactions: { user: currentUserId, emoji, timestamp: new Date() } } }
+    );
+
+    const reactions = result.modifiedCount > 0
+        ? await emitReactionChange(req, chatId, messageId, 'added', emoji)
+        : summarizeReactions((await Message.findById(messageId).select('reactions').lean())?.reactions, currentUserId);
+
+    return res.status(200).json(
+        new ApiResponse(200, { messageId, reactions }, 'Reaction added successfully')
+    );
+});
+
+// DELETE /api/v1/chats/:chatId/messages/:messageId/reactions - emoji in the body or ?emoji=
+export const removeReaction = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId, messageId } = req.params;
+    const emoji = parseReactionEmoji(req.body?.emoji || req.query.emoji);
+
+    await ensureMessageReactable(chatId, messageId, currentUserId);
+
+    const result = await Message.updateOne(
+        { _id: messageId, chatId },
+        { $pull: { reactions: { user: currentUserId, emoji } } }
+    );
+
+    if (result.modifiedCount === 0) {
+        throw new ApiError(404, 'Reaction not found');
+    }
+
+    const reactions = await emitReactionChange(req, chatId, messageId, 'removed', emoji);
+
+    return res.status(200).json(
+        new ApiResponse(200, { messageId, reactions }, 'Reaction removed successfully')
+    );
+});
+
+// Pinning in a group is an admin action; in a direct chat either participant can pin
+const findPinnableChat = async (chatId, messageId, currentUserId) => {
+    if (!mongoose.Types.ObjectId.isValid(chatId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+        throw new ApiError(400, 'Invalid chat or message ID');
+    }
+
+    const chat = await Chat.findOne({
+        _id: chatId,
+        participants: currentUserId
+    }).select('chatType admins pinnedMessages');
+
+    if (!chat) {
+        throw new ApiError(404, 'Chat not found or access denied');
+    }
+
+    if (chat.chatType === 'group' && !chat.admins?.some(id => id.toString() === currentUserId.toString())) {
+        throw new ApiError(403, 'Only group admins can pin or unpin messages');
+    }
+
+    return chat;
+};
+
+// POST /api/v1/chats/:chatId/messages/:messageId/pin
+export const pinMessage = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId, messageId } = req.params;
+
+    const chat = await findPinnableChat(chatId, messageId, currentUserId);
+
+    const message = await Message.exists({
+        _id: messageId,
+        chatId,
+        isDeleted: { $ne: true },
+        messageType: { $ne: 'system' }
+    });
+
+    if (!message) {
+        throw new ApiError(404, 'Message not found');
+    }
+
+    if (chat.pinnedMessages.some(id => id.toString() === messageId)) {
+        throw new ApiError(400, 'Message is already pinned');
+    }
+
+    if (chat.pinnedMessages.length >= MAX_PINNED_MESSAGES) {
+        throw new ApiError(400, `A chat can have at most ${MAX_PINNED_MESSAGES} pinned messages`);
+    }
+
+    await Chat.updateOne(
+        { _id: chatId },
+        { $addToSet: { pinnedMessages: new mongoose.Types.ObjectId(messageId) } }
+    );
+
+    safeEmitToChat(chatId, 'message_pinned', {
+        chatId,
+        messageId,
+        pinnedBy: {
             _id: currentUserId,
             username: req.user.username,
             fullName: req.user.fullName
@@ -1200,7 +2142,232 @@ export const restoreMessage = asyncHandler(async (req, res) => {
     });
 
     return res.status(200).json(
-        new ApiResponse(200, populatedMessage, 'Message restored successfully')
+        new ApiResponse(200, { chatId, messageId, isPinned: true }, 'Message pinned successfully')
+    );
+});
+
+// DELETE /api/v1/chats/:chatId/messages/:messageId/pin
+export const unpinMessage = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId, messageId } = req.params;
+
+    await findPinnableChat(chatId, messageId, currentUserId);
+
+    const result = await Chat.updateOne(
+        { _id: chatId },
+        { $pull: { pinnedMessages: new mongoose.Types.ObjectId(messageId) } }
+    );
+
+    if (result.modifiedCount === 0) {
+        throw new ApiError(404, 'Message is not pinned');
+    }
+
+    safeEmitToChat(chatId, 'message_unpinned', {
+        chatId,
+        messageId,
+        unpinnedBy: {
+            _id: currentUserId,
+            username: req.user.username,
+            fullName: req.user.fullName
+        }
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, { chatId, messageId, isPinned: false }, 'Message unpinned successfully')
+    );
+});
+
+// GET /api/v1/chats/:chatId/pinned - most recently pinned first
+export const getPinnedMessages = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        throw new ApiError(400, 'Invalid chat ID');
+    }
+
+    const chat = await Chat.findOne({
+        _id: chatId,
+        participants: currentUserId
+    }).select('pinnedMessages').lean();
+
+    if (!chat) {
+        throw new ApiError(404, 'Chat not found or access denied');
+    }
+
+    const pinnedIds = chat.pinnedMessages || [];
+    const messages = await Message.find({
+        _id: { $in: pinnedIds },
+        chatId,
+        isDeleted: { $ne: true }
+    })
+        .select('sender message messageType mediaUrl fileName fileSize duration timestamp editedAt isForwarded sharedPost storyReply waveform')
+        .populate('sender', 'username fullName profileImageUrl')
+        .lean();
+
+    const byId = new Map(messages.map(message => [message._id.toString(), message]));
+    const pinnedMessages = [...pinnedIds]
+        .reverse()
+        .map(id => byId.get(id.toString()))
+        .filter(Boolean);
+
+    return res.status(200).json(
+        new ApiResponse(200, { chatId, pinnedMessages }, 'Pinned messages fetched successfully')
+    );
+});
+
+// POST /api/v1/chats/:chatId/messages/:messageId/star - private to the current user
+export const starMessage = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId, messageId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+        throw new ApiError(400, 'Invalid chat or message ID');
+    }
+
+    const chat = await Chat.exists({ _id: chatId, participants: currentUserId });
+    if (!chat) {
+        throw new ApiError(404, 'Chat not found or access denied');
+    }
+
+    const message = await Message.exists({
+        _id: messageId,
+        chatId,
+        isDeleted: { $ne: true },
+        messageType: { $ne: 'system' }
+    });
+
+    if (!message) {
+        throw new ApiError(404, 'Message not found');
+    }
+
+    await StarredMessage.updateOne(
+        { userId: currentUserId, messageId },
+        { $setOnInsert: { chatId, starredAt: new Date() } },
+        { upsert: true }
+    );
+
+    return res.status(200).json(
+        new ApiResponse(200, { chatId, messageId, isStarred: true }, 'Message starred successfully')
+    );
+});
+
+// DELETE /api/v1/chats/:chatId/messages/:messageId/star
+export const unstarMessage = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { messageId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        throw new ApiError(400, 'Invalid message ID');
+    }
+
+    const result = await StarredMessage.deleteOne({ userId: currentUserId, messageId });
+    if (result.deletedCount === 0) {
+        throw new ApiError(404, 'Message is not starred');
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, { messageId, isStarred: false }, 'Message unstarred successfully')
+    );
+});
+
+// GET /api/v1/chats/starred - starred messages across all of the user's chats, newest star first
+export const getStarredMessages = asyncHandler(async (req, res) => {
+    const currentUserId = new mongoose.Types.ObjectId(req.user._id.toString());
+    const { page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page) || 1;
+    const pageLimit = Math.min(parseInt(limit) || 20, 50);
+    const skip = (pageNum - 1) * pageLimit;
+
+    // Only chats the user still belongs to, and messages that still exist
+    const pipeline = [
+        { $match: { userId: currentUserId } },
+        {
+            $lookup: {
+                from: 'chats',
+                localField: 'chatId',
+                foreignField: '_id',
+                as: 'chat',
+                pipeline: [
+                    { $match: { participants: currentUserId } },
+                    { $project: { chatType: 1, groupName: 1, groupImage: 1, participants: 1 } }
+                ]
+            }
+        },
+        { $unwind: '$chat' },
+        {
+            $lookup: {
+                from: 'messages',
+                localField: 'messageId',
+                foreignField: '_id',
+                as: 'message',
+                pipeline: [
+                    { $match: { isDeleted: { $ne: true } } },
+                    { $project: { sender: 1, message: 1, messageType: 1, mediaUrl: 1, fileName: 1, fileSize: 1, duration: 1, timestamp: 1, editedAt: 1, isForwarded: 1, sharedPost: 1, storyReply: 1, waveform: 1 } }
+                ]
+            }
+        },
+        { $unwind: '$message' }
+    ];
+
+    const [starred, totalResult] = await Promise.all([
+        StarredMessage.aggregate([
+            ...pipeline,
+            { $sort: { starredAt: -1 } },
+            { $skip: skip },
+            { $limit: pageLimit }
+        ]),
+        StarredMessage.aggregate([...pipeline, { $count: 'total' }])
+    ]);
+
+    // Senders and direct-chat partners for display
+    const userIds = new Set();
+    starred.forEach(star => {
+        userIds.add(star.message.sender.toString());
+        if (star.chat.chatType === 'direct') {
+            star.chat.participants.forEach(id => userIds.add(id.toString()));
+        }
+    });
+    const users = await User.find({ _id: { $in: [...userIds] } })
+        .select('username fullName profileImageUrl')
+        .lean();
+    const userById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const starredMessages = starred.map(star => {
+        const otherParticipant = star.chat.chatType === 'direct'
+            ? star.chat.participants.find(id => id.toString() !== currentUserId.toString())
+            : null;
+
+        return {
+            starredAt: star.starredAt,
+            chat: {
+                _id: star.chat._id,
+                chatType: star.chat.chatType,
+                groupName: star.chat.groupName,
+                groupImage: star.chat.groupImage,
+                otherParticipant: otherParticipant ? userById.get(otherParticipant.toString()) || null : null
+            },
+            message: {
+                ...star.message,
+                sender: userById.get(star.message.sender.toString()) || { _id: star.message.sender }
+            }
+        };
+    });
+
+    const total = totalResult[0]?.total || 0;
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            starredMessages,
+            pagination: {
+                currentPage: pageNum,
+                totalPages: Math.ceil(total / pageLimit),
+                totalMessages: total,
+                hasNextPage: pageNum < Math.ceil(total / pageLimit),
+                hasPrevPage: pageNum > 1
+            }
+        }, 'Starred messages fetched successfully')
     );
 });
 
@@ -0,0 +1,307 @@
+import Chat from '../models/chat.models.js';
+import Message from '../models/message.models.js';
+import Post from '../models/userPost.models.js';
+import PostInteraction from '../models/postInteraction.models.js';
+import Follower from '../models/follower.models.js';
+import Block from '../models/block.models.js';
+import { ApiError } from '../utlis/ApiError.js';
+import { ApiResponse } from '../utlis/ApiResponse.js';
+import { asyncHandler } from '../utlis/asyncHandler.js';
+import { canViewPost } from '../utlis/postPrivacy.js';
+import mongoose from 'mongoose';
+import { sendChatMessage } from './chat.controllers.js';
+
+const MAX_SHARE_TARGETS = 5;
+const MAX_PREVIEW_CAPTION_LENGTH = 200;
+
+const POST_OWNER_FIELDS = 'username fullName profileImageUrl privacy isFullPrivate';
+
+// Validate and dedupe the target chat IDs of a forward or share
+const parseTargetChatIds = (chatIds) => {
+    if (!Array.isArray(chatIds) || chatIds.length === 0) {
+        throw new ApiError(400, 'chatIds must be a non-empty array');
+    }
+
+    const uniqueIds = [...new Set(chatIds.map(id => String(id)))];
+    if (uniqueIds.length > MAX_SHARE_TARGETS) {
+        throw new ApiError(400, `You can send to at most ${MAX_SHARE_TARGETS} chats at once`);
+    }
+
+    if (uniqueIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        throw new ApiError(400, 'Invalid chat IDs');
+    }
+
+    return uniqueIds;
+};
+
+/**
+ * Users (out of userIds) who may see a post, using the same rules as getPostById:
+ * canViewPost with each user's follow relation to the author, and nobody on either side of a block
+ * @param {Object} post - Post with userId populated with POST_OWNER_FIELDS
+ * @param {Array<string>} userIds - Candidate viewers
+ * @returns {Promise<Set<string>>}
+ */
+const getPostViewers = async (post, userIds) => {
+    const owner = post.userId;
+    const ownerId = owner._id.toString();
+
+    const [follows, blocks] = await Promise.all([
+        Follower.find({
+            $or: [
+                { userId: ownerId, followerId: { $in: userIds } },
+                { userId: { $in: userIds }, followerId: ownerId }
+            ]
+        }).select('userId followerId').lean(),
+        Block.find({
+            $or: [
+                { blockerId: ownerId, blockedId: { $in: userIds } },
+                { blockerId: { $in: userIds }, blockedId: ownerId }
+            ]
+        }).select('blockerId blockedId').lean()
+    ]);
+
+    const blockedIds = new Set(blocks.flatMap(block => [block.blockerId.toString(), block.blockedId.toString()]));
+    blockedIds.delete(ownerId);
+
+    const viewers = new Set();
+    for (const userId of userIds) {
+        if (blockedIds.has(userId)) continue;
+
+        // Only the relation to the author matters to canViewPost
+        const following = follows.some(f => f.followerId.toString() === userId && f.userId.toString() === ownerId) ? [ownerId] : [];
+        const followers = follows.some(f => f.userId.toString() === userId && f.followerId.toString() === ownerId) ? [ownerId] : [];
+
+        if (canViewPost(post, owner, { _id: userId }, following, followers)) {
+            viewers.add(userId);
+        }
+    }
+
+    return viewers;
+};
+
+// Snapshot of the post shown in the chat bubble
+const buildPostPreview = (post) => {
+    const media = post.media?.[0];
+    const caption = post.caption || '';
+
+    return {
+        caption: caption.length > MAX_PREVIEW_CAPTION_LENGTH
+            ? caption.substring(0, MAX_PREVIEW_CAPTION_LENGTH) + '...'
+            : caption,
+        thumbnailUrl: media?.thumbnailUrl || media?.url,
+        mediaType: media?.type,
+        postType: post.postType,
+        contentType: post.contentType,
+        author: {
+            userId: post.userId._id,
+            username: post.userId.username,
+            fullName: post.userId.fullName,
+            profileImageUrl: post.userId.profileImageUrl
+        }
+    };
+};
+
+// Count shares on the post and record them for insights (fire-and-forget)
+const recordPostShares = (postId, userId, count) => {
+    (async () => {
+        try {
+            await Promise.all([
+                Post.updateOne({ _id: postId }, { $inc: { 'engagement.shares': count } }),
+                PostInteraction.updateOne(
+                    { userId, postId, interactionType: 'share' },
+                    {
+                        $set: { lastInteracted: new Date() },
+                        $inc: { interactionCount: count },
+                        $setOnInsert: { userId, postId, interactionType: 'share' }
+                    },
+                    { upsert: true }
+                )
+            ]);
+        } catch (error) {
+            console.error(`Error recording shares for post ${postId}:`, error);
+        }
+    })();
+};
+
+/**
+ * Send one message to each target chat, collecting per-chat results.
+ * A post can only go to chats where every other participant may see it.
+ * @param {Object} params
+ * @param {Object} params.post - Shared post (null when not sharing a post)
+ * @param {Function} params.buildMessage - (chatId) => sendChatMessage params
+ */
+const sendToChats = async ({ chatIds, senderId, post = null, buildMessage }) => {
+    const chats = await Chat.find({ _id: { $in: chatIds }, participants: senderId })
+        .select('participants')
+        .lean();
+    const chatsById = new Map(chats.map(chat => [chat._id.toString(), chat]));
+
+    let viewers = null;
+    if (post) {
+        const recipientIds = [...new Set(chats.flatMap(chat => chat.participants.map(id => id.toString())))]
+            .filter(id => id !== senderId.toString());
+        viewers = await getPostViewers(post, recipientIds);
+    }
+
+    const sent = [];
+    const failed = [];
+
+    for (const chatId of chatIds) {
+        const chat = chatsById.get(chatId);
+        if (!chat) {
+            failed.push({ chatId, statusCode: 404, error: 'Chat not found or access denied' });
+            continue;
+        }
+
+        if (viewers) {
+            const hiddenFrom = chat.participants
+                .map(id => id.toString())
+                .filter(id => id !== senderId.toString() && !viewers.has(id));
+            if (hiddenFrom.length > 0) {
+                failed.push({ chatId, statusCode: 403, error: 'This post is not visible to everyone in this chat' });
+                continue;
+            }
+        }
+
+        try {
+            const { message } = await sendChatMessage(buildMessage(chatId));
+            sent.push({ chatId, message });
+        } catch (error) {
+            failed.push({ chatId, statusCode: error.statusCode || 500, error: error.message });
+        }
+    }
+
+    // Nothing was delivered - surface the first failure as the error
+    if (sent.length === 0) {
+        throw new ApiError(failed[0].statusCode, failed[0].error);
+    }
+
+    return {
+        sent,
+        failed: failed.map(({ chatId, error }) => ({ chatId, error }))
+    };
+};
+
+// Load a post for sharing; the sender must be able to see it too
+const findShareablePost = async (postId, senderId) => {
+    const post = await Post.findById(postId)
+        .select('userId caption media postType contentType status settings')
+        .populate('userId', POST_OWNER_FIELDS)
+        .lean();
+
+    if (!post || !post.userId) {
+        throw new ApiError(404, 'Post not found');
+    }
+
+    const senderViewers = await getPostViewers(post, [senderId.toString()]);
+    if (!senderViewers.has(senderId.toString())) {
+        throw new ApiError(403, 'You do not have permission to share this post');
+    }
+
+    return post;
+};
+
+// POST /api/v1/chats/share-post - body { postId, chatIds, message? }
+export const sharePostToChats = asyncHandler(async (req, res) => {
+    const { postId, chatIds, message } = req.body || {};
+    const currentUserId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+        throw new ApiError(400, 'Invalid post ID');
+    }
+
+    if (message !== undefined && message !== null && typeof message !== 'string') {
+        throw new ApiError(400, 'Message must be a string');
+    }
+
+    const targetChatIds = parseTargetChatIds(chatIds);
+    const post = await findShareablePost(postId, currentUserId);
+    const preview = buildPostPreview(post);
+
+    const result = await sendToChats({
+        chatIds: targetChatIds,
+        senderId: currentUserId,
+        post,
+        buildMessage: (chatId) => ({
+            chatId,
+            senderId: currentUserId,
+            message: message?.trim() || `📮 Shared a post by @${post.userId.username}`,
+            messageType: 'post_share',
+            serverFields: { sharedPost: { postId: post._id, preview } }
+        })
+    });
+
+    recordPostShares(post._id, currentUserId, result.sent.length);
+
+    return res.status(201).json(
+        new ApiResponse(201, result, `Post shared to ${result.sent.length} chat(s)`)
+    );
+});
+
+// POST /api/v1/chats/:chatId/messages/:messageId/forward - body { chatIds }
+export const forwardMessage = asyncHandler(async (req, res) => {
+    const { chatId, messageId } = req.params;
+    const currentUserId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(chatId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+        throw new ApiError(400, 'Invalid chat or message ID');
+    }
+
+    const targetChatIds = parseTargetChatIds(req.body?.chatIds);
+
+    const sourceChat = await Chat.exists({ _id: chatId, participants: currentUserId });
+    if (!sourceChat) {
+        throw new ApiError(404, 'Chat not found or access denied');
+    }
+
+    const source = await Message.findOne({ _id: messageId, chatId, isDeleted: false }).lean();
+    if (!source) {
+        throw new ApiError(404, 'Message not found');
+    }
+
+    if (source.messageType === 'system') {
+        throw new ApiError(400, 'System messages cannot be forwarded');
+    }
+
+    // A forwarded post is a new share, so it goes through the same visibility checks
+    let post = null;
+    if (source.messageType === 'post_share') {
+        post = await findShareablePost(source.sharedPost?.postId, currentUserId);
+    }
+
+    // Media is referenced, not re-uploaded
+    const serverFields = {
+        isForwarded: true,
+        forwardedFrom: source._id,
+        ...(source.mediaUrl && {
+            mediaUrl: source.mediaUrl,
+            fileName: source.fileName,
+            fileSize: source.fileSize,
+            duration: source.duration,
+            waveform: source.waveform
+        }),
+        ...(source.location?.latitude !== undefined && { location: source.location }),
+        ...(post && { sharedPost: { postId: post._id, preview: buildPostPreview(post) } })
+    };
+
+    const result = await sendToChats({
+        chatIds: targetChatIds,
+        senderId: currentUserId,
+        post,
+        buildMessage: (targetChatId) => ({
+            chatId: targetChatId,
+            senderId: currentUserId,
+            message: source.message,
+            messageType: source.messageType,
+            serverFields
+        })
+    });
+
+    if (post) {
+        recordPostShares(post._id, currentUserId, result.sent.length);
+    }
+
+    return res.status(201).json(
+        new ApiResponse(201, result, `Message forwarded to ${result.sent.length} chat(s)`)
+    );
+});
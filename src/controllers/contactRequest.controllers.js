@@ -223,6 +223,11 @@ const respondToRequest = asyncHandler(async (req, res) => {
 
     await request.save();
 
+    // An approved request is a conversion for the business
+    if (status === 'approved') {
+        await Business.updateOne({ _id: request.business }, { $inc: { 'insights.conversions': 1 } });
+    }
+
     // Populate the updated request for response
     const updatedRequest = await ContactRequest.findById(requestId)
         .populate('requester', 'username fullName profileImageUrl')
@@ -0,0 +1,282 @@
+import mongoose from 'mongoose';
+import { asyncHandler } from "../utlis/asyncHandler.js";
+import { ApiError } from "../utlis/ApiError.js";
+import { ApiResponse } from "../utlis/ApiResponse.js";
+import Draft from "../models/draft.models.js";
+import Post from "../models/userPost.models.js";
+import { deleteMultipleFromBunny } from "../utlis/bunny.js";
+import { validatePostCustomization } from "../utlis/deliveryValidation.js";
+import { syncPostHashtags } from "../utlis/hashtag.utils.js";
+import { extractMediaFiles, uploadPostMedia, resolvePostLocation, parseScheduledAt } from "./post.controllers.js";
+
+const POST_TYPES = ["photo", "reel", "video", "story"];
+const CONTENT_TYPES = ["normal", "product", "service", "business"];
+
+// Multipart bodies send objects/arrays as JSON strings
+const parseField = (value, field) => {
+    if (typeof value !== "string") return value;
+    try {
+        return JSON.parse(value);
+    } catch {
+        throw new ApiError(400, `Invalid JSON in '${field}'`);
+    }
+};
+
+// Build the draft fields present in the request body (nothing is required for a draft)
+const buildDraftFields = (body) => {
+    const fields = {};
+
+    if (body.contentType !== undefined) {
+        if (!CONTENT_TYPES.includes(body.contentType)) {
+            throw new ApiError(400, "contentType must be one of 'normal', 'product', 'service', or 'business'");
+        }
+        fields.contentType = body.contentType;
+    }
+
+    if (body.postType !== undefined) {
+        if (!POST_TYPES.includes(body.postType)) {
+            throw new ApiError(400, "postType must be one of 'photo', 'reel', 'video', or 'story'");
+        }
+        fields.postType = body.postType;
+    }
+
+    ["caption", "description", "mood", "activity"].forEach((field) => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+
+    ["mentions", "tags", "location", "settings"].forEach((field) => {
+        if (body[field] !== undefined) fields[field] = parseField(body[field], field);
+    });
+
+    if (fields.mentions !== undefined) {
+        if (!Array.isArray(fields.mentions) || fields.mentions.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+            throw new ApiError(400, "Invalid mention IDs");
+        }
+    }
+
+    ["product", "service", "business"].forEach((field) => {
+        if (body[field] !== undefined) fields[`customization.${field}`] = parseField(body[field], field);
+    });
+
+    if (body.isAutoSaved !== undefined) {
+        fields.isAutoSaved = body.isAutoSaved === true || body.isAutoSaved === "true";
+    }
+
+    return fields;
+};
+
+const collectMediaUrls = (media = []) => media.flatMap(item => [item.url, item.thumbnailUrl].filter(Boolean));
+
+const findOwnDraft = async (draftId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(draftId)) {
+        throw new ApiError(400, "Invalid draft ID");
+    }
+
+    const draft = await Draft.findOne({ _id: draftId, userId });
+    if (!draft) throw new ApiError(404, "Draft not found");
+
+    return draft;
+};
+
+// Create a draft for any content type (normal, product, service, business)
+export const createDraft = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const fields = buildDraftFields(req.body);
+
+    const files = extractMediaFiles(req.files);
+    const media = files.length ? await uploadPostMedia(files, req.files?.thumbnail?.[0]) : [];
+
+    const draft = new Draft({ userId, type: "Post", media });
+    draft.set(fields);
+    await draft.save();
+
+    return res.status(201).json(new ApiResponse(201, draft, "Draft saved successfully"));
+});
+
+// List the user's drafts, most recently edited first
+export const getDrafts = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const { contentType } = req.query;
+
+    const page = parseInt(req.query.page) > 0 ? parseInt(req.query.page) : 1;
+    const limit = Math.min(parseInt(req.query.limit) > 0 ? parseInt(req.query.limit) : 20, 50);
+
+    const filter = { userId };
+    if (contentType) {
+        if (!CONTENT_TYPES.includes(contentType)) {
+            throw new ApiError(400, "Invalid content type. Must be one of: normal, product, service, business");
+        }
+        filter.contentType = contentType;
+    }
+
+    const [drafts, total] = await Promise.all([
+        Draft.find(filter)
+            .sort({ updatedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        Draft.countDocuments(filter)
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            drafts,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalDrafts: total,
+                hasNextPage: page * limit < total,
+                limit
+            }
+        }, "Drafts fetched successfully")
+    );
+});
+
+export const getDraftById = asyncHandler(async (req, res) => {
+    const draft = await findOwnDraft(req.params.draftId, req.user._id);
+
+    await draft.populate('mentions', 'username fullName profileImageUrl');
+
+    return res.status(200).json(new ApiResponse(200, draft, "Draft fetched successfully"));
+});
+
+/**
+ * Update a draft (also used for autosave with isAutoSaved=true)
+ * New files are appended to the draft media; removeMedia lists media URLs to drop.
+ */
+export const updateDraft = asyncHandler(async (req, res) => {
+    const draft = await findOwnDraft(req.params.draftId, req.user._id);
+    const fields = buildDraftFields(req.body);
+
+    // Manual saves clear the autosave flag unless the client says otherwise
+    if (fields.isAutoSaved === undefined) fields.isAutoSaved = false;
+
+    const removeMedia = parseField(req.body.removeMedia, "removeMedia") || [];
+    if (!Array.isArray(removeMedia)) {
+        throw new ApiError(400, "removeMedia must be an array of media URLs");
+    }
+
+    const removedMedia = draft.media.filter(item => removeMedia.includes(item.url));
+    const keptMedia = draft.media.filter(item => !removeMedia.includes(item.url));
+
+    const files = extractMediaFiles(req.files);
+    const newMedia = files.length ? await uploadPostMedia(files, req.files?.thumbnail?.[0]) : [];
+
+    draft.set(fields);
+    draft.media = [...keptMedia, ...newMedia];
+    await draft.save();
+
+    const removedUrls = collectMediaUrls(removedMedia);
+    if (removedUrls.length > 0) {
+        try {
+            await deleteMultipleFromBunny(removedUrls);
+        } catch (error) {
+            console.error("Bunny.net deletion error for draft media:", error);
+        }
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, draft, draft.isAutoSaved ? "Draft autosaved" : "Draft updated successfully")
+    );
+});
+
+export const deleteDraft = asyncHandler(async (req, res) => {
+    const draft = await findOwnDraft(req.params.draftId, req.user._id);
+
+    const mediaUrls = collectMediaUrls(draft.media);
+    let mediaCleanup = { totalDeleted: 0, errors: [] };
+
+    if (mediaUrls.length > 0) {
+        try {
+            mediaCleanup = await deleteMultipleFromBunny(mediaUrls);
+        } catch (error) {
+            console.error("Bunny.net deletion error for draft media:", error);
+            mediaCleanup.errors.push({ error: `Bunny.net deletion failed: ${error.message}` });
+        }
+    }
+
+    await Draft.deleteOne({ _id: draft._id });
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            draftId: draft._id,
+            mediaCleanup: {
+                filesDeleted: mediaCleanup.totalDeleted,
+                totalMediaFiles: mediaUrls.length,
+                errors: mediaCleanup.errors
+            }
+        }, "Draft deleted successfully")
+    );
+});
+
+/**
+ * Publish a draft as a post
+ * Runs the same validation as the create*Post controllers and reuses the draft's uploaded media.
+ * Passing scheduledAt creates a scheduled post instead, published later by the scheduled post publisher.
+ */
+export const publishDraft = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const draft = await findOwnDraft(req.params.draftId, userId);
+    const draftData = draft.toObject();
+    const scheduledAt = req.body?.scheduledAt ? parseScheduledAt(req.body.scheduledAt) : undefined;
+
+    if (!draftData.postType || !POST_TYPES.includes(draftData.postType)) {
+        throw new ApiError(400, "postType must be one of 'photo', 'reel', 'video', or 'story'");
+    }
+
+    if (!draftData.media?.length) throw new ApiError(400, "Media file is required");
+
+    const customization = await validatePostCustomization(draftData.contentType, draftData.customization || {});
+    const resolvedLocation = await resolvePostLocation(draftData.location);
+
+    const settings = draftData.settings || {};
+    const post = await Post.create({
+        userId,
+        postType: draftData.postType,
+        contentType: draftData.contentType,
+        caption: draftData.caption,
+        description: draftData.description,
+        mentions: draftData.mentions || [],
+        media: draftData.media,
+        customization: {
+            ...customization,
+            normal: {
+                mood: draftData.mood,
+                activity: draftData.activity,
+                location: resolvedLocation,
+                tags: draftData.tags || [],
+            },
+        },
+        settings: draftData.contentType === "normal"
+            ? {
+                ...settings,
+                privacy: settings.privacy || req.user?.privacy || 'public',
+                isPrivacyTouched: settings.privacy ? true : false
+            }
+            : settings,
+        scheduledAt,
+        publishedAt: scheduledAt ? undefined : new Date(),
+        status: scheduledAt ? "scheduled" : "published",
+        isPromoted: false,
+        isFeatured: false,
+        isReported: false,
+        reportCount: 0,
+        engagement: {},
+        analytics: {},
+    });
+
+    // Add post ID to user's posts array
+    await Post.db.model('User').findByIdAndUpdate(
+        userId,
+        { $push: { posts: post._id } }
+    );
+
+    await syncPostHashtags(post._id, [], post.hashtags);
+
+    // Media now belongs to the post, so only the draft record is removed
+    await Draft.deleteOne({ _id: draft._id });
+
+    return res.status(201).json(
+        new ApiResponse(201, post, scheduledAt ? "Draft scheduled successfully" : "Draft published successfully")
+    );
+});
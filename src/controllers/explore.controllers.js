@@ -1,9 +1,16 @@
 import Post from "../models/userPost.models.js";
 import Reel from "../models/reels.models.js";
 import { User } from "../models/user.models.js";
+import Hashtag from "../models/hashtag.models.js";
+import HashtagFollow from "../models/hashtagFollow.models.js";
 import { ApiResponse } from "../utlis/ApiResponse.js";
+import { ApiError } from "../utlis/ApiError.js";
 import { asyncHandler } from "../utlis/asyncHandler.js";
 import { getViewableUserIds } from "../middlewares/privacy.middleware.js";
+import { publishedPostsFilter, UNPUBLISHED_POST_STATUSES } from "../utlis/postPrivacy.js";
+import { normalizeHashtag } from "../utlis/hashtag.utils.js";
+import { CacheManager } from "../utlis/cache.utils.js";
+import { RedisKeys, RedisTTL } from "../config/redis.config.js";
 import mongoose from "mongoose";
 
 export const getExploreFeed = asyncHandler(async (req, res) => {
@@ -68,6 +75,7 @@ export const getExploreFeed = asyncHandler(async (req, res) => {
     // Get all posts matching the criteria using the same reliable approach as homeFeed (excluding blocked users and respecting privacy)
     const allPosts = await Post.find({
         ...postMatch,
+        $and: [publishedPostsFilter(viewerId)],
         userId: { $in: viewableUserIds, $nin: blockedUsers }
     })
         .sort({ createdAt: -1 })
@@ -261,4 +269,119 @@ export const getExploreFeed = asyncHandler(async (req, res) => {
             hasNextPage
         }
     }, "Explore feed generated"));
-});
\ No newline at end of file
+});
+
+// Trending windows: posts older than the window are ignored, newer ones count less as they age (halfLifeHours)
+const HASHTAG_TRENDING_WINDOWS = {
+    "24h": { hours: 24, halfLifeHours: 6 },
+    "7d": { hours: 7 * 24, halfLifeHours: 24 },
+    "30d": { hours: 30 * 24, halfLifeHours: 5 * 24 }
+};
+
+// GET /api/v1/explore/hashtags/trending?window=24h|7d|30d&limit=20
+export const getTrendingHashtags = asyncHandler(async (req, res) => {
+    const { window = "7d" } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) > 0 ? parseInt(req.query.limit, 10) : 20, 50);
+
+    const windowConfig = HASHTAG_TRENDING_WINDOWS[window];
+    if (!windowConfig) {
+        throw new ApiError(400, `window must be one of: ${Object.keys(HASHTAG_TRENDING_WINDOWS).join(", ")}`);
+    }
+
+    const { data: hashtags } = await CacheManager.getOrSet(
+        RedisKeys.trendingHashtags(window, limit),
+        async () => {
+            const now = new Date();
+            const since = new Date(now.getTime() - windowConfig.hours * 60 * 60 * 1000);
+            const halfLifeMs = windowConfig.halfLifeHours * 60 * 60 * 1000;
+
+            const trending = await Post.aggregate([
+                {
+                    $match: {
+                        createdAt: { $gte: since },
+                        hashtags: { $exists: true, $ne: [] },
+                        status: { $nin: UNPUBLISHED_POST_STATUSES }
+                    }
+                },
+                { $project: { hashtags: 1, createdAt: 1 } },
+                { $unwind: "$hashtags" },
+                {
+                    $group: {
+                        _id: "$hashtags",
+                        postCount: { $sum: 1 },
+                        // Each post counts 1 when new and halves every halfLifeHours
+                        score: {
+                            $sum: {
+                                $pow: [0.5, { $divide: [{ $subtract: [now, "$createdAt"] }, halfLifeMs] }]
+                            }
+                        },
+                        lastUsedAt: { $max: "$createdAt" }
+                    }
+                },
+                { $sort: { score: -1, postCount: -1 } },
+                { $limit: limit }
+            ]);
+
+            const hashtagDocs = await Hashtag.find({ tag: { $in: trending.map(item => item._id) } })
+                .select("tag usageCount")
+                .lean();
+            const usageByTag = new Map(hashtagDocs.map(doc => [doc.tag, doc.usageCount]));
+
+            return trending.map(item => ({
+                tag: item._id,
+                score: Math.round(item.score * 100) / 100,
+                postCount: item.postCount,
+                usageCount: usageByTag.get(item._id) ?? item.postCount,
+                lastUsedAt: item.lastUsedAt
+            }));
+        },
+        RedisTTL.TRENDING_POSTS
+    );
+
+    res.status(200).json(new ApiResponse(200, { window, hashtags }, "Trending hashtags fetched successfully"));
+});
+
+// GET /api/v1/explore/hashtags/:tag - posts carrying a hashtag, with the same privacy/blocking rules as the explore feed
+export const getHashtagPosts = asyncHandler(async (req, res) => {
+    const tag = normalizeHashtag(req.params.tag);
+    if (!tag) throw new ApiError(400, "Hashtag is required");
+
+    const page = parseInt(req.query.page, 10) > 0 ? parseInt(req.query.page, 10) : 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) > 0 ? parseInt(req.query.limit, 10) : 20, 50);
+
+    const blockedUsers = req.blockedUsers || [];
+    const viewerId = req.user?._id;
+    const viewableUserIds = await getViewableUserIds(viewerId);
+
+    const filter = {
+        hashtags: tag,
+        $and: [publishedPostsFilter(viewerId)],
+        userId: { $in: viewableUserIds, $nin: blockedUsers }
+    };
+
+    const [posts, total, hashtag, isFollowing] = await Promise.all([
+        Post.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate("userId", "username profileImageUrl")
+            .select("-analytics -__v -settings.customAudience")
+            .lean(),
+        Post.countDocuments(filter),
+        Hashtag.findOne({ tag }).select("tag usageCount followersCount lastUsedAt").lean(),
+        viewerId ? HashtagFollow.exists({ userId: viewerId, tag }) : null
+    ]);
+
+    res.status(200).json(new ApiResponse(200, {
+        hashtag: hashtag || { tag, usageCount: 0, followersCount: 0, lastUsedAt: null },
+        isFollowing: Boolean(isFollowing),
+        posts,
+        pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            hasNextPage: page * limit < total
+        }
+    }, "Hashtag posts fetched successfully"));
+});
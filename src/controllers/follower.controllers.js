@@ -1,11 +1,18 @@
 import Follower from "../models/follower.models.js";
 import FollowRequest from "../models/followRequest.models.js";
+import HashtagFollow from "../models/hashtagFollow.models.js";
+import Hashtag from "../models/hashtag.models.js";
+import CloseFriend from "../models/closeFriend.models.js";
+import Block from "../models/block.models.js";
+import mongoose from "mongoose";
 import { User } from "../models/user.models.js";
 import { asyncHandler } from "../utlis/asyncHandler.js";
 import { ApiResponse } from "../utlis/ApiResponse.js";
 import { ApiError } from "../utlis/ApiError.js";
 import { createFollowNotification } from "./notification.controllers.js";
 import { redisClient } from "../config/redis.config.js";
+import { normalizeHashtag } from "../utlis/hashtag.utils.js";
+import { FeedCacheManager } from "../utlis/cache.utils.js";
 
 // Follow a user (with privacy support)
 export const followUser = asyncHandler(async (req, res) => {
@@ -316,4 +323,201 @@ export const getSentFollowRequests = asyncHandler(async (req, res) => {
             requestsPerPage: parseInt(limit)
         }
     }, "Sent follow requests retrieved"));
-});
\ No newline at end of file
+});
+
+// Hashtags use the same characters the post hashtag extractor accepts
+const parseHashtag = (rawTag) => {
+    const tag = normalizeHashtag(rawTag);
+    if (!tag) throw new ApiError(400, "Hashtag is required");
+    if (!/^\w{1,100}$/.test(tag)) throw new ApiError(400, "Invalid hashtag");
+    return tag;
+};
+
+// Follow a hashtag
+export const followHashtag = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const tag = parseHashtag(req.body.tag);
+
+    const existingFollow = await HashtagFollow.findOne({ userId, tag });
+    if (existingFollow) throw new ApiError(400, "Already following this hashtag");
+
+    try {
+        await HashtagFollow.create({ userId, tag });
+    } catch (error) {
+        if (error.code === 11000) throw new ApiError(400, "Already following this hashtag");
+        throw error;
+    }
+
+    const hashtag = await Hashtag.findOneAndUpdate(
+        { tag },
+        { $inc: { followersCount: 1 } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).select('tag usageCount followersCount');
+
+    // Followed hashtags change the home feed ranking
+    await FeedCacheManager.invalidateUserFeed(userId);
+
+    return res.status(200).json(new ApiResponse(200, {
+        hashtag,
+        isFollowing: true,
+        timestamp: new Date()
+    }, "Hashtag followed successfully"));
+});
+
+// Unfollow a hashtag
+export const unfollowHashtag = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const tag = parseHashtag(req.body.tag);
+
+    const followRelation = await HashtagFollow.findOneAndDelete({ userId, tag });
+    if (!followRelation) throw new ApiError(400, "Not following this hashtag");
+
+    const hashtag = await Hashtag.findOneAndUpdate(
+        { tag, followersCount: { $gt: 0 } },
+        { $inc: { followersCount: -1 } },
+        { new: true }
+    ).select('tag usageCount followersCount');
+
+    await FeedCacheManager.invalidateUserFeed(userId);
+
+    return res.status(200).json(new ApiResponse(200, {
+        hashtag: hashtag || { tag },
+        isFollowing: false,
+        timestamp: new Date()
+    }, "Hashtag unfollowed successfully"));
+});
+
+// Get hashtags followed by the logged-in user
+export const getFollowedHashtags = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const page = parseInt(req.query.page) > 0 ? parseInt(req.query.page) : 1;
+    const limit = Math.min(parseInt(req.query.limit) > 0 ? parseInt(req.query.limit) : 20, 100);
+
+    const [follows, total] = await Promise.all([
+        HashtagFollow.find({ userId })
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        HashtagFollow.countDocuments({ userId })
+    ]);
+
+    const hashtags = await Hashtag.find({ tag: { $in: follows.map(follow => follow.tag) } })
+        .select('tag usageCount followersCount lastUsedAt')
+        .lean();
+    const hashtagMap = new Map(hashtags.map(hashtag => [hashtag.tag, hashtag]));
+
+    const data = follows.map(follow => ({
+        tag: follow.tag,
+        usageCount: hashtagMap.get(follow.tag)?.usageCount || 0,
+        followersCount: hashtagMap.get(follow.tag)?.followersCount || 0,
+        lastUsedAt: hashtagMap.get(follow.tag)?.lastUsedAt || null,
+        followedAt: follow.createdAt
+    }));
+
+    return res.status(200).json(new ApiResponse(200, {
+        hashtags: data,
+        pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            total,
+            hasNextPage: page * limit < total,
+            limit
+        }
+    }, "Followed hashtags fetched successfully"));
+});
+
+const MAX_CLOSE_FRIENDS = 1000;
+
+const parseFriendId = (userId) => {
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+        throw new ApiError(400, "Valid userId is required");
+    }
+    return userId.toString();
+};
+
+// Add a user to the logged-in user's Close Friends list
+export const addCloseFriend = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const friendId = parseFriendId(req.body.userId);
+
+    if (friendId === userId.toString()) {
+        throw new ApiError(400, "You cannot add yourself to Close Friends");
+    }
+
+    const [friend, blocked, count] = await Promise.all([
+        User.findById(friendId).select('username fullName profileImageUrl'),
+        Block.exists({
+            $or: [
+                { blockerId: userId, blockedId: friendId },
+                { blockerId: friendId, blockedId: userId }
+            ]
+        }),
+        CloseFriend.countDocuments({ userId })
+    ]);
+
+    if (!friend) throw new ApiError(404, "User not found");
+    if (blocked) throw new ApiError(403, "You cannot add this user to Close Friends");
+    if (count >= MAX_CLOSE_FRIENDS) {
+        throw new ApiError(400, `Close Friends can have at most ${MAX_CLOSE_FRIENDS} people`);
+    }
+
+    try {
+        await CloseFriend.create({ userId, friendId });
+    } catch (error) {
+        if (error.code === 11000) throw new ApiError(400, "User is already in your Close Friends");
+        throw error;
+    }
+
+    return res.status(200).json(new ApiResponse(200, {
+        user: friend,
+        isCloseFriend: true
+    }, "Added to Close Friends"));
+});
+
+// Remove a user from the logged-in user's Close Friends list
+export const removeCloseFriend = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const friendId = parseFriendId(req.params.userId);
+
+    const entry = await CloseFriend.findOneAndDelete({ userId, friendId });
+    if (!entry) throw new ApiError(404, "User is not in your Close Friends");
+
+    return res.status(200).json(new ApiResponse(200, {
+        userId: friendId,
+        isCloseFriend: false
+    }, "Removed from Close Friends"));
+});
+
+// Get the logged-in user's Close Friends list (only visible to its owner)
+export const getCloseFriends = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const page = parseInt(req.query.page) > 0 ? parseInt(req.query.page) : 1;
+    const limit = Math.min(parseInt(req.query.limit) > 0 ? parseInt(req.query.limit) : 20, 100);
+
+    const [entries, total] = await Promise.all([
+        CloseFriend.find({ userId })
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('friendId', 'username fullName profileImageUrl')
+            .lean(),
+        CloseFriend.countDocuments({ userId })
+    ]);
+
+    // Deleted accounts leave nothing to populate
+    const closeFriends = entries
+        .filter(entry => entry.friendId)
+        .map(entry => ({ ...entry.friendId, addedAt: entry.createdAt }));
+
+    return res.status(200).json(new ApiResponse(200, {
+        closeFriends,
+        pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            total,
+            hasNextPage: page * limit < total,
+            limit
+        }
+    }, "Close Friends fetched successfully"));
+});
@@ -0,0 +1,512 @@
+import Chat from '../models/chat.models.js';
+import Message from '../models/message.models.js';
+import Block from '../models/block.models.js';
+import { User } from '../models/user.models.js';
+import { ApiError } from '../utlis/ApiError.js';
+import { ApiResponse } from '../utlis/ApiResponse.js';
+import { asyncHandler } from '../utlis/asyncHandler.js';
+import { uploadBufferToBunny, deleteFromBunny } from '../utlis/bunny.js';
+import mongoose from 'mongoose';
+import socketManager from '../config/socket.js';
+import { safeEmitToChat, invalidateChatListCache, postSystemMessage } from './chat.controllers.js';
+
+const MAX_GROUP_PARTICIPANTS = 256;
+const MAX_GROUP_NAME_LENGTH = 100;
+const MAX_GROUP_DESCRIPTION_LENGTH = 500;
+
+const USER_FIELDS = 'username fullName profileImageUrl';
+
+const includesId = (ids = [], userId) => ids.some(id => id.toString() === userId.toString());
+
+const displayName = (user) => user?.fullName || user?.username || 'Someone';
+
+const formatNames = (users) => users.map(displayName).join(', ');
+
+// Load a group chat the current user belongs to
+const findGroupChat = async (chatId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        throw new ApiError(400, 'Invalid chat ID');
+    }
+
+    const chat = await Chat.findOne({ _id: chatId, participants: userId });
+    if (!chat) {
+        throw new ApiError(404, 'Chat not found or access denied');
+    }
+
+    if (chat.chatType !== 'group') {
+        throw new ApiError(400, 'This action is only available for group chats');
+    }
+
+    return chat;
+};
+
+const requireAdmin = (chat, userId) => {
+    if (!includesId(chat.admins, userId)) {
+        throw new ApiError(403, 'Only group admins can perform this action');
+    }
+};
+
+const isOwner = (chat, userId) => chat.createdBy?.toString() === userId.toString();
+
+const parseUserId = (userId) => {
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+        throw new ApiError(400, 'Valid userId is required');
+    }
+    return new mongoose.Types.ObjectId(userId);
+};
+
+const syncParticipantCount = (chatId) => Chat.updateOne(
+    { _id: chatId },
+    [{ $set: { 'stats.totalParticipants': { $size: '$participants' } } }]
+);
+
+const getPopulatedGroup = (chatId) => Chat.findById(chatId)
+    .populate('participants', USER_FIELDS)
+    .populate('admins', USER_FIELDS)
+    .populate('createdBy', USER_FIELDS);
+
+// Tell current members what changed and refresh everyone's cached chat list (including users who just left)
+const broadcastGroupUpdate = async (chatId, action, data, affectedUserIds = []) => {
+    safeEmitToChat(chatId.toString(), 'group_updated', {
+        chatId: chatId.toString(),
+        action,
+        ...data
+    });
+
+    try {
+        const chat = await Chat.findById(chatId).select('participants').lean();
+        const userIds = new Set([
+            ...(chat?.participants || []).map(id => id.toString()),
+            ...affectedUserIds.map(id => id.toString())
+        ]);
+        await invalidateChatListCache([...userIds]);
+    } catch (cacheError) {
+        console.error('Error invalidating group chat caches:', cacheError);
+    }
+};
+
+// POST /api/v1/chats/:chatId/members - add members (admins only)
+export const addGroupMembers = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+    const { userIds } = req.body;
+
+    const chat = await findGroupChat(chatId, currentUserId);
+    requireAdmin(chat, currentUserId);
+
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+        throw new ApiError(400, 'userIds must be a non-empty array');
+    }
+
+    if (userIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        throw new ApiError(400, 'Invalid user IDs');
+    }
+
+    const newMemberIds = [...new Set(userIds.map(id => id.toString()))]
+        .filter(id => !includesId(chat.participants, id))
+        .map(id => new mongoose.Types.ObjectId(id));
+
+    if (newMemberIds.length === 0) {
+        throw new ApiError(400, 'All users are already members of this group');
+    }
+
+    if (chat.participants.length + newMemberIds.length > MAX_GROUP_PARTICIPANTS) {
+        throw new ApiError(400, `Groups can have at most ${MAX_GROUP_PARTICIPANTS} participants`);
+    }
+
+    const [users, blocks] = await Promise.all([
+        User.find({ _id: { $in: newMemberIds } }).select('username fullName').lean(),
+        Block.exists({
+            $or: [
+                { blockerId: currentUserId, blockedId: { $in: newMemberIds } },
+                { blockerId: { $in: newMemberIds }, blockedId: currentUserId }
+            ]
+        })
+    ]);
+
+    if (users.length !== newMemberIds.length) {
+        throw new ApiError(404, 'One or more users not found');
+    }
+
+    if (blocks) {
+        throw new ApiError(403, 'You cannot add users you have blocked or who have blocked you');
+    }
+
+    await Chat.updateOne(
+        { _id: chat._id },
+        { $addToSet: { participants: { $each: newMemberIds } } }
+    );
+    await syncParticipantCount(chat._id);
+
+    // New members start receiving this group's events right away
+    newMemberIds.forEach(userId => socketManager.addUserToChatRoom(userId.toString(), chatId));
+
+    await postSystemMessage(
+        chat._id,
+        currentUserId,
+        'members_added',
+        `${displayName(req.user)} added ${formatNames(users)}`,
+        newMemberIds
+    );
+
+    socketManager.emitToUsers(newMemberIds.map(id => id.toString()), 'added_to_group', {
+        chatId,
+        groupName: chat.groupName,
+        addedBy: currentUserId
+    });
+
+    await broadcastGroupUpdate(chat._id, 'members_added', { userIds: newMemberIds });
+
+    const updatedChat = await getPopulatedGroup(chat._id);
+
+    return res.status(200).json(
+        new ApiResponse(200, updatedChat, `${newMemberIds.length} member(s) added successfully`)
+    );
+});
+
+// DELETE /api/v1/chats/:chatId/members/:userId - remove a member (admins only; only the owner can remove admins)
+export const removeGroupMember = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+    const targetUserId = parseUserId(req.params.userId);
+
+    const chat = await findGroupChat(chatId, currentUserId);
+    requireAdmin(chat, currentUserId);
+
+    if (targetUserId.equals(currentUserId)) {
+        throw new ApiError(400, 'Use the leave endpoint to leave the group');
+    }
+
+    if (!includesId(chat.participants, targetUserId)) {
+        throw new ApiError(404, 'User is not a member of this group');
+    }
+
+    if (isOwner(chat, targetUserId)) {
+        throw new ApiError(403, 'The group owner cannot be removed');
+    }
+
+    if (includesId(chat.admins, targetUserId) && !isOwner(chat, currentUserId)) {
+        throw new ApiError(403, 'Only the group owner can remove an admin');
+    }
+
+    await Chat.updateOne(
+        { _id: chat._id },
+        { $pull: { participants: targetUserId, admins: targetUserId } }
+    );
+    await syncParticipantCount(chat._id);
+
+    // Stop the removed user's new_message events before announcing the removal
+    socketManager.removeUserFromChatRoom(targetUserId.toString(), chatId);
+    socketManager.emitToUser(targetUserId.toString(), 'removed_from_group', {
+        chatId,
+        groupName: chat.groupName,
+        removedBy: currentUserId
+    });
+
+    const targetUser = await User.findById(targetUserId).select('username fullName').lean();
+    await postSystemMessage(
+        chat._id,
+        currentUserId,
+        'member_removed',
+        `${displayName(req.user)} removed ${displayName(targetUser)}`,
+        [targetUserId]
+    );
+
+    await broadcastGroupUpdate(chat._id, 'member_removed', { userId: targetUserId }, [targetUserId]);
+
+    const updatedChat = await getPopulatedGroup(chat._id);
+
+    return res.status(200).json(
+        new ApiResponse(200, updatedChat, 'Member removed successfully')
+    );
+});
+
+// POST /api/v1/chats/:chatId/admins - promote a member to admin (admins only)
+export const promoteGroupAdmin = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+    const targetUserId = parseUserId(req.body.userId);
+
+    const chat = await findGroupChat(chatId, currentUserId);
+    requireAdmin(chat, currentUserId);
+
+    if (!includesId(chat.participants, targetUserId)) {
+        throw new ApiError(404, 'User is not a member of this group');
+    }
+
+    if (includesId(chat.admins, targetUserId)) {
+        throw new ApiError(400, 'User is already an admin');
+    }
+
+    await Chat.updateOne({ _id: chat._id }, { $addToSet: { admins: targetUserId } });
+
+    const targetUser = await User.findById(targetUserId).select('username fullName').lean();
+    await postSystemMessage(
+        chat._id,
+        currentUserId,
+        'admin_promoted',
+        `${displayName(req.user)} made ${displayName(targetUser)} an admin`,
+        [targetUserId]
+    );
+
+    await broadcastGroupUpdate(chat._id, 'admin_promoted', { userId: targetUserId });
+
+    const updatedChat = await getPopulatedGroup(chat._id);
+
+    return res.status(200).json(
+        new ApiResponse(200, updatedChat, 'Member promoted to admin successfully')
+    );
+});
+
+// DELETE /api/v1/chats/:chatId/admins/:userId - demote an admin (owner only, or an admin stepping down)
+export const demoteGroupAdmin = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+    const targetUserId = parseUserId(req.params.userId);
+
+    const chat = await findGroupChat(chatId, currentUserId);
+    requireAdmin(chat, currentUserId);
+
+    if (!includesId(chat.admins, targetUserId)) {
+        throw new ApiError(400, 'User is not an admin of this group');
+    }
+
+    if (isOwner(chat, targetUserId)) {
+        throw new ApiError(403, 'The group owner must transfer ownership before stepping down');
+    }
+
+    if (!targetUserId.equals(currentUserId) && !isOwner(chat, currentUserId)) {
+        throw new ApiError(403, 'Only the group owner can demote other admins');
+    }
+
+    await Chat.updateOne({ _id: chat._id }, { $pull: { admins: targetUserId } });
+
+    const targetUser = await User.findById(targetUserId).select('username fullName').lean();
+    const text = targetUserId.equals(currentUserId)
+        ? `${displayName(req.user)} is no longer an admin`
+        : `${displayName(req.user)} removed ${displayName(targetUser)} as admin`;
+
+    await postSystemMessage(chat._id, currentUserId, 'admin_demoted', text, [targetUserId]);
+
+    await broadcastGroupUpdate(chat._id, 'admin_demoted', { userId: targetUserId });
+
+    const updatedChat = await getPopulatedGroup(chat._id);
+
+    return res.status(200).json(
+        new ApiResponse(200, updatedChat, 'Admin demoted successfully')
+    );
+});
+
+// PATCH /api/v1/chats/:chatId/group - rename the group or change its description (admins only)
+export const updateGroupInfo = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+    const { groupName, groupDescription } = req.body;
+
+    const chat = await findGroupChat(chatId, currentUserId);
+    requireAdmin(chat, currentUserId);
+
+    if (groupName === undefined && groupDescription === undefined) {
+        throw new ApiError(400, 'groupName or groupDescription is required');
+    }
+
+    const updates = {};
+
+    if (groupName !== undefined) {
+        const name = typeof groupName === 'string' ? groupName.trim() : '';
+        if (!name) {
+            throw new ApiError(400, 'Group name cannot be empty');
+        }
+        if (name.length > MAX_GROUP_NAME_LENGTH) {
+            throw new ApiError(400, `Group name cannot exceed ${MAX_GROUP_NAME_LENGTH} characters`);
+        }
+        if (name !== chat.groupName) updates.groupName = name;
+    }
+
+    if (groupDescription !== undefined) {
+        const description = typeof groupDescription === 'string' ? groupDescription.trim() : '';
+        if (description.length > MAX_GROUP_DESCRIPTION_LENGTH) {
+            throw new ApiError(400, `Group description cannot exceed ${MAX_GROUP_DESCRIPTION_LENGTH} characters`);
+        }
+        if (description !== (chat.groupDescription || '')) updates.groupDescription = description;
+    }
+
+    if (Object.keys(updates).length > 0) {
+        await Chat.updateOne({ _id: chat._id }, { $set: updates });
+
+        if (updates.groupName) {
+            await postSystemMessage(
+                chat._id,
+                currentUserId,
+                'group_renamed',
+                `${displayName(req.user)} renamed the group to "${updates.groupName}"`
+            );
+        }
+
+        await broadcastGroupUpdate(chat._id, 'group_info_updated', updates);
+    }
+
+    const updatedChat = await getPopulatedGroup(chat._id);
+
+    return res.status(200).json(
+        new ApiResponse(200, updatedChat, 'Group updated successfully')
+    );
+});
+
+// PUT /api/v1/chats/:chatId/group/image - change the group image (admins only)
+export const updateGroupImage = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+
+    if (!req.file) {
+        throw new ApiError(400, 'Group image is required');
+    }
+
+    if (!req.file.mimetype.startsWith('image/')) {
+        throw new ApiError(400, 'Group image must be an image file');
+    }
+
+    const chat = await findGroupChat(chatId, currentUserId);
+    requireAdmin(chat, currentUserId);
+
+    const uploadResult = await uploadBufferToBunny(req.file.buffer, 'group_images', req.file.originalname);
+    if (!uploadResult || !uploadResult.secure_url) {
+        throw new ApiError(500, 'Failed to upload image to Bunny.net');
+    }
+
+    const previousImage = chat.groupImage;
+    await Chat.updateOne({ _id: chat._id }, { $set: { groupImage: uploadResult.secure_url } });
+
+    if (previousImage) {
+        deleteFromBunny(previousImage).catch(error =>
+            console.error(`Failed to delete previous group image of chat ${chatId}:`, error)
+        );
+    }
+
+    await postSystemMessage(
+        chat._id,
+        currentUserId,
+        'group_image_changed',
+        `${displayName(req.user)} changed the group photo`
+    );
+
+    await broadcastGroupUpdate(chat._id, 'group_image_changed', { groupImage: uploadResult.secure_url });
+
+    const updatedChat = await getPopulatedGroup(chat._id);
+
+    return res.status(200).json(
+        new ApiResponse(200, updatedChat, 'Group image updated successfully')
+    );
+});
+
+// POST /api/v1/chats/:chatId/leave - leave the group (ownership passes on if the owner leaves)
+export const leaveGroup = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+
+    const chat = await findGroupChat(chatId, currentUserId);
+
+    const remainingMembers = chat.participants.filter(id => !id.equals(currentUserId));
+
+    // The last member leaving ends the group
+    if (remainingMembers.length === 0) {
+        await Promise.all([
+            Message.deleteMany({ chatId: chat._id }),
+            Chat.deleteOne({ _id: chat._id })
+        ]);
+        socketManager.removeUserFromChatRoom(currentUserId.toString(), chatId);
+        await invalidateChatListCache([currentUserId]);
+
+        return res.status(200).json(
+            new ApiResponse(200, { chatId, deleted: true }, 'You left the group')
+        );
+    }
+
+    // An owner who leaves hands the group to another admin, or to the next member if there is none
+    let newOwnerId = null;
+    if (isOwner(chat, currentUserId)) {
+        newOwnerId = remainingMembers.find(id => includesId(chat.admins, id)) || remainingMembers[0];
+    }
+
+    await Chat.updateOne(
+        { _id: chat._id },
+        { $pull: { participants: currentUserId, admins: currentUserId } }
+    );
+    if (newOwnerId) {
+        await Chat.updateOne(
+            { _id: chat._id },
+            { $set: { createdBy: newOwnerId }, $addToSet: { admins: newOwnerId } }
+        );
+    }
+    await syncParticipantCount(chat._id);
+
+    socketManager.removeUserFromChatRoom(currentUserId.toString(), chatId);
+
+    await postSystemMessage(chat._id, currentUserId, 'member_left', `${displayName(req.user)} left the group`);
+
+    if (newOwnerId) {
+        const newOwner = await User.findById(newOwnerId).select('username fullName').lean();
+        await postSystemMessage(
+            chat._id,
+            currentUserId,
+            'ownership_transferred',
+            `${displayName(newOwner)} is now the group owner`,
+            [newOwnerId]
+        );
+    }
+
+    await broadcastGroupUpdate(
+        chat._id,
+        'member_left',
+        { userId: currentUserId, ...(newOwnerId && { ownerId: newOwnerId }) },
+        [currentUserId]
+    );
+
+    return res.status(200).json(
+        new ApiResponse(200, { chatId, deleted: false, newOwnerId }, 'You left the group')
+    );
+});
+
+// POST /api/v1/chats/:chatId/transfer-ownership - hand the group to another member (owner only)
+export const transferGroupOwnership = asyncHandler(async (req, res) => {
+    const currentUserId = req.user._id;
+    const { chatId } = req.params;
+    const targetUserId = parseUserId(req.body.userId);
+
+    const chat = await findGroupChat(chatId, currentUserId);
+
+    if (!isOwner(chat, currentUserId)) {
+        throw new ApiError(403, 'Only the group owner can transfer ownership');
+    }
+
+    if (targetUserId.equals(currentUserId)) {
+        throw new ApiError(400, 'You already own this group');
+    }
+
+    if (!includesId(chat.participants, targetUserId)) {
+        throw new ApiError(404, 'User is not a member of this group');
+    }
+
+    // The previous owner stays an admin
+    await Chat.updateOne(
+        { _id: chat._id, createdBy: currentUserId },
+        { $set: { createdBy: targetUserId }, $addToSet: { admins: targetUserId } }
+    );
+
+    const targetUser = await User.findById(targetUserId).select('username fullName').lean();
+    await postSystemMessage(
+        chat._id,
+        currentUserId,
+        'ownership_transferred',
+        `${displayName(req.user)} made ${displayName(targetUser)} the group owner`,
+        [targetUserId]
+    );
+
+    await broadcastGroupUpdate(chat._id, 'ownership_transferred', { ownerId: targetUserId });
+
+    const updatedChat = await getPopulatedGroup(chat._id);
+
+    return res.status(200).json(
+        new ApiResponse(200, updatedChat, 'Group ownership transferred successfully')
+    );
+});
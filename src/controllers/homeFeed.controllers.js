@@ -10,6 +10,8 @@ import PostInteraction from '../models/postInteraction.models.js';
 import { setCache } from '../middlewares/cache.middleware.js';
 import { redisClient } from '../config/redis.config.js';
 import { getViewableUserIds } from '../middlewares/privacy.middleware.js';
+import { publishedPostsFilter } from '../utlis/postPrivacy.js';
+import { getFollowedTags } from '../utlis/hashtag.utils.js';
 import mongoose from 'mongoose';
 
 export const getHomeFeed = asyncHandler(async (req, res) => {
@@ -70,10 +72,15 @@ export const getHomeFeed = asyncHandler(async (req, res) => {
             console.log('🔍 Feed Debug - feedUserIds count:', feedUserIds.length);
         }
 
+        // Followed hashtags boost matching posts; those posts still go through the privacy match below
+        const followedTags = await getFollowedTags(userId);
+
         // ✅ 3. OPTIMIZED: Single aggregation query with privacy filtering
         const matchQuery = {
             contentType: { $in: ['normal', 'service', 'product', 'business'] },
             userId: { $in: viewableUserIds, $nin: blockedUsers },
+            // Scheduled posts only show up for their author until published
+            $and: [publishedPostsFilter(userId)],
             // For logged-out users, only show posts with public visibility
             ...(userId ? {} : {
                 $or: [
@@ -97,6 +104,12 @@ export const getHomeFeed = asyncHandler(async (req, res) => {
                         $add: [
                             // Followed users get highest priority
                             { $cond: [{ $in: ['$userId', feedUserIds] }, 100, 0] },
+                            // Posts carrying a followed hashtag come next
+                            { $cond: [
+                                { $gt: [{ $size: { $setIntersection: [{ $ifNull: ['$hashtags', []] }, followedTags] } }, 0] },
+                                50,
+                                0
+                            ]},
                             // Recent posts get boost
                             { $cond: [{ $gte: ['$createdAt', yesterday] }, 20, 0] },
                             // Engagement boost (capped at 30)
@@ -163,6 +176,7 @@ export const getHomeFeed = asyncHandler(async (req, res) => {
                     'engagement.views': 1,
                     location: 1,
                     tags: 1,
+                    hashtags: 1,
                     createdAt: 1,
                     updatedAt: 1,
                     isPromoted: 1,
@@ -262,7 +276,8 @@ export const getHomeFeed = asyncHandler(async (req, res) => {
             try {
                 totalCount = await Post.countDocuments({
                     contentType: { $in: ['normal', 'service', 'product', 'business'] },
-                    userId: { $nin: blockedUsers }
+                    userId: { $nin: blockedUsers },
+                    $and: [publishedPostsFilter(userId)]
                 });
             } catch (error) {
                 totalCount = posts.length; // Fallback
@@ -0,0 +1,155 @@
+import mongoose from 'mongoose';
+import { asyncHandler } from "../utlis/asyncHandler.js";
+import { ApiError } from "../utlis/ApiError.js";
+import { ApiResponse } from "../utlis/ApiResponse.js";
+import Post from "../models/userPost.models.js";
+import Insight from "../models/insights.models.js";
+import { DAILY_METRICS, INSIGHTS_MAX_DAYS, startOfUTCDay } from "../utlis/insightsRollup.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDays = (days) => {
+    const parsed = parseInt(days) > 0 ? parseInt(days) : 30;
+    return Math.min(parsed, INSIGHTS_MAX_DAYS);
+};
+
+// Daily series covering `days` days from `since`, with zeros for days without activity
+export const buildSeries = (dailyEntries, since, days, metrics = DAILY_METRICS) => {
+    const byDay = new Map(dailyEntries.map(entry => [startOfUTCDay(entry.date).getTime(), entry]));
+
+    return Array.from({ length: days }, (_, index) => {
+        const date = new Date(since.getTime() + index * DAY_MS);
+        const entry = byDay.get(date.getTime()) || {};
+        return {
+            date,
+            ...Object.fromEntries(metrics.map(metric => [metric, entry[metric] || 0]))
+        };
+    });
+};
+
+export const sumSeries = (series, metrics = DAILY_METRICS) => Object.fromEntries(
+    metrics.map(metric => [metric, series.reduce((total, day) => total + day[metric], 0)])
+);
+
+/**
+ * A user's best posts by engagement (likes + comments + saves + shares) in [since, until)
+ * @param {ObjectId} userId - Post owner
+ * @param {Date} since - Start of the first day
+ * @param {Date} until - End of the period (open-ended if omitted)
+ * @param {number} limit - Number of posts
+ */
+export const getTopPosts = (userId, since, until = null, limit = 5) => {
+    const sumFields = Object.fromEntries(DAILY_METRICS.map(metric => [metric, { $sum: `$daily.${metric}` }]));
+    const dateRange = until ? { $gte: since, $lt: until } : { $gte: since };
+
+    return Insight.aggregate([
+        { $match: { userId } },
+        { $unwind: '$daily' },
+        { $match: { 'daily.date': dateRange } },
+        { $group: { _id: '$postId', ...sumFields } },
+        { $addFields: { engagement: { $add: ['$likes', '$comments', '$saves', '$shares'] } } },
+        { $sort: { engagement: -1, views: -1 } },
+        { $limit: limit },
+        {
+            $lookup: {
+                from: 'posts',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'post',
+                pipeline: [{ $project: { caption: 1, postType: 1, contentType: 1, media: { $slice: ['$media', 1] }, createdAt: 1 } }]
+            }
+        },
+        { $unwind: '$post' },
+        { $project: { _id: 0, postId: '$_id', post: 1, engagement: 1, ...Object.fromEntries(DAILY_METRICS.map(metric => [metric, 1])) } }
+    ]);
+};
+
+// GET /api/v1/posts/:postId/insights?days=30
+export const getPostInsights = asyncHandler(async (req, res) => {
+    const { postId } = req.params;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+        throw new ApiError(400, "Invalid post ID");
+    }
+
+    const post = await Post.findById(postId).select('userId').lean();
+    if (!post) throw new ApiError(404, "Post not found");
+
+    if (post.userId.toString() !== userId.toString()) {
+        throw new ApiError(403, "You can only view insights for your own posts");
+    }
+
+    const days = parseDays(req.query.days);
+    const since = new Date(startOfUTCDay(new Date()).getTime() - (days - 1) * DAY_MS);
+
+    const insight = await Insight.findOne({ postId }).lean();
+    const series = buildSeries((insight?.daily || []).filter(entry => entry.date >= since), since, days);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            postId,
+            lifetime: {
+                views: insight?.views || 0,
+                reach: insight?.reach || 0,
+                likes: insight?.likes || 0,
+                comments: insight?.comments || 0,
+                saves: insight?.saves || 0,
+                shares: insight?.shares || 0,
+                clicks: insight?.clicks || 0,
+                engagementRate: insight?.engagementRate || 0
+            },
+            period: { days, since, totals: sumSeries(series) },
+            daily: series,
+            lastRolledUpAt: insight?.lastRolledUpAt || null
+        }, "Post insights fetched successfully")
+    );
+});
+
+// GET /api/v1/posts/insights/summary?days=30 - totals across all of the user's posts
+export const getAccountInsights = asyncHandler(async (req, res) => {
+    const userId = new mongoose.Types.ObjectId(req.user._id.toString());
+    const days = parseDays(req.query.days);
+    const since = new Date(startOfUTCDay(new Date()).getTime() - (days - 1) * DAY_MS);
+
+    const sumFields = Object.fromEntries(DAILY_METRICS.map(metric => [metric, { $sum: `$daily.${metric}` }]));
+
+    const [dailyTotals, topPosts, lifetime] = await Promise.all([
+        Insight.aggregate([
+            { $match: { userId } },
+            { $unwind: '$daily' },
+            { $match: { 'daily.date': { $gte: since } } },
+            { $group: { _id: '$daily.date', ...sumFields } },
+            { $project: { _id: 0, date: '$_id', ...Object.fromEntries(DAILY_METRICS.map(metric => [metric, 1])) } }
+        ]),
+        getTopPosts(userId, since),
+        Insight.aggregate([
+            { $match: { userId } },
+            {
+                $group: {
+                    _id: null,
+                    posts: { $sum: 1 },
+                    views: { $sum: '$views' },
+                    reach: { $sum: '$reach' },
+                    likes: { $sum: '$likes' },
+                    comments: { $sum: '$comments' },
+                    saves: { $sum: '$saves' },
+                    shares: { $sum: '$shares' },
+                    clicks: { $sum: '$clicks' }
+                }
+            },
+            { $project: { _id: 0 } }
+        ])
+    ]);
+
+    const series = buildSeries(dailyTotals, since, days);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            lifetime: lifetime[0] || { posts: 0, ...Object.fromEntries(DAILY_METRICS.map(metric => [metric, 0])) },
+            period: { days, since, totals: sumSeries(series) },
+            daily: series,
+            topPosts
+        }, "Account insights fetched successfully")
+    );
+});
@@ -115,6 +115,30 @@ export const createUnlikeNotification = asyncHandler(async ({ recipientId, sourc
     await notificationCache.invalidateNotificationCache(recipientId);
 });
 
+// 📢 New Post Notification - fans out to the author's followers when a scheduled post goes live
+// Called from the background publisher, so it is a plain async function rather than an asyncHandler
+export const createNewPostNotifications = async ({ recipientIds, sourceUserId, postId }) => {
+    if (!sourceUserId || !postId) {
+        throw new ApiError(400, "sourceUserId and postId are required");
+    }
+    if (!recipientIds?.length) return [];
+
+    const notifications = await Notification.insertMany(recipientIds.map(recipientId => ({
+        receiverId: recipientId,
+        type: "post",
+        senderId: sourceUserId,
+        postId,
+        message: "shared a new post"
+    })));
+
+    notifications.forEach(notification => sendRealTimeNotification(notification.receiverId, notification));
+
+    // Invalidate cache and emit real-time count update
+    await Promise.allSettled(recipientIds.map(recipientId => notificationCache.invalidateNotificationCache(recipientId)));
+
+    return notifications;
+};
+
 //  Get Logged-in User's Notifications
 export const getNotifications = asyncHandler(async (req, res) => {
     const receiverId = req.user._id;
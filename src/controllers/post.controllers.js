@@ -7,8 +7,8 @@ import Story from "../models/story.models.js";
 import Reel from "../models/reels.models.js";
 import { uploadBufferToBunny, deleteMultipleFromBunny, deleteFromBunny, generateOptimizedImageUrl } from "../utlis/bunny.js";
 import { getCoordinates } from "../utlis/getCoordinates.js";
-import { validateDeliveryAndLocation } from "../utlis/deliveryValidation.js";
-import { filterPostsByPrivacy, canViewPost } from "../utlis/postPrivacy.js";
+import { validatePostCustomization } from "../utlis/deliveryValidation.js";
+import { filterPostsByPrivacy, canViewPost, publishedPostsFilter } from "../utlis/postPrivacy.js";
 import { User } from "../models/user.models.js";
 import Follower from "../models/follower.models.js";
 import Like from "../models/like.models.js";
@@ -16,8 +16,9 @@ import { CacheManager } from "../utlis/cache.utils.js";
 import { redisClient } from "../config/redis.config.js";
 import Comment from "../models/comment.models.js";
 import SavedPost from "../models/savedPost.models.js";
+import { syncPostHashtags } from "../utlis/hashtag.utils.js";
 
-const extractMediaFiles = (files) => {
+export const extractMediaFiles = (files) => {
     const allFiles = [];
     ["image", "video", "reel", "story"].forEach((field) => {
         if (files?.[field]) {
@@ -27,60 +28,9 @@ const extractMediaFiles = (files) => {
     return allFiles;
 };
 
-
-export const createNormalPost = asyncHandler(async (req, res) => {
-    const userId = req.user?._id;
-    if (!userId) throw new ApiError(400, "User ID is required");
-
-    const {
-        postType,
-        caption,
-        description,
-        mentions,
-        mood,
-        activity,
-        location,
-        tags,
-        settings,
-        scheduledAt,
-        publishedAt,
-        status,
-    } = req.body;
-    if (!postType || !["photo", "reel", "video", "story"].includes(postType)) {
-        throw new ApiError(400, "postType must be one of 'photo', 'reel', 'video', or 'story'");
-    }
-
-
-    const parsedMentions = typeof mentions === "string" ? JSON.parse(mentions) : mentions;
-    const parsedTags = typeof tags === "string" ? JSON.parse(tags) : tags;
-    const parsedSettings = typeof settings === "string" ? JSON.parse(settings) : settings;
-    const parsedLocation = typeof location === "string" ? JSON.parse(location) : location;
-
-    let resolvedLocation = parsedLocation || {};
-    if ((resolvedLocation.name || resolvedLocation.address) && !resolvedLocation.coordinates) {
-        try {
-            // Pass the full location object to allow multiple fallback strategies
-            const coords = await getCoordinates(resolvedLocation);
-            if (coords?.latitude && coords?.longitude) {
-                resolvedLocation.coordinates = {
-                    type: "Point",
-                    coordinates: [coords.longitude, coords.latitude]
-                };
-            } else {
-                // Log warning but allow post creation without coordinates
-                console.warn(`Could not resolve coordinates for location: ${resolvedLocation.name || resolvedLocation.address || 'unknown'}. Post will be created without coordinates.`);
-            }
-        } catch (error) {
-            // Log error but allow post creation without coordinates
-            console.error('Error resolving location coordinates:', error.message);
-        }
-    }
-
-    const files = extractMediaFiles(req.files);
-    if (!files.length) throw new ApiError(400, "Media file is required");
-
-    let uploadedMedia = [];
-
+// Upload post media to Bunny.net and build the Post media entries (also used for drafts)
+export const uploadPostMedia = async (files, customThumbnail) => {
+    const uploadedMedia = [];
     for (const file of files) {
         try {
             const result = await uploadBufferToBunny(file.buffer, "posts");
@@ -100,7 +50,6 @@ export const createNormalPost = asyncHandler(async (req, res) => {
                 });
             } else if (result.resource_type === "video") {
                 let thumbnailUrl;
-                const customThumbnail = req.files?.thumbnail?.[0];
                 if (customThumbnail) {
                     const thumbResult = await uploadBufferToBunny(customThumbnail.buffer, "posts");
                     thumbnailUrl = generateOptimizedImageUrl(thumbResult.secure_url, { width: 300, height: 300, crop: 'fill' });
@@ -121,10 +70,85 @@ export const createNormalPost = asyncHandler(async (req, res) => {
                     },
                 });
             }
-        } catch {
+        } catch (error) {
+            console.error("Upload failed for:", file.originalname, error);
             throw new ApiError(500, "Bunny.net upload failed");
         }
     }
+    return uploadedMedia;
+};
+
+// Resolve coordinates for a post's normal location; posts are still created if this fails
+export const resolvePostLocation = async (location) => {
+    const resolvedLocation = location || {};
+    if ((resolvedLocation.name || resolvedLocation.address) && !resolvedLocation.coordinates) {
+        try {
+            // Pass the full location object to allow multiple fallback strategies
+            const coords = await getCoordinates(resolvedLocation);
+            if (coords?.latitude && coords?.longitude) {
+                resolvedLocation.coordinates = {
+                    type: "Point",
+                    coordinates: [coords.longitude, coords.latitude]
+                };
+            } else {
+                // Log warning but allow post creation without coordinates
+                console.warn(`Could not resolve coordinates for location: ${resolvedLocation.name || resolvedLocation.address || 'unknown'}. Post will be created without coordinates.`);
+            }
+        } catch (error) {
+            // Log error but allow post creation without coordinates
+            console.error('Error resolving location coordinates:', error.message);
+        }
+    }
+    return resolvedLocation;
+};
+
+/**
+ * Publishing fields of a new post: scheduled when a scheduledAt is given (it must be a future date),
+ * otherwise published now. status and publishedAt are never taken from the client.
+ * @param {string|Date} scheduledAt - Requested publish time (optional)
+ * @returns {{ status: string, scheduledAt?: Date, publishedAt?: Date }}
+ */
+const resolvePublishState = (scheduledAt) => {
+    if (scheduledAt === undefined || scheduledAt === null || scheduledAt === "") {
+        return { status: "published", publishedAt: new Date() };
+    }
+    return { status: "scheduled", scheduledAt: parseScheduledAt(scheduledAt) };
+};
+
+
+export const createNormalPost = asyncHandler(async (req, res) => {
+    const userId = req.user?._id;
+    if (!userId) throw new ApiError(400, "User ID is required");
+
+    const {
+        postType,
+        caption,
+        description,
+        mentions,
+        mood,
+        activity,
+        location,
+        tags,
+        settings,
+        scheduledAt,
+    } = req.body;
+    const publishState = resolvePublishState(scheduledAt);
+    if (!postType || !["photo", "reel", "video", "story"].includes(postType)) {
+        throw new ApiError(400, "postType must be one of 'photo', 'reel', 'video', or 'story'");
+    }
+
+
+    const parsedMentions = typeof mentions === "string" ? JSON.parse(mentions) : mentions;
+    const parsedTags = typeof tags === "string" ? JSON.parse(tags) : tags;
+    const parsedSettings = typeof settings === "string" ? JSON.parse(settings) : settings;
+    const parsedLocation = typeof location === "string" ? JSON.parse(location) : location;
+
+    const resolvedLocation = await resolvePostLocation(parsedLocation);
+
+    const files = extractMediaFiles(req.files);
+    if (!files.length) throw new ApiError(400, "Media file is required");
+
+    const uploadedMedia = await uploadPostMedia(files, req.files?.thumbnail?.[0]);
 
     const post = await Post.create({
         userId,
@@ -147,9 +171,7 @@ export const createNormalPost = asyncHandler(async (req, res) => {
             privacy: parsedSettings?.privacy || req.user?.privacy || 'public',
             isPrivacyTouched: parsedSettings?.privacy ? true : false
         },
-        scheduledAt,
-        publishedAt,
-        status: status || (scheduledAt ? "scheduled" : "published"),
+        ...publishState,
         isPromoted: false,
         isFeatured: false,
         isReported: false,
@@ -164,6 +186,8 @@ export const createNormalPost = asyncHandler(async (req, res) => {
         { $push: { posts: post._id } }
     );
 
+    await syncPostHashtags(post._id, [], post.hashtags);
+
     return res.status(201).json(new ApiResponse(201, post, "Normal post created successfully"));
 });
 
@@ -183,9 +207,8 @@ export const createProductPost = asyncHandler(async (req, res) => {
         product,
         settings,
         scheduledAt,
-        publishedAt,
-        status,
     } = req.body;
+    const publishState = resolvePublishState(scheduledAt);
     if (!postType || !["photo", "reel", "video", "story"].includes(postType)) {
         throw new ApiError(400, "postType must be one of 'photo', 'reel', 'video', or 'story'");
     }
@@ -196,83 +219,16 @@ export const createProductPost = asyncHandler(async (req, res) => {
     const parsedSettings = typeof settings === "string" ? JSON.parse(settings) : settings;
     const parsedLocation = typeof location === "string" ? JSON.parse(location) : location;
 
-    // Validate delivery options and location requirements
-    const validatedProduct = await validateDeliveryAndLocation(parsedProduct, "product");
+    // Validate delivery options, location requirements and the product link
+    const { product: validatedProduct } = await validatePostCustomization("product", { product: parsedProduct });
 
-    let resolvedLocation = parsedLocation || {};
-    if ((resolvedLocation.name || resolvedLocation.address) && !resolvedLocation.coordinates) {
-        try {
-            // Pass the full location object to allow multiple fallback strategies
-            const coords = await getCoordinates(resolvedLocation);
-            if (coords?.latitude && coords?.longitude) {
-                resolvedLocation.coordinates = {
-                    type: "Point",
-                    coordinates: [coords.longitude, coords.latitude]
-                };
-            } else {
-                // Log warning but allow post creation without coordinates
-                console.warn(`Could not resolve coordinates for location: ${resolvedLocation.name || resolvedLocation.address || 'unknown'}. Post will be created without coordinates.`);
-            }
-        } catch (error) {
-            // Log error but allow post creation without coordinates
-            console.error('Error resolving location coordinates:', error.message);
-        }
-    }
+    const resolvedLocation = await resolvePostLocation(parsedLocation);
 
     const files = extractMediaFiles(req.files);
 
     if (!files.length) throw new ApiError(400, "Media file is required");
 
-    let uploadedMedia = [];
-    for (const file of files) {
-        try {
-
-            const result = await uploadBufferToBunny(file.buffer, "posts");
-            if (result.resource_type === "image") {
-                const thumbnailUrl = generateOptimizedImageUrl(result.secure_url, { width: 300, height: 300, crop: 'fill' });
-                uploadedMedia.push({
-                    type: result.resource_type,
-                    url: result.secure_url,
-                    thumbnailUrl,
-                    fileSize: result.bytes,
-                    format: result.format,
-                    duration: result.duration || null,
-                    dimensions: {
-                        width: result.width,
-                        height: result.height,
-                    },
-                });
-            } else if (result.resource_type === "video") {
-                let thumbnailUrl;
-                const customThumbnail = req.files?.thumbnail?.[0];
-                if (customThumbnail) {
-                    const thumbResult = await uploadBufferToBunny(customThumbnail.buffer, "posts");
-                    thumbnailUrl = generateOptimizedImageUrl(thumbResult.secure_url, { width: 300, height: 300, crop: 'fill' });
-                } else {
-                    // Generate Bunny.net thumbnail from video URL (first frame, 300x300 crop)
-                    thumbnailUrl = `${result.secure_url}?thumbnail=1&width=300&height=300`;
-                }
-                uploadedMedia.push({
-                    type: result.resource_type,
-                    url: result.secure_url,
-                    thumbnailUrl,
-                    fileSize: result.bytes,
-                    format: result.format,
-                    duration: result.duration || null,
-                    dimensions: {
-                        width: result.width,
-                        height: result.height,
-                    },
-                });
-            }
-        } catch (error) {
-            console.error("Upload failed for:", file.originalname, error);
-            throw new ApiError(500, "Bunny.net upload failed");
-        }
-    }
-    if (!validatedProduct?.link) {
-        throw new ApiError(400, "Product post must include a product link");
-    }
+    const uploadedMedia = await uploadPostMedia(files, req.files?.thumbnail?.[0]);
 
     const post = await Post.create({
         userId,
@@ -292,9 +248,7 @@ export const createProductPost = asyncHandler(async (req, res) => {
             },
         },
         settings: parsedSettings || {},
-        scheduledAt,
-        publishedAt,
-        status: status || (scheduledAt ? "scheduled" : "published"),
+        ...publishState,
         isPromoted: false,
         isFeatured: false,
         isReported: false,
@@ -309,6 +263,8 @@ export const createProductPost = asyncHandler(async (req, res) => {
         { $push: { posts: post._id } }
     );
 
+    await syncPostHashtags(post._id, [], post.hashtags);
+
     return res.status(201).json(new ApiResponse(201, post, "Product post created successfully"));
 });
 
@@ -328,9 +284,8 @@ export const createServicePost = asyncHandler(async (req, res) => {
         service,
         settings,
         scheduledAt,
-        publishedAt,
-        status,
     } = req.body;
+    const publishState = resolvePublishState(scheduledAt);
     if (!postType || !["photo", "reel", "video", "story"].includes(postType)) {
         throw new ApiError(400, "postType must be one of 'photo', 'reel', 'video', or 'story'");
     }
@@ -342,76 +297,14 @@ export const createServicePost = asyncHandler(async (req, res) => {
     const parsedLocation = typeof location === "string" ? JSON.parse(location) : location;
 
     // Validate delivery options and location requirements
-    const validatedService = await validateDeliveryAndLocation(parsedService, "service");
+    const { service: validatedService } = await validatePostCustomization("service", { service: parsedService });
 
-    let resolvedLocation = parsedLocation || {};
-    if ((resolvedLocation.name || resolvedLocation.address) && !resolvedLocation.coordinates) {
-        try {
-            // Pass the full location object to allow multiple fallback strategies
-            const coords = await getCoordinates(resolvedLocation);
-            if (coords?.latitude && coords?.longitude) {
-                resolvedLocation.coordinates = {
-                    type: "Point",
-                    coordinates: [coords.longitude, coords.latitude]
-                };
-            } else {
-                // Log warning but allow post creation without coordinates
-                console.warn(`Could not resolve coordinates for location: ${resolvedLocation.name || resolvedLocation.address || 'unknown'}. Post will be created without coordinates.`);
-            }
-        } catch (error) {
-            // Log error but allow post creation without coordinates
-            console.error('Error resolving location coordinates:', error.message);
-        }
-    }
+    const resolvedLocation = await resolvePostLocation(parsedLocation);
 
     const files = extractMediaFiles(req.files);
     if (!files.length) throw new ApiError(400, "Media file is required");
 
-    let uploadedMedia = [];
-    for (const file of files) {
-        try {
-            const result = await uploadBufferToBunny(file.buffer, "posts");
-            if (result.resource_type === "image") {
-                const thumbnailUrl = generateOptimizedImageUrl(result.secure_url, { width: 300, height: 300, crop: 'fill' });
-                uploadedMedia.push({
-                    type: result.resource_type,
-                    url: result.secure_url,
-                    thumbnailUrl,
-                    fileSize: result.bytes,
-                    format: result.format,
-                    duration: result.duration || null,
-                    dimensions: {
-                        width: result.width,
-                        height: result.height,
-                    },
-                });
-            } else if (result.resource_type === "video") {
-                let thumbnailUrl;
-                const customThumbnail = req.files?.thumbnail?.[0];
-                if (customThumbnail) {
-                    const thumbResult = await uploadBufferToBunny(customThumbnail.buffer, "posts");
-                    thumbnailUrl = generateOptimizedImageUrl(thumbResult.secure_url, { width: 300, height: 300, crop: 'fill' });
-                } else {
-                    // Generate Bunny.net thumbnail from video URL (first frame, 300x300 crop)
-                    thumbnailUrl = `${result.secure_url}?thumbnail=1&width=300&height=300`;
-                }
-                uploadedMedia.push({
-                    type: result.resource_type,
-                    url: result.secure_url,
-                    thumbnailUrl,
-                    fileSize: result.bytes,
-                    format: result.format,
-                    duration: result.duration || null,
-                    dimensions: {
-                        width: result.width,
-                        height: result.height,
-                    },
-                });
-            }
-        } catch {
-            throw new ApiError(500, "Bunny.net upload failed");
-        }
-    }
+    const uploadedMedia = await uploadPostMedia(files, req.files?.thumbnail?.[0]);
 
     const post = await Post.create({
         userId,
@@ -431,9 +324,7 @@ export const createServicePost = asyncHandler(async (req, res) => {
             },
         },
         settings: parsedSettings || {},
-        scheduledAt,
-        publishedAt,
-        status: status || (scheduledAt ? "scheduled" : "published"),
+        ...publishState,
         isPromoted: false,
         isFeatured: false,
         isReported: false,
@@ -448,6 +339,8 @@ export const createServicePost = asyncHandler(async (req, res) => {
         { $push: { posts: post._id } }
     );
 
+    await syncPostHashtags(post._id, [], post.hashtags);
+
     return res.status(201).json(new ApiResponse(201, post, "Service post created successfully"));
 });
 
@@ -467,9 +360,8 @@ export const createBusinessPost = asyncHandler(async (req, res) => {
         business,
         settings,
         scheduledAt,
-        publishedAt,
-        status,
     } = req.body;
+    const publishState = resolvePublishState(scheduledAt);
     if (!postType || !["photo", "reel", "video", "story"].includes(postType)) {
         throw new ApiError(400, "postType must be one of 'photo', 'reel', 'video', or 'story'");
     }
@@ -480,81 +372,15 @@ export const createBusinessPost = asyncHandler(async (req, res) => {
     const parsedSettings = typeof settings === "string" ? JSON.parse(settings) : settings;
     const parsedLocation = typeof location === "string" ? JSON.parse(location) : location;
 
-    // Validate delivery options and location requirements
-    const validatedBusiness = await validateDeliveryAndLocation(parsedBusiness, "business");
+    // Validate delivery options, location requirements and the business link
+    const { business: validatedBusiness } = await validatePostCustomization("business", { business: parsedBusiness });
 
-    let resolvedLocation = parsedLocation || {};
-    if ((resolvedLocation.name || resolvedLocation.address) && !resolvedLocation.coordinates) {
-        try {
-            // Pass the full location object to allow multiple fallback strategies
-            const coords = await getCoordinates(resolvedLocation);
-            if (coords?.latitude && coords?.longitude) {
-                resolvedLocation.coordinates = {
-                    type: "Point",
-                    coordinates: [coords.longitude, coords.latitude]
-                };
-            } else {
-                // Log warning but allow post creation without coordinates
-                console.warn(`Could not resolve coordinates for location: ${resolvedLocation.name || resolvedLocation.address || 'unknown'}. Post will be created without coordinates.`);
-            }
-        } catch (error) {
-            // Log error but allow post creation without coordinates
-            console.error('Error resolving location coordinates:', error.message);
-        }
-    }
+    const resolvedLocation = await resolvePostLocation(parsedLocation);
 
     const files = extractMediaFiles(req.files);
     if (!files.length) throw new ApiError(400, "Media file is required");
 
-    let uploadedMedia = [];
-    for (const file of files) {
-        try {
-            const result = await uploadBufferToBunny(file.buffer, "posts");
-            if (result.resource_type === "image") {
-                const thumbnailUrl = generateOptimizedImageUrl(result.secure_url, { width: 300, height: 300, crop: 'fill' });
-                uploadedMedia.push({
-                    type: result.resource_type,
-                    url: result.secure_url,
-                    thumbnailUrl,
-                    fileSize: result.bytes,
-                    format: result.format,
-                    duration: result.duration || null,
-                    dimensions: {
-                        width: result.width,
-                        height: result.height,
-                    },
-                });
-            } else if (result.resource_type === "video") {
-                let thumbnailUrl;
-                const customThumbnail = req.files?.thumbnail?.[0];
-                if (customThumbnail) {
-                    const thumbResult = await uploadBufferToBunny(customThumbnail.buffer, "posts");
-                    thumbnailUrl = generateOptimizedImageUrl(thumbResult.secure_url, { width: 300, height: 300, crop: 'fill' });
-                } else {
-                    // Generate Bunny.net thumbnail from video URL (first frame, 300x300 crop)
-                    thumbnailUrl = `${result.secure_url}?thumbnail=1&width=300&height=300`;
-                }
-                uploadedMedia.push({
-                    type: result.resource_type,
-                    url: result.secure_url,
-                    thumbnailUrl,
-                    fileSize: result.bytes,
-                    format: result.format,
-                    duration: result.duration || null,
-                    dimensions: {
-                        width: result.width,
-                        height: result.height,
-                    },
-                });
-            }
-        } catch {
-            throw new ApiError(500, "Bunny.net upload failed");
-        }
-    }
-
-    if (!validatedBusiness?.link) {
-        throw new ApiError(400, "Business post must include a business link");
-    }
+    const uploadedMedia = await uploadPostMedia(files, req.files?.thumbnail?.[0]);
 
     const post = await Post.create({
         userId,
@@ -574,9 +400,7 @@ export const createBusinessPost = asyncHandler(async (req, res) => {
             },
         },
         settings: parsedSettings || {},
-        scheduledAt,
-        publishedAt,
-        status: status || (scheduledAt ? "scheduled" : "published"),
+        ...publishState,
         isPromoted: false,
         isFeatured: false,
         isReported: false,
@@ -591,6 +415,8 @@ export const createBusinessPost = asyncHandler(async (req, res) => {
         { $push: { posts: post._id } }
     );
 
+    await syncPostHashtags(post._id, [], post.hashtags);
+
     return res.status(201).json(new ApiResponse(201, post, "Business post created successfully"));
 });
 
@@ -714,6 +540,14 @@ export const editPost = asyncHandler(async (req, res) => {
     // Update basic fields
     if (caption !== undefined) updateData.caption = caption;
     if (description !== undefined) updateData.description = description;
+
+    // findByIdAndUpdate skips the save hook, so hashtags are re-extracted here
+    if (caption !== undefined || description !== undefined) {
+        updateData.hashtags = Post.extractHashtags(
+            caption !== undefined ? caption : post.caption,
+            description !== undefined ? description : post.description
+        );
+    }
     if (parsedMentions) updateData.mentions = parsedMentions;
 
     // Update customization based on content type
@@ -767,6 +601,10 @@ export const editPost = asyncHandler(async (req, res) => {
         { new: true, runValidators: true }
     ).populate('userId', 'username fullName profileImageUrl');
 
+    if (updateData.hashtags) {
+        await syncPostHashtags(postId, post.hashtags || [], updateData.hashtags);
+    }
+
     // Invalidate caches if post privacy changed from private to public
     if (isPrivacyChangingToPublic) {
         const { FeedCacheManager } = await import('../utlis/cache.utils.js');
@@ -1010,10 +848,10 @@ export const deleteReel = asyncHandler(async (req, res) => {
 });
 
 /**
- * Helper function to invalidate all caches when content is deleted
- * Ensures deleted posts/reels/stories are removed from all feeds immediately
+ * Helper function to invalidate all caches when content is deleted or published
+ * Ensures deleted posts/reels/stories leave (and scheduled posts enter) all feeds immediately
  */
-const invalidatePostCaches = async (postId, userId) => {
+export const invalidatePostCaches = async (postId, userId) => {
     try {
         // 1. Invalidate all user feeds (home feed, explore, trending)
         const pattern1 = 'fn:user:*:feed:*';
@@ -1039,7 +877,7 @@ const invalidatePostCaches = async (postId, userId) => {
             console.error('Redis reel cache clear error:', err);
         }
 
-        console.log(`✅ Cache invalidated for deleted content: ${postId}`);
+        console.log(`✅ Cache invalidated for content: ${postId}`);
     } catch (error) {
         console.error('Cache invalidation error:', error);
         // Don't throw - cache invalidation failure shouldn't block deletion
@@ -1270,30 +1108,46 @@ export const getTrendingPosts = asyncHandler(async (req, res) => {
     return res.status(200).json(new ApiResponse(200, posts, "Trending posts fetched successfully"));
 });
 
-// Save post as draft
-export const saveDraft = asyncHandler(async (req, res) => {
-    const userId = req.user?._id || req.body.userId;
-    const postData = req.body;
+/**
+ * Validate a requested publish time for a scheduled post
+ * @param {string|Date} scheduledAt - Requested publish time
+ * @returns {Date} - Parsed publish time
+ */
+export const parseScheduledAt = (scheduledAt) => {
+    if (!scheduledAt) throw new ApiError(400, "scheduledAt time is required");
 
-    const post = await Post.create({
-        ...postData,
-        userId,
-        status: "draft"
-    });
+    const publishAt = new Date(scheduledAt);
+    if (isNaN(publishAt.getTime())) {
+        throw new ApiError(400, "scheduledAt must be a valid date");
+    }
+    if (publishAt <= new Date()) {
+        throw new ApiError(400, "scheduledAt must be in the future");
+    }
 
-    return res.status(201).json(new ApiResponse(201, post, "Post saved as draft"));
-});
+    return publishAt;
+};
 
-// Schedule post for future
+// Schedule (or reschedule) an unpublished post; the scheduled post publisher makes it live at scheduledAt
 export const schedulePost = asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    const { scheduledAt } = req.body;
-    if (!scheduledAt) throw new ApiError(400, "scheduledAt time is required");
+    const { postId } = req.params;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+        throw new ApiError(400, "Invalid post ID");
+    }
+
+    const scheduledAt = parseScheduledAt(req.body.scheduledAt);
+
+    const post = await Post.findOne({ _id: postId, userId });
+    if (!post) throw new ApiError(404, "Post not found or you are not authorized to schedule it");
+
+    if (!["scheduled", "draft"].includes(post.status)) {
+        throw new ApiError(400, "Only unpublished posts can be scheduled");
+    }
 
-    const post = await Post.findByIdAndUpdate(id, {
-        status: "scheduled",
-        scheduledAt
-    }, { new: true });
+    post.status = "scheduled";
+    post.scheduledAt = scheduledAt;
+    await post.save();
 
     return res.status(200).json(new ApiResponse(200, post, "Post scheduled successfully"));
 });
@@ -1420,7 +1274,8 @@ export const getUserProfilePosts = asyncHandler(async (req, res) => {
     // Build filter object
     const filter = {
         userId,
-        status: { $in: ['published', 'scheduled'] }
+        status: { $in: ['published', 'scheduled'] },
+        $and: [publishedPostsFilter(req.user?._id)]
     };
 
     if (postType) {
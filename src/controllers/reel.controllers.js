@@ -3,6 +3,7 @@ import Post from "../models/userPost.models.js";
 import { User } from "../models/user.models.js";
 import { ApiResponse } from "../utlis/ApiResponse.js";
 import { getViewableUserIds } from "../middlewares/privacy.middleware.js";
+import { publishedPostsFilter } from "../utlis/postPrivacy.js";
 import mongoose from "mongoose";
 
 
@@ -62,6 +63,7 @@ export const getSuggestedReels = asyncHandler(async (req, res) => {
         // Build match criteria (excluding blocked users and respecting privacy)
         const matchCriteria = {
             status: { $in: ["published", "scheduled"] },
+            $and: [publishedPostsFilter(currentUserId)],
             userId: { $in: viewableUserIds, $nin: blockedUsers }
         };
 
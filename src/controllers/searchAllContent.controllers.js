@@ -6,6 +6,7 @@ import SearchSuggestion from '../models/searchSuggestion.models.js';
 import { ApiResponse } from '../utlis/ApiResponse.js';
 import { ApiError } from '../utlis/ApiError.js';
 import { getCoordinates } from '../utlis/getCoordinates.js';
+import { publishedPostsFilter } from '../utlis/postPrivacy.js';
 
 export const searchAllContent = async (req, res) => {
     try {
@@ -24,6 +25,7 @@ export const searchAllContent = async (req, res) => {
 
         // Get blocked users from middleware
         const blockedUsers = req.blockedUsers || [];
+        const viewerId = req.user?._id;
 
         if (!q) throw new ApiError(400, "Search query 'q' is required");
 
@@ -239,6 +241,7 @@ export const searchAllContent = async (req, res) => {
         // 📄 Fetch Posts (excluding blocked users)
         const rawPosts = await Post.find({
             ...basePostFilters,
+            $and: [publishedPostsFilter(viewerId)],
             userId: { $nin: blockedUsers }
         })
             .populate('userId', 'username profileImageUrl bio location')
@@ -398,7 +401,8 @@ export const searchAllContent = async (req, res) => {
 
         // Fetch posts for each user found and include business information
         const usersWithPosts = await Promise.all(limitedUsers.map(async (user) => {
-            const userPosts = await Post.find({ userId: user._id })
+            const userPostFilter = { userId: user._id, $and: [publishedPostsFilter(viewerId)] };
+            const userPosts = await Post.find(userPostFilter)
                 .sort({ createdAt: -1 })
                 .limit(10) // Limit to 10 recent posts per user
                 .lean();
@@ -418,7 +422,7 @@ export const searchAllContent = async (req, res) => {
                 business: businessProfile,
                 posts: userPosts,
                 reels: userReels,
-                totalPosts: await Post.countDocuments({ userId: user._id }),
+                totalPosts: await Post.countDocuments(userPostFilter),
                 totalReels: await Reel.countDocuments({ userId: user._id })
             };
         }));
@@ -1,16 +1,71 @@
+import mongoose from "mongoose";
 import Story from "../models/story.models.js";
+import StoryHighlight from "../models/storyHighlight.models.js";
 import { ApiResponse } from "../utlis/ApiResponse.js";
 import { ApiError } from "../utlis/ApiError.js";
-import { uploadBufferToBunny } from "../utlis/bunny.js";
+import { uploadBufferToBunny, getThumbnailUrl } from "../utlis/bunny.js";
 import { asyncHandler } from "../utlis/asyncHandler.js";
 import { User } from "../models/user.models.js";
 import { checkContentVisibility } from "../middlewares/privacy.middleware.js";
+import { STORY_AUDIENCES, isCloseFriendOf, getCloseFriendOwnerIds, isInStoryAudience, storyAudienceFilter } from "../utlis/closeFriends.utils.js";
+import { parseStickers, attachViewerResponses } from "../utlis/storyStickers.utils.js";
+import { getOrCreateDirectChat, sendChatMessage } from "./chat.controllers.js";
+
+const MAX_STORY_REACTION_LENGTH = 16;
+
+/**
+ * Throws unless the viewer may see a user's stories: nobody on either side of a block,
+ * and private accounts only for their followers
+ * @param {string} userId - Story author
+ * @param {ObjectId} viewerId - Viewer (undefined for anonymous)
+ * @param {Array<string>} blockedUsers - req.blockedUsers
+ * @returns {Promise<Object>} - The author (privacy, username, profileImageUrl)
+ */
+export const ensureCanViewUserStories = async (userId, viewerId, blockedUsers = []) => {
+    // Rule 1: Check if user is blocked
+    if (blockedUsers.includes(userId.toString())) {
+        throw new ApiError(403, "You don't have permission to view this user's stories");
+    }
+
+    // Rule 2: Get target user's privacy settings
+    const targetUser = await User.findById(userId).select('privacy username profileImageUrl');
+    if (!targetUser) {
+        throw new ApiError(404, "User not found");
+    }
+
+    // Rule 3: Check if viewer can see this user's content
+    const isOwnStory = viewerId?.toString() === userId.toString();
+    const isPublicAccount = targetUser.privacy === 'public';
+
+    if (!isOwnStory && !isPublicAccount) {
+        // For private accounts, check if viewer is following
+        if (!viewerId) {
+            throw new ApiError(403, "This account is private");
+        }
+
+        // Use the existing privacy check function
+        const canView = await checkContentVisibility(viewerId, userId);
+        if (!canView) {
+            throw new ApiError(403, "This account is private. Follow to see their stories.");
+        }
+    }
+
+    return targetUser;
+};
 
 // 1. Upload Story
 export const uploadStory = asyncHandler(async (req, res) => {
     const userId = req.user._id;
     if (!req.file) throw new ApiError(400, "Media file is required");
 
+    const audience = req.body.audience || 'everyone';
+    if (!STORY_AUDIENCES.includes(audience)) {
+        throw new ApiError(400, `audience must be one of: ${STORY_AUDIENCES.join(', ')}`);
+    }
+
+    // Validated before the upload so a bad sticker does not leave orphaned media
+    const stickers = await parseStickers(req.body.stickers);
+
     const result = await uploadBufferToBunny(req.file.buffer, "stories");
     if (!result.secure_url) throw new ApiError(500, "Failed to upload story media");
 
@@ -19,6 +74,8 @@ export const uploadStory = asyncHandler(async (req, res) => {
         mediaUrl: result.secure_url,
         mediaType: result.resource_type === "video" ? "video" : "image",
         caption: req.body.caption || "",
+        audience,
+        stickers,
         expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
     });
 
@@ -31,123 +88,154 @@ export const uploadStory = asyncHandler(async (req, res) => {
     res.status(201).json(new ApiResponse(201, storyObj, "Story uploaded successfully"));
 });
 
-// 2. Fetch Stories from followed users (and self) - excluding blocked users
+// 2. Fetch Stories feed, grouped by author - excluding blocked users
+// GET /api/v1/stories/feed?page=1&limit=20 (page through authors; own stories first, then authors with unseen stories)
 export const fetchStoriesFeed = asyncHandler(async (req, res) => {
-    const userId = req.user._id;
-    const blockedUsers = req.blockedUsers || [];
-
-    // Get current user's following list
-    const currentUser = await User.findById(userId).select("following followers");
-    const following = currentUser?.following || [];
-    const followers = currentUser?.followers || [];
+    const userId = new mongoose.Types.ObjectId(req.user._id.toString());
+    const blockedUsers = (req.blockedUsers || []).map(id => new mongoose.Types.ObjectId(id));
+    const page = parseInt(req.query.page) > 0 ? parseInt(req.query.page) : 1;
+    const limit = Math.min(parseInt(req.query.limit) > 0 ? parseInt(req.query.limit) : 20, 50);
+    const skip = (page - 1) * limit;
+
+    // Private accounts are visible to people they follow or who follow them
+    const [currentUser, closeFriendOwners] = await Promise.all([
+        User.findById(userId).select("following followers").lean(),
+        getCloseFriendOwnerIds(userId)
+    ]);
+    const connections = [...(currentUser?.following || []), ...(currentUser?.followers || [])];
 
     const now = new Date();
 
-    // Get all active stories and populate user info including privacy
-    const allStories = await Story.find({
-        isArchived: false,
-        expiresAt: { $gt: now }
-    })
-        .sort({ createdAt: -1 })
-        .populate("userId", "username profileImageUrl privacy followers following");
-
-    // Filter stories based on privacy rules
-    const visibleStories = allStories.filter(story => {
-        const storyOwnerId = story.userId._id.toString();
-        const storyOwnerPrivacy = story.userId.privacy || 'public';
-
-        // Rule 1: Always show own stories
-        if (storyOwnerId === userId.toString()) {
-            return true;
-        }
-
-        // Rule 2: Never show stories from blocked users (mutual blocking)
-        if (blockedUsers.includes(storyOwnerId)) {
-            return false;
-        }
-
-        // Rule 3: If story owner has PUBLIC account → show to everyone
-        if (storyOwnerPrivacy === 'public') {
-            return true;
-        }
-
-        // Rule 4: If story owner has PRIVATE account → only show to followers/following
-        if (storyOwnerPrivacy === 'private') {
-            const isFollowing = following.some(id => id.toString() === storyOwnerId);
-            const isFollower = followers.some(id => id.toString() === storyOwnerId);
-
-            return isFollowing || isFollower;
+    const [result] = await Story.aggregate([
+        {
+            $match: {
+                isArchived: false,
+                expiresAt: { $gt: now },
+                userId: { $nin: blockedUsers },
+                // Close-friends stories only reach the author's Close Friends
+                $or: [
+                    { audience: { $ne: "close_friends" } },
+                    { userId: { $in: [userId, ...closeFriendOwners.map(id => new mongoose.Types.ObjectId(id))] } }
+                ]
+            }
+        },
+        { $sort: { userId: 1, createdAt: 1 } },
+        {
+            $group: {
+                _id: "$userId",
+                stories: {
+                    $push: {
+                        _id: "$_id",
+                        mediaUrl: "$mediaUrl",
+                        postType: "$mediaType",
+                        caption: "$caption",
+                        audience: "$audience",
+                        isCloseFriends: { $eq: ["$audience", "close_friends"] },
+                        stickers: "$stickers",
+                        seen: { $in: [userId, { $ifNull: ["$viewers", []] }] },
+                        expiresAt: "$expiresAt",
+                        createdAt: "$createdAt"
+                    }
+                },
+                latestStoryAt: { $max: "$createdAt" }
+            }
+        },
+        {
+            $lookup: {
+                from: "users",
+                localField: "_id",
+                foreignField: "_id",
+                as: "user",
+                pipeline: [{ $project: { username: 1, profileImageUrl: 1, privacy: 1 } }]
+            }
+        },
+        { $unwind: "$user" },
+        {
+            $match: {
+                $or: [
+                    { _id: userId },
+                    { "user.privacy": { $in: ["public", null] } },
+                    { "user.privacy": "private", _id: { $in: connections } }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                isOwn: { $eq: ["$_id", userId] },
+                // Own stories never count as unseen
+                hasUnseen: {
+                    $and: [
+                        { $ne: ["$_id", userId] },
+                        { $anyElementTrue: [{ $map: { input: "$stories", as: "story", in: { $not: ["$$story.seen"] } } }] }
+                    ]
+                }
+            }
+        },
+        { $sort: { isOwn: -1, hasUnseen: -1, latestStoryAt: -1, _id: 1 } },
+        {
+            $facet: {
+                authors: [
+                    { $skip: skip },
+                    { $limit: limit },
+                    {
+                        $project: {
+                            _id: 0,
+                            user: { _id: "$user._id", username: "$user.username", profileImageUrl: "$user.profileImageUrl" },
+                            stories: 1,
+                            storyCount: { $size: "$stories" },
+                            hasUnseen: 1,
+                            hasCloseFriendsStory: { $anyElementTrue: ["$stories.isCloseFriends"] },
+                            latestStoryAt: 1
+                        }
+                    }
+                ],
+                total: [{ $count: "count" }]
+            }
         }
+    ]).allowDiskUse(true);
 
-        return false;
-    });
+    const total = result.total[0]?.count || 0;
+    await attachViewerResponses(result.authors.flatMap(author => author.stories), userId);
 
-    // Map mediaType to postType and remove viewers
-    const storiesWithPostType = visibleStories.map(story => {
-        const obj = story.toObject();
-        obj.postType = obj.mediaType;
-        delete obj.mediaType;
-        delete obj.viewers;
-        // Remove privacy field from user object in response
-        if (obj.userId) {
-            delete obj.userId.privacy;
-            delete obj.userId.followers;
-            delete obj.userId.following;
+    res.status(200).json(new ApiResponse(200, {
+        authors: result.authors,
+        pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            hasNextPage: skip + result.authors.length < total,
+            hasPrevPage: skip > 0
         }
-        return obj;
-    });
-
-    res.status(200).json(new ApiResponse(200, storiesWithPostType, "Stories feed fetched"));
+    }, "Stories feed fetched"));
 });
+
 // 3. Fetch Stories by user id
 export const fetchStoriesByUser = asyncHandler(async (req, res) => {
     const { userId } = req.params;
     const viewerId = req.user?._id;
-    const blockedUsers = req.blockedUsers || [];
-
-    // Rule 1: Check if user is blocked
-    if (blockedUsers.includes(userId)) {
-        throw new ApiError(403, "You don't have permission to view this user's stories");
-    }
-
-    // Rule 2: Get target user's privacy settings
-    const targetUser = await User.findById(userId).select('privacy username profileImageUrl');
-    if (!targetUser) {
-        throw new ApiError(404, "User not found");
-    }
-
-    // Rule 3: Check if viewer can see this user's content
-    const isOwnStory = viewerId?.toString() === userId;
-    const isPublicAccount = targetUser.privacy === 'public';
-
-    if (!isOwnStory && !isPublicAccount) {
-        // For private accounts, check if viewer is following
-        if (!viewerId) {
-            throw new ApiError(403, "This account is private");
-        }
 
-        // Use the existing privacy check function
-        const canView = await checkContentVisibility(viewerId, userId);
-        if (!canView) {
-            throw new ApiError(403, "This account is private. Follow to see their stories.");
-        }
-    }
+    await ensureCanViewUserStories(userId, viewerId, req.blockedUsers || []);
 
     const now = new Date();
     const stories = await Story.find({
         userId,
         isArchived: false,
-        expiresAt: { $gt: now }
+        expiresAt: { $gt: now },
+        ...await storyAudienceFilter(userId, viewerId)
     }).sort({ createdAt: -1 });
 
-    // Map mediaType to postType and remove viewers
+    // Map mediaType to postType and remove viewers and reactions
     const storiesWithPostType = stories.map(story => {
         const obj = story.toObject();
         obj.postType = obj.mediaType;
+        obj.isCloseFriends = obj.audience === 'close_friends';
         delete obj.mediaType;
         delete obj.viewers;
+        delete obj.reactions;
         return obj;
     });
+    await attachViewerResponses(storiesWithPostType, viewerId);
 
     res.status(200).json(new ApiResponse(200, storiesWithPostType, "User's stories fetched"));
 });
@@ -166,6 +254,11 @@ export const markStorySeen = asyncHandler(async (req, res) => {
         throw new ApiError(403, "Cannot view this story");
     }
 
+    // Close-friends stories can only be seen by the author's Close Friends
+    if (!isInStoryAudience(story, userId, await isCloseFriendOf(story.userId, userId))) {
+        throw new ApiError(403, "Cannot view this story");
+    }
+
     // Don't add the story owner to viewers
     if (story.userId.toString() !== userId.toString() && !story.viewers.includes(userId)) {
         story.viewers.push(userId);
@@ -183,11 +276,28 @@ export const fetchStoryViewers = asyncHandler(async (req, res) => {
     const story = await Story.findById(storyId).populate("viewers", "username profileImageUrl");
     if (!story) throw new ApiError(404, "Story not found");
 
+    // Viewers of a close-friends story are hidden from anyone outside its audience
+    if (!isInStoryAudience(story, req.user._id, await isCloseFriendOf(story.userId, req.user._id))) {
+        throw new ApiError(403, "You don't have permission to view this story's viewers");
+    }
+
     // Filter out the story owner from viewers (safety measure)
     const filteredViewers = story.viewers.filter(
         viewer => viewer._id.toString() !== story.userId.toString()
     );
 
+    // Only the author sees who reacted with what
+    if (story.userId.toString() === req.user._id.toString()) {
+        const reactionsByUser = new Map(story.reactions.map(reaction => [reaction.userId.toString(), reaction]));
+        filteredViewers.forEach((viewer, index) => {
+            const reaction = reactionsByUser.get(viewer._id.toString());
+            filteredViewers[index] = {
+                ...viewer.toObject(),
+                reaction: reaction ? { emoji: reaction.emoji, reactedAt: reaction.reactedAt } : null
+            };
+        });
+    }
+
     // Pagination logic
     const start = (parseInt(page) - 1) * parseInt(limit);
     const end = start + parseInt(limit);
@@ -243,16 +353,17 @@ export const fetchArchivedStoriesByUser = asyncHandler(async (req, res) => {
     }
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
+    const archiveFilter = { userId, isArchived: true, ...await storyAudienceFilter(userId, viewerId) };
 
     const [stories, total] = await Promise.all([
-        Story.find({ userId, isArchived: true })
+        Story.find(archiveFilter)
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(parseInt(limit))
-            .select("-viewers -mediaType") // remove viewers and mediaType from response
+            .select("-viewers -reactions -mediaType") // remove viewers, reactions and mediaType from response
             .lean()
             .exec(),
-        Story.countDocuments({ userId, isArchived: true })
+        Story.countDocuments(archiveFilter)
     ]);
 
     // Map mediaType to postType in response if needed
@@ -301,8 +412,117 @@ export const deleteStory = asyncHandler(async (req, res) => {
         // Continue with story deletion even if media deletion fails
     }
 
-    // Delete the story from database
+    // Delete the story from database (the Story delete hook drops it from highlights and deletes its sticker responses)
     await Story.findByIdAndDelete(storyId);
 
     res.status(200).json(new ApiResponse(200, { storyId }, "Story deleted successfully"));
-});
\ No newline at end of file
+});
+
+/**
+ * Load an active story a viewer interacts with (reply, reaction, sticker response):
+ * same blocking, privacy and audience rules as viewing it
+ * @param {string} storyId - Story
+ * @param {ObjectId} viewerId - Viewer
+ * @param {Array<string>} blockedUsers - req.blockedUsers
+ * @param {Object} options
+ * @param {boolean} options.allowHighlighted - Also accept an expired story that is still shown in a highlight
+ * @returns {Promise<Object>} - The story
+ */
+export const findActiveStoryForViewer = async (storyId, viewerId, blockedUsers, { allowHighlighted = false } = {}) => {
+    if (!mongoose.Types.ObjectId.isValid(storyId)) {
+        throw new ApiError(400, "Invalid story ID");
+    }
+
+    const story = await Story.findById(storyId);
+    if (!story) throw new ApiError(404, "Story not found");
+
+    const isActive = !story.isArchived && story.expiresAt > new Date();
+    if (!isActive && !(allowHighlighted && await StoryHighlight.exists({ stories: story._id }))) {
+        throw new ApiError(404, "Story not found");
+    }
+
+    await ensureCanViewUserStories(story.userId, viewerId, blockedUsers);
+
+    if (!isInStoryAudience(story, viewerId, await isCloseFriendOf(story.userId, viewerId))) {
+        throw new ApiError(403, "Cannot view this story");
+    }
+
+    return story;
+};
+
+// Send a story reply into the direct chat with the author (a chat request unless the author follows the viewer)
+const sendStoryReply = async (story, viewerId, message, reaction = null) => {
+    if (story.userId.toString() === viewerId.toString()) {
+        throw new ApiError(400, "You cannot reply to your own story");
+    }
+
+    const { chat } = await getOrCreateDirectChat(viewerId, story.userId);
+
+    const { message: sentMessage } = await sendChatMessage({
+        chatId: chat._id.toString(),
+        senderId: viewerId,
+        message,
+        messageType: 'story_reply',
+        serverFields: {
+            storyReply: {
+                storyId: story._id,
+                storyOwner: story.userId,
+                thumbnailUrl: getThumbnailUrl(story.mediaUrl, story.mediaType),
+                mediaType: story.mediaType,
+                ...(reaction && { reaction })
+            }
+        }
+    });
+
+    return { chatId: chat._id, chatStatus: chat.status, message: sentMessage };
+};
+
+// 8. Reply to a story with a direct message: POST /api/v1/stories/:storyId/reply { message }
+export const replyToStory = asyncHandler(async (req, res) => {
+    const viewerId = req.user._id;
+    const { message } = req.body || {};
+
+    if (typeof message !== "string" || !message.trim()) {
+        throw new ApiError(400, "Message is required");
+    }
+
+    const story = await findActiveStoryForViewer(req.params.storyId, viewerId, req.blockedUsers || []);
+    const result = await sendStoryReply(story, viewerId, message);
+
+    res.status(201).json(new ApiResponse(201, result, "Story reply sent"));
+});
+
+// 9. React to a story: POST /api/v1/stories/:storyId/react { emoji } - replaces the viewer's previous reaction
+export const reactToStory = asyncHandler(async (req, res) => {
+    const viewerId = req.user._id;
+    const emoji = typeof req.body?.emoji === "string" ? req.body.emoji.trim() : "";
+
+    if (!emoji || emoji.length > MAX_STORY_REACTION_LENGTH) {
+        throw new ApiError(400, `Emoji must be between 1 and ${MAX_STORY_REACTION_LENGTH} characters`);
+    }
+
+    const story = await findActiveStoryForViewer(req.params.storyId, viewerId, req.blockedUsers || []);
+    const reactedAt = new Date();
+
+    // Reacting also counts as seeing the story
+    const updated = await Story.updateOne(
+        { _id: story._id, "reactions.userId": viewerId },
+        {
+            $set: { "reactions.$.emoji": emoji, "reactions.$.reactedAt": reactedAt },
+            $addToSet: { viewers: viewerId }
+        }
+    );
+    if (updated.matchedCount === 0) {
+        await Story.updateOne(
+            { _id: story._id, "reactions.userId": { $ne: viewerId } },
+            {
+                $push: { reactions: { userId: viewerId, emoji, reactedAt } },
+                $addToSet: { viewers: viewerId }
+            }
+        );
+    }
+
+    const result = await sendStoryReply(story, viewerId, `Reacted ${emoji} to your story`, emoji);
+
+    res.status(201).json(new ApiResponse(201, { ...result, emoji }, "Story reaction sent"));
+});
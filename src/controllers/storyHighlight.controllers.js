@@ -0,0 +1,296 @@
+import mongoose from "mongoose";
+import Story from "../models/story.models.js";
+import StoryHighlight from "../models/storyHighlight.models.js";
+import { ApiResponse } from "../utlis/ApiResponse.js";
+import { ApiError } from "../utlis/ApiError.js";
+import { asyncHandler } from "../utlis/asyncHandler.js";
+import { uploadBufferToBunny, getFileType } from "../utlis/bunny.js";
+import { deleteUploadedHighlightCover } from "../utlis/storyCleanup.utils.js";
+import { storyAudienceFilter } from "../utlis/closeFriends.utils.js";
+import { ensureCanViewUserStories } from "./story.controllers.js";
+
+const MAX_HIGHLIGHT_STORIES = 100;
+const MAX_HIGHLIGHT_TITLE_LENGTH = 30;
+
+// storyIds arrive as an array (JSON body) or as a JSON / comma separated string (multipart with a cover image)
+const parseStoryIds = (rawStoryIds) => {
+    let storyIds = rawStoryIds;
+    if (typeof storyIds === "string") {
+        try {
+            storyIds = JSON.parse(storyIds);
+        } catch {
+            storyIds = storyIds.split(",").map(id => id.trim()).filter(Boolean);
+        }
+    }
+
+    if (!Array.isArray(storyIds) || storyIds.length === 0) {
+        throw new ApiError(400, "storyIds must be a non-empty array");
+    }
+
+    const uniqueIds = [...new Set(storyIds.map(id => String(id)))];
+    if (uniqueIds.length > MAX_HIGHLIGHT_STORIES) {
+        throw new ApiError(400, `A highlight can have at most ${MAX_HIGHLIGHT_STORIES} stories`);
+    }
+    if (uniqueIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        throw new ApiError(400, "Invalid story IDs");
+    }
+
+    return uniqueIds;
+};
+
+const parseTitle = (title) => {
+    const trimmed = typeof title === "string" ? title.trim() : "";
+    if (!trimmed) throw new ApiError(400, "Title is required");
+    if (trimmed.length > MAX_HIGHLIGHT_TITLE_LENGTH) {
+        throw new ApiError(400, `Title can be at most ${MAX_HIGHLIGHT_TITLE_LENGTH} characters`);
+    }
+    return trimmed;
+};
+
+// Highlights can only hold the user's own stories (active or archived)
+const loadOwnStories = async (userId, storyIds) => {
+    const stories = await Story.find({ _id: { $in: storyIds }, userId }).select("mediaUrl").lean();
+    if (stories.length !== storyIds.length) {
+        throw new ApiError(400, "Highlights can only contain your own stories");
+    }
+    return new Map(stories.map(story => [story._id.toString(), story]));
+};
+
+// Cover from an uploaded image, a chosen story of the highlight, or its first story
+const resolveCover = async ({ file, coverStoryId, storyIds, storiesById }) => {
+    if (file) {
+        if (!getFileType(file.buffer, file.originalname).isImage) {
+            throw new ApiError(400, "Cover must be an image");
+        }
+        const result = await uploadBufferToBunny(file.buffer, "highlights");
+        if (!result.secure_url) throw new ApiError(500, "Failed to upload highlight cover");
+        return { coverImageUrl: result.secure_url, coverStoryId: null };
+    }
+
+    const coverId = coverStoryId ? String(coverStoryId) : storyIds[0];
+    if (!storiesById.has(coverId)) {
+        throw new ApiError(400, "Cover story must be one of the highlight's stories");
+    }
+    return { coverImageUrl: storiesById.get(coverId).mediaUrl, coverStoryId: coverId };
+};
+
+const findOwnHighlight = async (highlightId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(highlightId)) {
+        throw new ApiError(400, "Invalid highlight ID");
+    }
+
+    const highlight = await StoryHighlight.findById(highlightId);
+    if (!highlight) throw new ApiError(404, "Highlight not found");
+    if (highlight.userId.toString() !== userId.toString()) {
+        throw new ApiError(403, "You can only change your own highlights");
+    }
+    return highlight;
+};
+
+/**
+ * A user's highlights as the viewer sees them: stories outside the viewer's audience
+ * (close-friends stories) are not counted, highlights left empty are skipped, and a cover
+ * taken from a story the viewer cannot see is replaced by their first visible story
+ * @param {string} userId - Highlight owner
+ * @param {ObjectId} viewerId - Viewer (undefined for anonymous)
+ * @returns {Promise<{ highlights: Array, total: number }>}
+ */
+export const getVisibleHighlights = async (userId, viewerId, { skip = 0, limit = 20 } = {}) => {
+    const audienceFilter = await storyAudienceFilter(userId, viewerId);
+
+    const [result] = await StoryHighlight.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(userId.toString()) } },
+        { $sort: { createdAt: -1 } },
+        {
+            $lookup: {
+                from: "stories",
+                localField: "stories",
+                foreignField: "_id",
+                as: "visibleStories",
+                pipeline: [{ $match: audienceFilter }, { $project: { _id: 1, mediaUrl: 1 } }]
+            }
+        },
+        { $match: { "visibleStories.0": { $exists: true } } },
+        {
+            $facet: {
+                highlights: [
+                    { $skip: skip },
+                    { $limit: limit },
+                    {
+                        $project: {
+                            title: 1,
+                            coverImageUrl: {
+                                $cond: [
+                                    { $or: [{ $not: ["$coverStoryId"] }, { $in: ["$coverStoryId", "$visibleStories._id"] }] },
+                                    "$coverImageUrl",
+                                    {
+                                        $let: {
+                                            vars: {
+                                                firstVisibleId: {
+                                                    $arrayElemAt: [
+                                                        { $filter: { input: "$stories", cond: { $in: ["$$this", "$visibleStories._id"] } } },
+                                                        0
+                                                    ]
+                                                }
+                                            },
+                                            in: {
+                                                $arrayElemAt: [
+                                                    "$visibleStories.mediaUrl",
+                                                    { $indexOfArray: ["$visibleStories._id", "$$firstVisibleId"] }
+                                                ]
+                                            }
+                                        }
+                                    }
+                                ]
+                            },
+                            storyCount: { $size: "$visibleStories" },
+                            createdAt: 1,
+                            updatedAt: 1
+                        }
+                    }
+                ],
+                total: [{ $count: "count" }]
+            }
+        }
+    ]);
+
+    return { highlights: result.highlights, total: result.total[0]?.count || 0 };
+};
+
+// Create a highlight: POST /api/v1/stories/highlights { title, storyIds, coverStoryId? } (+ optional "cover" image)
+export const createHighlight = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const title = parseTitle(req.body.title);
+    const storyIds = parseStoryIds(req.body.storyIds);
+    const storiesById = await loadOwnStories(userId, storyIds);
+
+    const cover = await resolveCover({ file: req.file, coverStoryId: req.body.coverStoryId, storyIds, storiesById });
+
+    const highlight = await StoryHighlight.create({
+        userId,
+        title,
+        ...cover,
+        stories: storyIds
+    });
+
+    res.status(201).json(new ApiResponse(201, highlight, "Highlight created successfully"));
+});
+
+// Update title, stories (replaces the ordered list) and/or cover: PATCH /api/v1/stories/highlights/:highlightId
+export const updateHighlight = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+    const highlight = await findOwnHighlight(req.params.highlightId, userId);
+    const { title, storyIds: rawStoryIds, coverStoryId } = req.body;
+
+    if (title !== undefined) {
+        highlight.title = parseTitle(title);
+    }
+
+    const storyIds = rawStoryIds !== undefined
+        ? parseStoryIds(rawStoryIds)
+        : highlight.stories.map(id => id.toString());
+    const storiesById = await loadOwnStories(userId, storyIds);
+    highlight.stories = storyIds;
+
+    // A new cover was picked, or the story used as cover is no longer in the highlight
+    const coverRemoved = highlight.coverStoryId && !storiesById.has(highlight.coverStoryId.toString());
+    if (req.file || coverStoryId || coverRemoved) {
+        const previous = { coverStoryId: highlight.coverStoryId, coverImageUrl: highlight.coverImageUrl };
+        const cover = await resolveCover({ file: req.file, coverStoryId, storyIds, storiesById });
+        highlight.coverImageUrl = cover.coverImageUrl;
+        highlight.coverStoryId = cover.coverStoryId;
+        if (previous.coverImageUrl !== cover.coverImageUrl) deleteUploadedHighlightCover(previous);
+    }
+
+    await highlight.save();
+
+    res.status(200).json(new ApiResponse(200, highlight, "Highlight updated successfully"));
+});
+
+// Delete a highlight (its stories are kept)
+export const deleteHighlight = asyncHandler(async (req, res) => {
+    const highlight = await findOwnHighlight(req.params.highlightId, req.user._id);
+
+    deleteUploadedHighlightCover(highlight);
+    await highlight.deleteOne();
+
+    res.status(200).json(new ApiResponse(200, { highlightId: highlight._id }, "Highlight deleted successfully"));
+});
+
+// List a user's highlights (same blocking and privacy rules as their stories)
+export const fetchHighlightsByUser = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const viewerId = req.user?._id;
+    const page = parseInt(req.query.page) > 0 ? parseInt(req.query.page) : 1;
+    const limit = Math.min(parseInt(req.query.limit) > 0 ? parseInt(req.query.limit) : 20, 50);
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+        throw new ApiError(400, "Invalid user ID");
+    }
+
+    await ensureCanViewUserStories(userId, viewerId, req.blockedUsers || []);
+
+    const skip = (page - 1) * limit;
+    const { highlights, total } = await getVisibleHighlights(userId, viewerId, { skip, limit });
+
+    res.status(200).json(new ApiResponse(200, {
+        highlights,
+        pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            hasNextPage: skip + highlights.length < total,
+            hasPrevPage: skip > 0
+        }
+    }, "User's highlights fetched"));
+});
+
+// Stories of a highlight in their saved order
+export const fetchHighlightById = asyncHandler(async (req, res) => {
+    const { highlightId } = req.params;
+    const viewerId = req.user?._id;
+
+    if (!mongoose.Types.ObjectId.isValid(highlightId)) {
+        throw new ApiError(400, "Invalid highlight ID");
+    }
+
+    const highlight = await StoryHighlight.findById(highlightId).lean();
+    if (!highlight) throw new ApiError(404, "Highlight not found");
+
+    const owner = await ensureCanViewUserStories(highlight.userId, viewerId, req.blockedUsers || []);
+
+    const stories = await Story.find({
+        _id: { $in: highlight.stories },
+        ...await storyAudienceFilter(highlight.userId, viewerId)
+    })
+        .select("-viewers -reactions")
+        .lean();
+    const storiesById = new Map(stories.map(story => [story._id.toString(), story]));
+
+    // Map mediaType to postType like the other story endpoints
+    const orderedStories = highlight.stories
+        .map(id => storiesById.get(id.toString()))
+        .filter(Boolean)
+        .map(story => {
+            story.postType = story.mediaType;
+            story.isCloseFriends = story.audience === 'close_friends';
+            delete story.mediaType;
+            return story;
+        });
+
+    if (orderedStories.length === 0) throw new ApiError(404, "Highlight not found");
+
+    // A cover taken from a story the viewer cannot see falls back to their first visible story
+    const coverHidden = highlight.coverStoryId && !storiesById.has(highlight.coverStoryId.toString());
+
+    res.status(200).json(new ApiResponse(200, {
+        _id: highlight._id,
+        title: highlight.title,
+        coverImageUrl: coverHidden ? orderedStories[0].mediaUrl : highlight.coverImageUrl,
+        user: { _id: owner._id, username: owner.username, profileImageUrl: owner.profileImageUrl },
+        stories: orderedStories,
+        createdAt: highlight.createdAt,
+        updatedAt: highlight.updatedAt
+    }, "Highlight fetched"));
+});
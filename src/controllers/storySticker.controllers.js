@@ -0,0 +1,144 @@
+import mongoose from "mongoose";
+import Story from "../models/story.models.js";
+import StoryStickerResponse from "../models/storyStickerResponse.models.js";
+import { ApiResponse } from "../utlis/ApiResponse.js";
+import { ApiError } from "../utlis/ApiError.js";
+import { asyncHandler } from "../utlis/asyncHandler.js";
+import { parseStickerResponse, buildStickerResults } from "../utlis/storyStickers.utils.js";
+import { findActiveStoryForViewer } from "./story.controllers.js";
+
+const MAX_RESULT_ANSWERS = 50;
+
+// Story and one of its stickers for a viewer; allowHighlighted also accepts expired stories shown in a highlight
+const findStickerForViewer = async (req, { allowHighlighted = false } = {}) => {
+    const { storyId, stickerId } = req.params;
+    const viewerId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(stickerId)) {
+        throw new ApiError(400, "Invalid sticker ID");
+    }
+
+    const story = await findActiveStoryForViewer(storyId, viewerId, req.blockedUsers || [], { allowHighlighted });
+    const sticker = story.stickers?.id(stickerId);
+    if (!sticker) throw new ApiError(404, "Sticker not found");
+
+    return { story, sticker, viewerId, isOwner: story.userId.toString() === viewerId.toString() };
+};
+
+// Tally of StoryStickerResponse rows per sticker (and poll option)
+const tallyResponses = (match) => StoryStickerResponse.aggregate([
+    { $match: match },
+    {
+        $group: {
+            _id: { stickerId: "$stickerId", optionIndex: "$optionIndex" },
+            count: { $sum: 1 },
+            valueSum: { $sum: "$value" },
+            taps: { $sum: "$tapCount" }
+        }
+    }
+]);
+
+// Vote on a poll, slide an emoji slider or answer a question (one response per viewer)
+// POST /api/v1/stories/:storyId/stickers/:stickerId/respond { optionIndex } | { value } | { answer }
+export const respondToSticker = asyncHandler(async (req, res) => {
+    const { story, sticker, viewerId, isOwner } = await findStickerForViewer(req);
+    if (isOwner) throw new ApiError(400, "You cannot respond to your own story");
+
+    const fields = parseStickerResponse(sticker, req.body || {});
+
+    try {
+        await StoryStickerResponse.create({
+            storyId: story._id,
+            stickerId: sticker._id,
+            userId: viewerId,
+            stickerType: sticker.type,
+            ...fields
+        });
+    } catch (error) {
+        if (error.code === 11000) throw new ApiError(409, "You have already responded to this sticker");
+        throw error;
+    }
+
+    // Responding also counts as seeing the story
+    await Story.updateOne({ _id: story._id }, { $addToSet: { viewers: viewerId } });
+
+    // Poll and slider results are shown to the viewer once they respond; question answers stay with the author
+    let results = null;
+    if (sticker.type !== "question") {
+        const tallies = await tallyResponses({ storyId: story._id, stickerId: sticker._id });
+        [results] = buildStickerResults([sticker], tallies);
+    }
+
+    res.status(201).json(new ApiResponse(201, {
+        stickerId: sticker._id,
+        response: fields,
+        results
+    }, "Sticker response saved"));
+});
+
+// Count a tap on a link sticker and return its URL: POST /api/v1/stories/:storyId/stickers/:stickerId/tap
+// Links keep working on archived stories shown in a highlight (polls and questions close when the story expires)
+export const tapLinkSticker = asyncHandler(async (req, res) => {
+    const { story, sticker, viewerId, isOwner } = await findStickerForViewer(req, { allowHighlighted: true });
+    if (sticker.type !== "link") throw new ApiError(400, "Only link stickers can be tapped");
+
+    // The author's own taps are not counted
+    if (!isOwner) {
+        await StoryStickerResponse.updateOne(
+            { stickerId: sticker._id, userId: viewerId },
+            {
+                $inc: { tapCount: 1 },
+                $setOnInsert: { storyId: story._id, stickerType: "link" }
+            },
+            { upsert: true }
+        );
+    }
+
+    res.status(200).json(new ApiResponse(200, { url: sticker.url }, "Link tap recorded"));
+});
+
+// Aggregated sticker results for the story author (active or archived story)
+// GET /api/v1/stories/:storyId/stickers/results
+export const fetchStickerResults = asyncHandler(async (req, res) => {
+    const { storyId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(storyId)) {
+        throw new ApiError(400, "Invalid story ID");
+    }
+
+    const story = await Story.findById(storyId).select("userId stickers").lean();
+    if (!story) throw new ApiError(404, "Story not found");
+
+    if (story.userId.toString() !== req.user._id.toString()) {
+        throw new ApiError(403, "Only the story author can see sticker results");
+    }
+
+    const stickers = story.stickers || [];
+    const questionStickers = stickers.filter(sticker => sticker.type === "question");
+
+    const [tallies, answerLists] = await Promise.all([
+        tallyResponses({ storyId: story._id }),
+        Promise.all(questionStickers.map(sticker =>
+            StoryStickerResponse.find({ storyId: story._id, stickerId: sticker._id })
+                .sort({ createdAt: -1 })
+                .limit(MAX_RESULT_ANSWERS)
+                .select("userId answer createdAt")
+                .populate("userId", "username profileImageUrl")
+                .lean()
+        ))
+    ]);
+
+    const answersBySticker = new Map(questionStickers.map((sticker, index) => [
+        sticker._id.toString(),
+        answerLists[index].map(response => ({
+            user: response.userId,
+            answer: response.answer,
+            createdAt: response.createdAt
+        }))
+    ]));
+
+    res.status(200).json(new ApiResponse(200, {
+        storyId: story._id,
+        stickers: buildStickerResults(stickers, tallies, answersBySticker)
+    }, "Sticker results fetched"));
+});
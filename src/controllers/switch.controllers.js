@@ -5,8 +5,12 @@ import Story from "../models/story.models.js";
 import TaggedUser from "../models/taggedUser.models.js";
 import Like from "../models/like.models.js";
 import { asyncHandler } from "../utlis/asyncHandler.js";
+import { publishedPostsFilter } from "../utlis/postPrivacy.js";
+import { storyAudienceFilter } from "../utlis/closeFriends.utils.js";
+import { ensureCanViewUserStories } from "./story.controllers.js";
+import { getVisibleHighlights } from "./storyHighlight.controllers.js";
 
-const allowedTabs = ["photos", "reels", "videos", "tagged", "stories"];
+const allowedTabs = ["photos", "reels", "videos", "tagged", "stories", "highlights"];
 const postProjection = {
     _id: 1,
     userId: 1,
@@ -48,7 +52,8 @@ export const getProfileTabContent = asyncHandler(async (req, res) => {
                 userId,
                 postType: { $in: ["photo", "video"] },
                 contentType: "normal",
-                status: { $in: ["published", "scheduled"] }
+                status: { $in: ["published", "scheduled"] },
+                $and: [publishedPostsFilter(currentUserId)]
             };
             data = await Post.find(filter, postProjection)
                 .populate("userId", "username profileImageUrl")
@@ -63,7 +68,8 @@ export const getProfileTabContent = asyncHandler(async (req, res) => {
             const filter = {
                 userId,
                 postType: "reel",
-                status: { $in: ["published", "scheduled"] }
+                status: { $in: ["published", "scheduled"] },
+                $and: [publishedPostsFilter(currentUserId)]
             };
             data = await Post.find(filter, postProjection)
                 .populate("userId", "username profileImageUrl")
@@ -79,7 +85,8 @@ export const getProfileTabContent = asyncHandler(async (req, res) => {
                 userId,
                 postType: "video",
                 contentType: { $ne: "normal" },
-                status: { $in: ["published", "scheduled"] }
+                status: { $in: ["published", "scheduled"] },
+                $and: [publishedPostsFilter(currentUserId)]
             };
             data = await Post.find(filter, postProjection)
                 .populate("userId", "username profileImageUrl")
@@ -107,11 +114,14 @@ export const getProfileTabContent = asyncHandler(async (req, res) => {
             break;
         }
         case "stories": {
+            await ensureCanViewUserStories(userId, currentUserId, req.blockedUsers || []);
+
             const now = new Date();
             const filter = {
                 userId,
                 isArchived: false,
-                expiresAt: { $gt: now }
+                expiresAt: { $gt: now },
+                ...await storyAudienceFilter(userId, currentUserId)
             };
             data = await Story.find(filter, storyProjection)
                 .populate("userId", "username profileImageUrl")
@@ -122,6 +132,13 @@ export const getProfileTabContent = asyncHandler(async (req, res) => {
             total = await Story.countDocuments(filter);
             break;
         }
+        case "highlights": {
+            // Highlights are stories, so the stories tab rules apply
+            await ensureCanViewUserStories(userId, currentUserId, req.blockedUsers || []);
+
+            ({ highlights: data, total } = await getVisibleHighlights(userId, currentUserId, { skip, limit }));
+            break;
+        }
     }
 
     // Add isLikedBy for posts (not stories)
@@ -13,6 +13,8 @@ import Comment from "../models/comment.models.js";
 import Like from "../models/like.models.js";
 import Business from "../models/business.models.js";
 import Story from "../models/story.models.js";
+import StoryHighlight from "../models/storyHighlight.models.js";
+import StoryStickerResponse from "../models/storyStickerResponse.models.js";
 import mongoose from "mongoose";
 import SearchSuggestion from "../models/searchSuggestion.models.js";
 import SearchHistory from "../models/searchHistory.models.js";
@@ -27,31 +29,44 @@ import Subscription from "../models/subscription.models.js";
 import PushSubscription from "../models/pushSubscription.models.js";
 import Draft from "../models/draft.models.js";
 import Device from "../models/device.models.js";
+import ApiKey from "../models/apikey.models.js";
 import Chat from "../models/chat.models.js";
 import Message from "../models/message.models.js";
+import StarredMessage from "../models/starredMessage.models.js";
 import Activity from "../models/activity.models.js";
 import Notification from "../models/notification.models.js";
 import Report from "../models/report.models.js";
 import Following from "../models/following.models.js";
 import FollowRequest from "../models/followRequest.models.js";
+import HashtagFollow from "../models/hashtagFollow.models.js";
+import Hashtag from "../models/hashtag.models.js";
+import CloseFriend from "../models/closeFriend.models.js";
+import Insight from "../models/insights.models.js";
 import ContactRequest from "../models/contactRequest.models.js";
+import BusinessInsight from "../models/businessInsight.models.js";
+import { trackBusinessEvent } from "../utlis/businessAnalytics.utils.js";
 import {
     generateRealtimeUsernameSuggestions,
     isUsernameAvailable,
     validateUsername
 } from "../utlis/usernameSuggestions.js";
 import { invalidateBlockedUsersCache } from "../middlewares/blocking.middleware.js";
-
-
-const generateAcessAndRefreshToken = async (userId) => {
+import {
+    getDeviceInfo,
+    createDeviceSession,
+    rotateDeviceSession,
+    revokeDeviceSession,
+    revokeAllUserSessions
+} from "../utlis/session.utils.js";
+import { revokeAccessToken } from "../utlis/tokenRevocation.utils.js";
+import { deletePosts } from "../utlis/postCleanup.utils.js";
+
+
+// Issues the token pair for a device session (one Device row per logged-in device)
+const generateAcessAndRefreshToken = async (userId, deviceInfo) => {
     try {
         const user = await User.findById(userId);
-        const accessToken = user.generateAccessToken();
-        const refreshToken = user.generateRefreshToken();
-        user.refreshToken = refreshToken;
-        await user.save({ validateBeforeSave: false });
-
-        return { accessToken, refreshToken };
+        return await createDeviceSession(user, deviceInfo);
     } catch (error) {
         throw new ApiError(500, "something went wrong while generating tokens");
     }
@@ -98,7 +113,7 @@ const registerUser = asyncHandler(async (req, res) => {
         isEmailVerified: true,
     });
 
-    const { accessToken, refreshToken } = await generateAcessAndRefreshToken(user._id);
+    const { accessToken, refreshToken, deviceId } = await generateAcessAndRefreshToken(user._id, getDeviceInfo(req));
     await user.save({ validateBeforeSave: false });
 
     const options = {
@@ -110,12 +125,14 @@ const registerUser = asyncHandler(async (req, res) => {
         .status(201)
         .cookie("accessToken", accessToken, options)
         .cookie("refreshToken", refreshToken, options)
+        .cookie("deviceId", deviceId, options)
         .json(
             new ApiResponse(201,
                 {
                     user,
                     accessToken,
-                    refreshToken
+                    refreshToken,
+                    deviceId
                 }, "User registered successfully.")
         );
 });
@@ -157,7 +174,7 @@ const loginUser = asyncHandler(async (req, res) => {
         throw new ApiError(403, "Email is not verified. Please verify your email to login");
     }
 
-    const { accessToken, refreshToken } = await generateAcessAndRefreshToken(user._id);
+    const { accessToken, refreshToken, deviceId } = await generateAcessAndRefreshToken(user._id, getDeviceInfo(req));
     const loggedUser = await User.findById(user._id).select("-password -refreshToken");
 
     const options = {
@@ -168,26 +185,25 @@ const loginUser = asyncHandler(async (req, res) => {
     return res.status(200)
         .cookie("accessToken", accessToken, options)
         .cookie("refreshToken", refreshToken, options)
+        .cookie("deviceId", deviceId, options)
         .json(new ApiResponse(200, {
             user: loggedUser,
             accessToken,
-            refreshToken
+            refreshToken,
+            deviceId
         }, "Login successful"));
 });
 
 
 const logOutUser = asyncHandler(async (req, res) => {
-    await User.findByIdAndUpdate(
-        req.user._id,
-        {
-            $set: {
-                refreshToken: undefined
-            }
-        },
-        {
-            new: true
-        }
-    )
+    await revokeAccessToken(req.tokenPayload?.jti, req.tokenPayload?.exp);
+
+    if (req.deviceId) {
+        await revokeDeviceSession(req.user._id, req.deviceId);
+    } else {
+        // Tokens issued before device sessions existed
+        await User.findByIdAndUpdate(req.user._id, { $unset: { refreshToken: 1 } });
+    }
 
     const options = {
         httpOnly: true,
@@ -203,6 +219,130 @@ const logOutUser = asyncHandler(async (req, res) => {
         )
 });
 
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * @route POST /api/v1/users/refresh-token
+ * Accepts the refreshToken cookie or a refreshToken field in the body.
+ * Every call rotates the pair; presenting an already-rotated token revokes all sessions.
+ */
+const refreshAccessToken = asyncHandler(async (req, res) => {
+    const incomingRefreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+
+    if (!incomingRefreshToken) {
+        throw new ApiError(401, "Refresh token is required");
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = jwt.verify(incomingRefreshToken, process.env.REFRESH_TOKEN_SECRET);
+    } catch (error) {
+        throw new ApiError(401, error?.name === 'TokenExpiredError' ? "Refresh token has expired" : "Invalid refresh token");
+    }
+
+    const user = await User.findById(decodedToken?._id);
+
+    if (!user) {
+        throw new ApiError(401, "Invalid refresh token");
+    }
+
+    const options = {
+        httpOnly: true,
+        secure: true
+    };
+
+    let tokens;
+    if (decodedToken.deviceId) {
+        tokens = await rotateDeviceSession(user, decodedToken.deviceId, incomingRefreshToken, req.ip);
+    } else {
+        // Tokens issued before device sessions existed: move them onto a device session
+        const legacyUser = await User.findOneAndUpdate(
+            { _id: user._id, refreshToken: incomingRefreshToken },
+            { $unset: { refreshToken: 1 } }
+        );
+        tokens = legacyUser ? await createDeviceSession(user, getDeviceInfo(req)) : null;
+    }
+
+    if (!tokens) {
+        // Validly signed but no longer current: it was already rotated, so treat it as stolen
+        await revokeAllUserSessions(user._id);
+
+        res.clearCookie("accessToken", options).clearCookie("refreshToken", options);
+        throw new ApiError(401, "Refresh token reuse detected. Please log in again");
+    }
+
+    return res.status(200)
+        .cookie("accessToken", tokens.accessToken, options)
+        .cookie("refreshToken", tokens.refreshToken, options)
+        .cookie("deviceId", tokens.deviceId, options)
+        .json(new ApiResponse(200, tokens, "Access token refreshed successfully"));
+});
+
+/**
+ * List the devices the user is currently logged in on
+ * @route GET /api/v1/users/sessions
+ */
+const getActiveSessions = asyncHandler(async (req, res) => {
+    const sessions = await Device.find({ userId: req.user._id, isLoggedIn: true })
+        .select("deviceId deviceType browser os ipAddress lastUsedAt createdAt")
+        .sort({ lastUsedAt: -1 })
+        .lean();
+
+    const formattedSessions = sessions.map(session => ({
+        ...session,
+        isCurrent: session.deviceId === req.deviceId
+    }));
+
+    return res.status(200).json(
+        new ApiResponse(200, formattedSessions, "Active sessions retrieved successfully")
+    );
+});
+
+/**
+ * Log out a single device remotely
+ * @route DELETE /api/v1/users/sessions/:deviceId
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+    const { deviceId } = req.params;
+
+    const revoked = await revokeDeviceSession(req.user._id, deviceId);
+
+    if (!revoked) {
+        throw new ApiError(404, "Session not found");
+    }
+
+    const options = {
+        httpOnly: true,
+        secure: true
+    };
+
+    if (deviceId === req.deviceId) {
+        res.clearCookie("accessToken", options).clearCookie("refreshToken", options);
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, { deviceId }, "Session logged out successfully")
+    );
+});
+
+/**
+ * Log out from every device
+ * @route DELETE /api/v1/users/sessions
+ */
+const logOutAllSessions = asyncHandler(async (req, res) => {
+    await revokeAllUserSessions(req.user._id);
+
+    const options = {
+        httpOnly: true,
+        secure: true
+    };
+
+    return res
+        .status(200)
+        .clearCookie("accessToken", options)
+        .clearCookie("refreshToken", options)
+        .json(new ApiResponse(200, {}, "Logged out from all devices successfully"));
+});
+
 const getUserProfile = asyncHandler(async (req, res) => {
     const userId = req.user?._id;
 
@@ -379,6 +519,7 @@ const deleteAccount = asyncHandler(async (req, res) => {
     }
 
     const userId = user._id;
+    const business = await Business.findOne({ userId }).select('_id').lean();
 
     // --- Delete all user media from Bunny.net and DB ---
     let mediaCleanup = { deleted: 0, failed: 0, errors: [] };
@@ -402,22 +543,30 @@ const deleteAccount = asyncHandler(async (req, res) => {
     }
     // --- End media cleanup ---
 
+    // Responses other users left on the user's stories are removed with the stories
+    const storyIds = await Story.find({ userId }).distinct('_id');
+    // Followed hashtags lose this follower (same decrement as unfollowHashtag)
+    const followedTags = await HashtagFollow.find({ userId }).distinct('tag');
+
     // Clean up all user-related data
     const cleanupResults = await Promise.allSettled([
-        // Delete all posts by the user
-        Post.deleteMany({ userId }),
+        // Delete all posts by the user (and their hashtag usage)
+        deletePosts({ userId }),
         // Delete all reels by the user
         Reel.deleteMany({ userId }),
         // Delete all comments by the user
         Comment.deleteMany({ userId }),
         // Delete all likes by the user
         Like.deleteMany({ userId }),
-        // Delete business profile if exists
+        // Delete business profile and its analytics if exists
         Business.deleteOne({ userId }),
+        business ? BusinessInsight.deleteMany({ businessId: business._id }) : null,
         // Delete business ratings by the user
         BusinessRating.deleteMany({ userId }),
         // Delete all stories by the user
         Story.deleteMany({ userId }),
+        StoryHighlight.deleteMany({ userId }),
+        StoryStickerResponse.deleteMany({ $or: [{ userId }, { storyId: { $in: storyIds } }] }),
         // Delete all drafts by the user
         Draft.deleteMany({ userId }),
         // Delete saved posts by the user
@@ -426,6 +575,8 @@ const deleteAccount = asyncHandler(async (req, res) => {
         SearchHistory.deleteMany({ userId }),
         // Delete post interactions
         PostInteraction.deleteMany({ userId }),
+        // Delete insights of the user's posts
+        Insight.deleteMany({ userId }),
         // Delete subscriptions
         Subscription.deleteMany({ userId }),
         Subscription.deleteMany({ subscriberId: userId }),
@@ -437,6 +588,8 @@ const deleteAccount = asyncHandler(async (req, res) => {
         Chat.deleteMany({ participants: userId }),
         // Delete messages by the user
         Message.deleteMany({ senderId: userId }),
+        // Delete starred messages
+        StarredMessage.deleteMany({ userId }),
         // Delete activities
         Activity.deleteMany({ userId }),
         Activity.deleteMany({ targetUserId: userId }),
@@ -450,6 +603,15 @@ const deleteAccount = asyncHandler(async (req, res) => {
         // Delete follow requests
         FollowRequest.deleteMany({ from: userId }),
         FollowRequest.deleteMany({ to: userId }),
+        // Delete followed hashtags and their follower counts
+        HashtagFollow.deleteMany({ userId }).then(() =>
+            Hashtag.updateMany(
+                { tag: { $in: followedTags }, followersCount: { $gt: 0 } },
+                { $inc: { followersCount: -1 } }
+            )
+        ),
+        // Delete Close Friends entries (own list and other users' lists)
+        CloseFriend.deleteMany({ $or: [{ userId }, { friendId: userId }] }),
         // Delete contact requests
         ContactRequest.deleteMany({ userId }),
         ContactRequest.deleteMany({ contactUserId: userId }),
@@ -478,7 +640,9 @@ const deleteAccount = asyncHandler(async (req, res) => {
         Follower.deleteMany({ userId }),
         Follower.deleteMany({ followerId: userId }),
         Following.deleteMany({ userId }),
-        Following.deleteMany({ followingId: userId })
+        Following.deleteMany({ followingId: userId }),
+        // Delete personal API keys
+        ApiKey.deleteMany({ userId })
     ]);
 
     // Delete the user account directly from the collection
@@ -916,6 +1080,12 @@ const getOtherUserProfile = asyncHandler(async (req, res) => {
         const business = await Business.findOne({ userId: targetUser._id });
         if (business) {
             businessId = business._id;
+            trackBusinessEvent({
+                businessId,
+                ownerId: targetUser._id,
+                event: 'view',
+                viewerId: req.user._id
+            });
         }
     }
 
@@ -1204,6 +1374,14 @@ const blockUser = asyncHandler(async (req, res) => {
     // Invalidate blocked users cache for both users
     await invalidateBlockedUsersCache(blockerId, blockedUserId);
 
+    // Neither user stays on the other's Close Friends list
+    await CloseFriend.deleteMany({
+        $or: [
+            { userId: blockerId, friendId: blockedUserId },
+            { userId: blockedUserId, friendId: blockerId }
+        ]
+    });
+
     // Remove follow relationships if they exist
     await Follower.findOneAndDelete({
         followerId: blockerId,
@@ -1729,6 +1907,10 @@ export {
     registerUser,
     loginUser,
     logOutUser,
+    refreshAccessToken,
+    getActiveSessions,
+    revokeSession,
+    logOutAllSessions,
     getUserProfile,
     updateUserProfile,
     changePassword,
@@ -4,6 +4,10 @@ import { app } from './app.js';
 import http from 'http';
 import socketManager from './config/socket.js';
 import './config/firebase-admin.config.js'; // Initialize Firebase Admin on startup
+import { startScheduledPostPublisher } from './utlis/scheduledPostPublisher.js';
+import { startPostInsightsRollup } from './utlis/insightsRollup.js';
+import { startDisappearingMessageSweeper } from './utlis/disappearingMessageSweeper.js';
+import { startStoryArchiver } from './utlis/storyArchiver.js';
 
 dotenv.config({
     path: './.env'
@@ -49,6 +53,16 @@ connectDB()
             throw error;
         }
 
+        // Background jobs (each takes a Redis lock, so only one PM2 worker runs them at a time)
+        startScheduledPostPublisher();
+        console.log('✅ Scheduled post publisher started');
+        startPostInsightsRollup();
+        console.log('✅ Post insights rollup started');
+        startDisappearingMessageSweeper();
+        console.log('✅ Disappearing message sweeper started');
+        startStoryArchiver();
+        console.log('✅ Story archiver started');
+
         const PORT = process.env.PORT || 3000;
         console.log(`🔧 Attempting to start server on port ${PORT}`);
         console.log(`🔧 Environment: ${process.env.NODE_ENV}`);
@@ -2,6 +2,7 @@ import { ApiError } from "../utlis/ApiError.js";
 import { asyncHandler } from "../utlis/asyncHandler.js";
 import jwt from "jsonwebtoken";
 import { Admin } from "../models/admin.models.js";
+import { isAccessTokenRevoked } from "../utlis/tokenRevocation.utils.js";
 
 export const verifyAdminJWT = asyncHandler(async (req, res, next) => {
     try {
@@ -13,6 +14,10 @@ export const verifyAdminJWT = asyncHandler(async (req, res, next) => {
 
         const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
 
+        if (await isAccessTokenRevoked(decodedToken.jti)) {
+            throw new ApiError(401, "Admin access token has been revoked");
+        }
+
         const admin = await Admin.findById(decodedToken?._id).select("-password -refreshToken");
 
         if (!admin) {
@@ -24,6 +29,7 @@ export const verifyAdminJWT = asyncHandler(async (req, res, next) => {
         }
 
         req.admin = admin;
+        req.tokenPayload = decodedToken;
         next();
     } catch (error) {
         throw new ApiError(401, error?.message || "Invalid admin access token");
@@ -0,0 +1,63 @@
+import { asyncHandler } from "../utlis/asyncHandler.js";
+import { ApiError } from "../utlis/ApiError.js";
+import ApiKey from "../models/apikey.models.js";
+import { verifyJWT } from "./auth.middleware.js";
+
+/**
+ * Authenticate with a personal API key sent in the X-API-Key header
+ * Sets req.user to the key owner and req.apiKey to the key document.
+ * @param {string} scope - Permission required for the route, e.g. 'write:posts'
+ */
+export const verifyApiKey = (scope) => asyncHandler(async (req, _, next) => {
+    const plainKey = req.headers?.['x-api-key'];
+
+    if (!plainKey) {
+        throw new ApiError(401, "API key is required");
+    }
+
+    const apiKey = await ApiKey.findOne({ key: ApiKey.hashKey(plainKey), isActive: true })
+        .populate('userId', '-password -refreshToken');
+
+    if (!apiKey || !apiKey.userId) {
+        throw new ApiError(401, "Invalid API key");
+    }
+
+    if (apiKey.expiresAt && apiKey.expiresAt < new Date()) {
+        throw new ApiError(401, "API key has expired");
+    }
+
+    if (apiKey.userId.accountStatus !== 'active') {
+        throw new ApiError(403, "Account is not active");
+    }
+
+    if (!apiKey.hasScope(scope)) {
+        throw new ApiError(403, `API key is missing the '${scope}' permission`);
+    }
+
+    // Usage tracking shouldn't hold up the request
+    ApiKey.updateOne(
+        { _id: apiKey._id },
+        { $set: { lastUsedAt: new Date() }, $inc: { usageCount: 1 } }
+    ).catch(error => console.error('API key usage tracking error:', error));
+
+    req.user = apiKey.userId.toObject();
+    req.apiKey = apiKey;
+
+    next();
+});
+
+/**
+ * Accept either an API key (X-API-Key header) or the usual JWT
+ * Use together with apiKeyRateLimit so API key traffic gets its own bucket.
+ * @param {string} scope - Permission required when authenticating with an API key
+ */
+export const verifyJWTOrApiKey = (scope) => {
+    const apiKeyAuth = verifyApiKey(scope);
+
+    return (req, res, next) => {
+        if (req.headers?.['x-api-key']) {
+            return apiKeyAuth(req, res, next);
+        }
+        return verifyJWT(req, res, next);
+    };
+};
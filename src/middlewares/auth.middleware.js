@@ -3,6 +3,7 @@ import { ApiError } from "../utlis/ApiError.js";
 import jwt from "jsonwebtoken";
 import { User } from "../models/user.models.js";
 import { redisClient } from "../config/redis.config.js";
+import { isAccessTokenRevoked } from "../utlis/tokenRevocation.utils.js";
 
 /**
  * Verify JWT and authenticate user
@@ -27,6 +28,10 @@ export const verifyJWT = asyncHandler(async (req, _, next) => {
         const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
         const userId = decodedToken?._id;
 
+        if (await isAccessTokenRevoked(decodedToken.jti)) {
+            throw new ApiError(401, "Access token has been revoked");
+        }
+
         // Try to get user from cache first
         const cacheKey = `auth:user:${userId}`;
         let user;
@@ -59,6 +64,8 @@ export const verifyJWT = asyncHandler(async (req, _, next) => {
         }
 
         req.user = user;
+        req.deviceId = decodedToken.deviceId;
+        req.tokenPayload = decodedToken;
 
         next();
     } catch (error) {
@@ -90,6 +97,11 @@ export const optionalVerifyJWT = asyncHandler(async (req, _, next) => {
         const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
         const userId = decodedToken?._id;
 
+        // Revoked tokens are treated like no token at all
+        if (await isAccessTokenRevoked(decodedToken.jti)) {
+            return next();
+        }
+
         // Try to get user from cache first
         const cacheKey = `auth:user:${userId}`;
         let user;
@@ -120,6 +132,8 @@ export const optionalVerifyJWT = asyncHandler(async (req, _, next) => {
         // If user is found, set req.user
         if (user) {
             req.user = user;
+            req.deviceId = decodedToken.deviceId;
+            req.tokenPayload = decodedToken;
         }
 
         next();
@@ -11,11 +11,15 @@ export const upload = multer({
             'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp',
             'video/mp4', 'video/avi', 'video/mov', 'video/wmv', 'video/webm',
             'audio/mp3', 'audio/wav', 'audio/ogg', 'audio/m4a',
+            'audio/mpeg', 'audio/x-wav', 'audio/wave', 'audio/mp4', 'audio/x-m4a', 'audio/aac', 'audio/webm', 'audio/opus', 'audio/flac',
             'application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
             'text/plain'
         ];
 
-        if (allowedTypes.includes(file.mimetype)) {
+        // Recorders often send parameters, e.g. "audio/webm;codecs=opus"
+        const mimeType = file.mimetype.split(';')[0].trim().toLowerCase();
+
+        if (allowedTypes.includes(mimeType)) {
             cb(null, true);
         } else {
             cb(new Error(`File type ${file.mimetype} not allowed`), false);
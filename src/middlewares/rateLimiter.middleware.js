@@ -125,6 +125,22 @@ export const chatRateLimit = rateLimit({
     store: new RedisStore({ prefix: 'rl:chat:' })
 });
 
+// Rate limiter for requests authenticated with a personal API key (one bucket per key)
+export const apiKeyRateLimit = rateLimit({
+    windowMs: 1 * 60 * 1000, // 1 minute
+    max: 60, // 60 requests per minute per API key
+    message: {
+        error: 'Too many requests for this API key, please try again later.',
+        retryAfter: 60
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    // Only applies to API key requests; JWT requests are covered by the other limiters
+    skip: (req) => !req.apiKey,
+    keyGenerator: (req) => req.apiKey._id.toString(),
+    store: new RedisStore({ prefix: 'rl:apikey:' })
+});
+
 // Health check rate limiter (more lenient)
 export const healthCheckRateLimit = rateLimit({
     windowMs: 1 * 60 * 1000, // 1 minute
@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
 
 const AdminSchema = new mongoose.Schema({
     uid: { type: String, required: true, unique: true },
@@ -60,7 +61,8 @@ AdminSchema.methods.generateAccessToken = function () {
             email: this.email,
             username: this.username,
             fullName: this.fullName,
-            role: this.role
+            role: this.role,
+            jti: uuidv4()
         },
         process.env.ACCESS_TOKEN_SECRET,
         {
@@ -1,10 +1,17 @@
 import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Scopes an API key can be granted; '<action>:*' covers every resource for that action
+export const API_KEY_SCOPES = ['read:posts', 'write:posts', 'read:*', 'write:*'];
 
 const ApiKeySchema = new mongoose.Schema({
     key: {
         type: String,
         required: true,
-        unique: true
+        unique: true // SHA-256 hash of the key, the plain key is only shown once on creation
+    },
+    prefix: {
+        type: String // first characters of the plain key so users can tell their keys apart
     },
     userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -17,7 +24,7 @@ const ApiKeySchema = new mongoose.Schema({
         trim: true // optional: helps identify purpose (e.g., "PostBot", "ZapierSync")
     },
     permissions: {
-        type: [String], // e.g., ['read:posts', 'write:comments']
+        type: [String], // e.g., ['read:posts', 'write:posts']
         default: ['read:*']
     },
     createdAt: {
@@ -36,4 +43,16 @@ const ApiKeySchema = new mongoose.Schema({
     }
 });
 
+ApiKeySchema.statics.hashKey = function (plainKey) {
+    return crypto.createHash('sha256').update(plainKey).digest('hex');
+};
+
+// Check a scope like 'write:posts' against the key's permissions (wildcards included)
+ApiKeySchema.methods.hasScope = function (scope) {
+    const [action] = scope.split(':');
+    return this.permissions.some(permission =>
+        permission === scope || permission === `${action}:*` || permission === '*'
+    );
+};
+
 export default mongoose.model('ApiKey', ApiKeySchema);
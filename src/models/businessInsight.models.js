@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// 📊 Daily profile views and link clicks of a business (date is the UTC start of the day)
+// Business.insights keeps the lifetime counters; these documents give them a time axis.
+// Contact requests and conversions are summarized from ContactRequest directly.
+const BusinessInsightSchema = new mongoose.Schema({
+    businessId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Business',
+        required: true
+    },
+    date: {
+        type: Date,
+        required: true
+    },
+    views: {
+        type: Number,
+        default: 0
+    },
+    clicks: {
+        type: Number,
+        default: 0
+    }
+}, { timestamps: true });
+
+// 🚫 One document per business per day
+BusinessInsightSchema.index({ businessId: 1, date: 1 }, { unique: true });
+
+export default mongoose.model('BusinessInsight', BusinessInsightSchema);
@@ -30,6 +30,7 @@ const ChatSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
+    // For group chats this is the owner (ownership can be transferred)
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -57,17 +58,46 @@ const ChatSchema = new mongoose.Schema({
         default: Date.now
     },
 
-    // 🔕 Mute settings
+    // 🔕 Mute settings (per user; mutedUntil null = muted until unmuted)
     mutedBy: [{
+        _id: false,
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        mutedUntil: {
+            type: Date,
+            default: null
+        }
+    }],
+
+    // 🗄 Users who archived this chat (hidden from their main chat list)
+    archivedBy: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
 
-    // 📍 Pinned messages
+    // 📍 Pinned messages (most recently pinned last)
     pinnedMessages: [{
-        type: mongoose.Schema.Types.ObjectId
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
     }],
 
+    // ⏳ Disappearing messages: new messages expire this long after they are sent
+    disappearingMessages: {
+        duration: {
+            type: String,
+            enum: ['off', '24h', '7d', '90d'],
+            default: 'off'
+        },
+        updatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        updatedAt: Date
+    },
+
     // 🚫 Blocked users (for group chats)
     blockedUsers: [{
         type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+// 💚 userId's Close Friends list: friendId can see userId's close-friends stories
+const CloseFriendSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    friendId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true // For "whose lists am I on" lookups in the stories feed
+    }
+}, { timestamps: true });
+
+// 🚫 Prevent adding the same friend twice
+CloseFriendSchema.index({ userId: 1, friendId: 1 }, { unique: true });
+
+export default mongoose.model('CloseFriend', CloseFriendSchema);
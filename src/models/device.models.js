@@ -27,7 +27,19 @@ const DeviceSchema = new mongoose.Schema({
     isLoggedIn: {
         type: Boolean,
         default: true
-    }
-});
+    },
+    // Current refresh token of this device session (rotated on every refresh)
+    refreshToken: {
+        type: String,
+        select: false
+    },
+    // Access token last issued to this device, revoked when the device is logged out
+    accessTokenJti: String,
+    accessTokenExpiresAt: Date,
+    loggedOutAt: Date
+}, { timestamps: true });
+
+// One session per user per device
+DeviceSchema.index({ userId: 1, deviceId: 1 }, { unique: true });
 
 export default mongoose.model('Device', DeviceSchema);
@@ -1,5 +1,18 @@
 import mongoose from 'mongoose';
 
+const DraftMediaSchema = new mongoose.Schema({
+    url: String,
+    type: { type: String, enum: ['image', 'video'] },
+    thumbnailUrl: String,
+    duration: Number,
+    dimensions: {
+        width: Number,
+        height: Number
+    },
+    fileSize: Number,
+    format: String
+}, { _id: false });
+
 const DraftSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -10,28 +23,46 @@ const DraftSchema = new mongoose.Schema({
     type: {
         type: String,
         enum: ['Post', 'Reel', 'Story'],
+        default: 'Post',
         required: true
     },
+    // Mirrors Post.contentType / Post.postType so a draft can be published as-is
+    contentType: {
+        type: String,
+        enum: ['normal', 'product', 'service', 'business'],
+        default: 'normal'
+    },
+    postType: {
+        type: String,
+        enum: ['photo', 'reel', 'video', 'story']
+    },
+    caption: String,
+    description: String,
     content: {
         type: String,
         trim: true
     },
-    media: [{
-        url: String,
-        type: { type: String, enum: ['image', 'video'] }
-    }],
+    // Media is already uploaded to Bunny.net and reused when the draft is published
+    media: [DraftMediaSchema],
+    mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
     taggedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-    location: String,
+    location: mongoose.Schema.Types.Mixed,
     tags: [String],
-    createdAt: {
-        type: Date,
-        default: Date.now
+    mood: String,
+    activity: String,
+    // Product/service/business details are only validated on publish, so drafts can be incomplete
+    customization: {
+        product: mongoose.Schema.Types.Mixed,
+        service: mongoose.Schema.Types.Mixed,
+        business: mongoose.Schema.Types.Mixed
     },
-    updatedAt: Date,
+    settings: mongoose.Schema.Types.Mixed,
     isAutoSaved: {
         type: Boolean,
         default: false
     }
-});
+}, { timestamps: true });
+
+DraftSchema.index({ userId: 1, updatedAt: -1 });
 
 export default mongoose.model('Draft', DraftSchema);
@@ -16,6 +16,10 @@ const HashtagSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    followersCount: {
+        type: Number,
+        default: 0
+    },
     lastUsedAt: {
         type: Date,
         default: Date.now
@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+const HashtagFollowSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    tag: {
+        type: String,
+        required: true,
+        lowercase: true,  // Same normalization as the Hashtag model
+        trim: true
+    }
+}, { timestamps: true });
+
+// 🚫 Prevent following the same hashtag twice
+HashtagFollowSchema.index({ userId: 1, tag: 1 }, { unique: true });
+
+export default mongoose.model('HashtagFollow', HashtagFollowSchema);
@@ -1,5 +1,17 @@
 import mongoose from 'mongoose';
 
+// 📈 One day of activity on a post (date is the UTC start of the day)
+const DailyInsightSchema = new mongoose.Schema({
+    date: { type: Date, required: true },
+    views: { type: Number, default: 0 },
+    reach: { type: Number, default: 0 }, // Unique viewers that day
+    likes: { type: Number, default: 0 },
+    comments: { type: Number, default: 0 },
+    saves: { type: Number, default: 0 },
+    shares: { type: Number, default: 0 },
+    clicks: { type: Number, default: 0 }
+}, { _id: false });
+
 const InsightSchema = new mongoose.Schema({
     postId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -8,6 +20,12 @@ const InsightSchema = new mongoose.Schema({
         unique: true,
         index: true
     },
+    // Post owner, for account-level summaries
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
     views: {
         type: Number,
         default: 0
@@ -28,6 +46,10 @@ const InsightSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    clicks: {
+        type: Number,
+        default: 0
+    },
     reach: {
         type: Number,
         default: 0
@@ -36,10 +58,13 @@ const InsightSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Daily series, oldest first (kept to a bounded number of days by the rollup)
+    daily: [DailyInsightSchema],
+    lastRolledUpAt: Date,
     updatedAt: {
         type: Date,
         default: Date.now
     }
 }, { timestamps: true });
 
-export default mongoose.model('Insight', InsightSchema);
\ No newline at end of file
+export default mongoose.model('Insight', InsightSchema);
@@ -0,0 +1,14 @@
+import mongoose from 'mongoose';
+
+// Progress of periodic background jobs that process data incrementally
+const JobStateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // End of the window the last successful run processed
+    processedUntil: Date
+}, { timestamps: true });
+
+export default mongoose.model('JobState', JobStateSchema);
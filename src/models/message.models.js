@@ -19,13 +19,29 @@ const MessageSchema = new mongoose.Schema({
     },
     messageType: {
         type: String,
-        enum: ['text', 'image', 'video', 'file', 'audio', 'location'],
+        enum: ['text', 'image', 'video', 'file', 'audio', 'location', 'system', 'post_share', 'story_reply'],
         default: 'text'
     },
+    // ⚙️ Group and chat setting events announced in the chat (messageType 'system'); sender is the user who acted
+    systemEvent: {
+        action: {
+            type: String,
+            enum: ['members_added', 'member_removed', 'member_left', 'admin_promoted', 'admin_demoted', 'group_renamed', 'group_image_changed', 'ownership_transferred', 'disappearing_messages_changed']
+        },
+        targetUsers: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }]
+    },
     mediaUrl: String,
     fileName: String,
     fileSize: Number,
     duration: Number, // for audio/video
+    // 🎙️ Voice notes: amplitude bars (0-100) computed on upload
+    waveform: {
+        type: [Number],
+        default: undefined
+    },
     location: {
         latitude: Number,
         longitude: Number,
@@ -35,6 +51,54 @@ const MessageSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Message'
     },
+    // 📖 Reply or reaction to a story (messageType 'story_reply'); the thumbnail is kept after the story expires
+    storyReply: {
+        storyId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Story'
+        },
+        storyOwner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        thumbnailUrl: String,
+        mediaType: String,
+        reaction: String // Set when the message is a reaction rather than a text reply
+    },
+    // 🔁 Copies made by forwarding point at the message they were copied from
+    isForwarded: {
+        type: Boolean,
+        default: false
+    },
+    forwardedFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+    },
+    // 📮 Post shared into the chat (messageType 'post_share'); the preview is a snapshot taken when shared
+    sharedPost: {
+        postId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Post'
+        },
+        preview: {
+            caption: String,
+            thumbnailUrl: String,
+            mediaType: String,
+            postType: String,
+            contentType: String,
+            author: {
+                userId: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'User'
+                },
+                username: String,
+                fullName: String,
+                profileImageUrl: String
+            }
+        }
+    },
+    // 🔁 Client-generated key so a retried send does not create a second message
+    clientMessageId: String,
     timestamp: {
         type: Date,
         default: Date.now,
@@ -44,6 +108,25 @@ const MessageSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
+    // ✅ Per-recipient receipts (readBy stays the quick "has read" lookup)
+    deliveredTo: [{
+        _id: false,
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        deliveredAt: Date
+    }],
+    readReceipts: [{
+        _id: false,
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        readAt: Date
+    }],
+    // ⏳ Set when the chat has disappearing messages on; the sweeper removes the message (and its media) after this
+    expiresAt: Date,
     isDeleted: {
         type: Boolean,
         default: false,
@@ -51,6 +134,12 @@ const MessageSchema = new mongoose.Schema({
     },
     deletedAt: Date,
     editedAt: Date,
+    // ✏️ Previous versions of an edited message, oldest first (bounded when pushed)
+    editHistory: [{
+        _id: false,
+        message: String,
+        editedAt: Date
+    }],
     originalMessage: String, // Store original message for potential restoration
     reactions: [{
         user: {
@@ -74,6 +163,12 @@ MessageSchema.index({ chatId: 1, timestamp: -1 }); // For message fetching
 MessageSchema.index({ chatId: 1, isDeleted: 1, timestamp: -1 }); // For non-deleted messages
 MessageSchema.index({ chatId: 1, isDeleted: 1, readBy: 1 }); // For unread count queries
 MessageSchema.index({ sender: 1, timestamp: -1 }); // For user's sent messages
+MessageSchema.index(
+    { chatId: 1, sender: 1, clientMessageId: 1 },
+    { unique: true, partialFilterExpression: { clientMessageId: { $type: 'string' } } }
+); // For idempotent sends
+MessageSchema.index({ expiresAt: 1 }, { sparse: true }); // For the disappearing messages sweeper
+MessageSchema.index({ mediaUrl: 1 }, { sparse: true }); // For the sweeper's check that forwarded copies still use a media file
 
 // Virtual for unread status (per user)
 MessageSchema.virtual('isUnread').get(function () {
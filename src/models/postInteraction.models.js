@@ -33,7 +33,13 @@ const PostInteractionSchema = new mongoose.Schema({
     isHidden: {
         type: Boolean,
         default: false
-    }
+    },
+    // How much of interactionCount has been rolled up into Insight, and the lastInteracted it was rolled up at
+    rolledUpCount: {
+        type: Number,
+        default: 0
+    },
+    rolledUpAt: Date
 }, {
     timestamps: true
 });
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// ⭐ Starred chat messages: private to the user who starred them
+const StarredMessageSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    messageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        required: true
+    },
+    chatId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chat',
+        required: true
+    },
+    starredAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { timestamps: true });
+
+// 🛡 A message can be starred once per user
+StarredMessageSchema.index({ userId: 1, messageId: 1 }, { unique: true });
+// Newest-first listing of a user's starred messages
+StarredMessageSchema.index({ userId: 1, starredAt: -1 });
+
+export default mongoose.model('StarredMessage', StarredMessageSchema);
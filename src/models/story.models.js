@@ -1,5 +1,34 @@
 import mongoose from 'mongoose';
 
+// 🏷️ Interactive sticker drawn over the story media; only the fields of its type are set
+const StickerSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['poll', 'question', 'emoji_slider', 'link', 'mention'],
+        required: true
+    },
+    // Center of the sticker as a fraction (0-1) of the media width/height
+    position: {
+        x: { type: Number, required: true, min: 0, max: 1 },
+        y: { type: Number, required: true, min: 0, max: 1 },
+        scale: { type: Number, default: 1 },
+        rotation: { type: Number, default: 0 } // Degrees
+    },
+    // Poll question, question box prompt or emoji slider question
+    question: String,
+    options: {
+        type: [String],
+        default: undefined
+    },
+    emoji: String,
+    url: String,
+    label: String,
+    mentionedUserId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+});
+
 const StorySchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -20,10 +49,31 @@ const StorySchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // Votes, answers and link taps are stored in StoryStickerResponse
+    stickers: {
+        type: [StickerSchema],
+        default: undefined
+    },
+    // 💚 'close_friends' stories are only shown to the author's Close Friends list
+    audience: {
+        type: String,
+        enum: ['everyone', 'close_friends'],
+        default: 'everyone'
+    },
     viewers: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
+    // 😍 One emoji reaction per viewer (the latest replaces the previous one)
+    reactions: [{
+        _id: false,
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        emoji: String,
+        reactedAt: Date
+    }],
     isArchived: {
         type: Boolean,
         default: false
@@ -34,6 +84,20 @@ const StorySchema = new mongoose.Schema({
     }
 }, { timestamps: true });
 
-// Auto-expire stories after 24 hours (in code logic, not schema itself)
+// Stories are archived after expiresAt by the story archiver job (utlis/storyArchiver.js)
+StorySchema.index({ isArchived: 1, expiresAt: 1 }); // For the archiver
+StorySchema.index({ isArchived: 1, userId: 1, createdAt: 1, expiresAt: 1 }); // For the stories feed (grouped by author)
+
+// Every findByIdAndDelete / findOneAndDelete cleans up highlights and other data that references the story
+// (imported lazily: the cleanup module imports this model)
+StorySchema.post('findOneAndDelete', async function (story) {
+    if (!story) return;
+    try {
+        const { cleanUpDeletedStory } = await import('../utlis/storyCleanup.utils.js');
+        await cleanUpDeletedStory(story._id);
+    } catch (error) {
+        console.error(`❌ Failed to clean up after deleted story ${story._id}:`, error);
+    }
+});
 
 export default mongoose.model('Story', StorySchema);
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// ⭐ Permanent profile collection of a user's own stories (active or archived)
+const StoryHighlightSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 30
+    },
+    // Either a story of the highlight (coverStoryId set) or an uploaded image (coverStoryId null)
+    coverImageUrl: String,
+    coverStoryId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Story',
+        default: null
+    },
+    // In display order
+    stories: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Story'
+    }]
+}, { timestamps: true });
+
+StoryHighlightSchema.index({ userId: 1, createdAt: -1 }); // For profile listing
+StoryHighlightSchema.index({ stories: 1 }); // For removing deleted stories
+
+export default mongoose.model('StoryHighlight', StoryHighlightSchema);
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// 🗳️ A viewer's response to a story sticker: a poll vote, a slider value, a question answer or link taps
+const StoryStickerResponseSchema = new mongoose.Schema({
+    storyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Story',
+        required: true
+    },
+    stickerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true // For account deletion
+    },
+    stickerType: {
+        type: String,
+        enum: ['poll', 'question', 'emoji_slider', 'link'],
+        required: true
+    },
+    optionIndex: Number, // poll
+    value: Number, // emoji_slider (0-100)
+    answer: {
+        type: String,
+        trim: true
+    }, // question
+    tapCount: Number // link
+}, { timestamps: true });
+
+// 🚫 One response per viewer and sticker
+StoryStickerResponseSchema.index({ stickerId: 1, userId: 1 }, { unique: true });
+StoryStickerResponseSchema.index({ storyId: 1, stickerId: 1, createdAt: -1 }); // For the author's results
+
+export default mongoose.model('StoryStickerResponse', StoryStickerResponseSchema);
@@ -1,6 +1,7 @@
 import mongoose from "mongoose";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
+import { v4 as uuidv4 } from "uuid";
 
 const UserSchema = new mongoose.Schema({
     uid: { type: String, required: true, unique: true },
@@ -83,13 +84,15 @@ UserSchema.methods.isPasswordCorrect = async function (password) {
 };
 
 // 🔐 Access Token
-UserSchema.methods.generateAccessToken = function () {
+UserSchema.methods.generateAccessToken = function (deviceId) {
     return jwt.sign(
         {
             _id: this._id,
             email: this.email,
             username: this.username,
-            fullName: this.fullName
+            fullName: this.fullName,
+            deviceId,
+            jti: uuidv4()
         },
         process.env.ACCESS_TOKEN_SECRET,
         {
@@ -99,10 +102,13 @@ UserSchema.methods.generateAccessToken = function () {
 };
 
 // 🔐 Refresh Token
-UserSchema.methods.generateRefreshToken = function () {
+// jti makes every rotated token unique, even when two are signed within the same second
+UserSchema.methods.generateRefreshToken = function (deviceId) {
     return jwt.sign(
         {
-            _id: this._id
+            _id: this._id,
+            deviceId,
+            jti: uuidv4()
         },
         process.env.REFRESH_TOKEN_SECRET,
         {
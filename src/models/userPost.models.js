@@ -309,13 +309,27 @@ function extractHashtags(text) {
     return [...tags];
 }
 
+// Hashtags of a post's caption and description (also used by updates that bypass the save hook)
+PostSchema.statics.extractHashtags = function (caption, description) {
+    return [...new Set([...extractHashtags(caption || ''), ...extractHashtags(description || '')])];
+};
+
 // 🪝 Pre-save hook for hashtags
 PostSchema.pre('save', function (next) {
-    const captionHashtags = extractHashtags(this.caption || '');
-    const descriptionHashtags = extractHashtags(this.description || '');
-    const combinedHashtags = new Set([...captionHashtags, ...descriptionHashtags]);
-    this.hashtags = [...combinedHashtags];
+    this.hashtags = this.constructor.extractHashtags(this.caption, this.description);
     next();
 });
 
+// Every findByIdAndDelete / findOneAndDelete cleans up hashtags and other data that references the post
+// (imported lazily: the cleanup module imports this model)
+PostSchema.post('findOneAndDelete', async function (post) {
+    if (!post) return;
+    try {
+        const { cleanUpDeletedPosts } = await import('../utlis/postCleanup.utils.js');
+        await cleanUpDeletedPosts([post]);
+    } catch (error) {
+        console.error(`❌ Failed to clean up after deleted post ${post._id}:`, error);
+    }
+});
+
 export default mongoose.model('Post', PostSchema);
@@ -21,7 +21,9 @@ import {
     getBusinessRatingSummary,
     toggleProductPosts,
     toggleServicePosts,
-    uploadVerificationDocument
+    uploadVerificationDocument,
+    getBusinessAnalytics,
+    trackBusinessClick
 } from "../controllers/business.controllers.js";
 
 const router = Router();
@@ -61,8 +63,14 @@ router.route("/live-location").patch(verifyJWT, updateLiveLocation);
 router.route("/toggle-live-location").post(verifyJWT, toggleLiveLocation);
 router.route("/nearby").get(getNearbyBusinesses);
 
-// Get business by ID (public access)
-router.route("/:id").get(getBusinessById);
+// 📊 Analytics dashboard of the authenticated user's business - Must be before /:id route
+router.route("/analytics").get(verifyJWT, getBusinessAnalytics);
+
+// Get business by ID (public access; signed-in viewers are counted once per day)
+router.route("/:id").get(optionalVerifyJWT, getBusinessById);
+
+// Website/link click on a business profile (public access)
+router.route("/:businessId/click").post(optionalVerifyJWT, trackBusinessClick);
 
 // 📊 Business Rating Routes
 router.route("/:businessId/rate").post(verifyJWT, rateBusiness);
@@ -10,14 +10,40 @@ import {
     markMessagesRead,
     markChatAsRead,
     deleteMessage,
+    editMessage,
     restoreMessage,
+    getMessageInfo,
     startTyping,
     stopTyping,
     getOnlineStatus,
     searchMessages,
     acceptChatRequest,
-    declineChatRequest
+    declineChatRequest,
+    muteChat,
+    unmuteChat,
+    archiveChat,
+    unarchiveChat,
+    updateDisappearingMessages,
+    addReaction,
+    removeReaction,
+    pinMessage,
+    unpinMessage,
+    getPinnedMessages,
+    starMessage,
+    unstarMessage,
+    getStarredMessages
 } from '../controllers/chat.controllers.js';
+import {
+    addGroupMembers,
+    removeGroupMember,
+    promoteGroupAdmin,
+    demoteGroupAdmin,
+    updateGroupInfo,
+    updateGroupImage,
+    leaveGroup,
+    transferGroupOwnership
+} from '../controllers/groupChat.controllers.js';
+import { forwardMessage, sharePostToChats } from '../controllers/chatShare.controllers.js';
 
 const router = express.Router();
 
@@ -33,10 +59,35 @@ router.post('/', createChat);
 // Get all chats for a user
 router.get('/', getUserChats);
 
+// Starred messages across all chats
+router.get('/starred', getStarredMessages);
+
+// Share a post into one or more chats
+router.post('/share-post', sharePostToChats);
+
 // Chat request management
 router.patch('/:chatId/accept', acceptChatRequest);
 router.patch('/:chatId/decline', declineChatRequest);
 
+// Group management (admin-only actions are enforced in the controllers)
+router.post('/:chatId/members', addGroupMembers);
+router.delete('/:chatId/members/:userId', removeGroupMember);
+router.post('/:chatId/admins', promoteGroupAdmin);
+router.delete('/:chatId/admins/:userId', demoteGroupAdmin);
+router.patch('/:chatId/group', updateGroupInfo);
+router.put('/:chatId/group/image', upload.single('groupImage'), updateGroupImage);
+router.post('/:chatId/leave', leaveGroup);
+router.post('/:chatId/transfer-ownership', transferGroupOwnership);
+
+// Per-user mute and archive
+router.patch('/:chatId/mute', muteChat);
+router.patch('/:chatId/unmute', unmuteChat);
+router.patch('/:chatId/archive', archiveChat);
+router.patch('/:chatId/unarchive', unarchiveChat);
+
+// Disappearing messages (any participant of a direct chat, admins in groups)
+router.patch('/:chatId/disappearing', updateDisappearingMessages);
+
 // Get messages for a chat
 router.get('/:chatId/messages', getChatMessages);
 
@@ -52,12 +103,34 @@ router.patch('/:chatId/read', markMessagesRead);
 // Mark all messages in a chat as read
 router.patch('/:chatId/read-all', markChatAsRead);
 
+// Delivery and read receipts of a message (sender only)
+router.get('/:chatId/messages/:messageId/info', getMessageInfo);
+
+// Edit a message (sender only, within the edit window)
+router.patch('/:chatId/messages/:messageId', editMessage);
+
 // Delete a message
 router.delete('/:chatId/messages/:messageId', deleteMessage);
 
 // Restore a deleted message
 router.patch('/:chatId/messages/:messageId/restore', restoreMessage);
 
+// Forward a message (with its media) to one or more chats
+router.post('/:chatId/messages/:messageId/forward', forwardMessage);
+
+// Message reactions
+router.post('/:chatId/messages/:messageId/reactions', addReaction);
+router.delete('/:chatId/messages/:messageId/reactions', removeReaction);
+
+// Pinned messages (admins only in groups)
+router.get('/:chatId/pinned', getPinnedMessages);
+router.post('/:chatId/messages/:messageId/pin', pinMessage);
+router.delete('/:chatId/messages/:messageId/pin', unpinMessage);
+
+// Starred messages (private per user)
+router.post('/:chatId/messages/:messageId/star', starMessage);
+router.delete('/:chatId/messages/:messageId/star', unstarMessage);
+
 // Typing indicators
 router.post('/:chatId/typing/start', startTyping);
 router.post('/:chatId/typing/stop', stopTyping);
@@ -1,10 +1,12 @@
 import express from "express";
-import { getExploreFeed } from "../controllers/explore.controllers.js";
+import { getExploreFeed, getTrendingHashtags, getHashtagPosts } from "../controllers/explore.controllers.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
 import { getBlockedUsers as getBlockedUsersMiddleware } from "../middlewares/blocking.middleware.js";
 
 const router = express.Router();
 
 router.route("/").get(verifyJWT, getBlockedUsersMiddleware, getExploreFeed);
+router.route("/hashtags/trending").get(verifyJWT, getTrendingHashtags);
+router.route("/hashtags/:tag").get(verifyJWT, getBlockedUsersMiddleware, getHashtagPosts);
 
 export default router;
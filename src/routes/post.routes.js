@@ -2,6 +2,8 @@
 import { Router } from "express";
 import { upload } from "../middlewares/multerConfig.js";
 import { verifyJWT, optionalVerifyJWT } from "../middlewares/auth.middleware.js";
+import { verifyJWTOrApiKey } from "../middlewares/apiKey.middleware.js";
+import { apiKeyRateLimit } from "../middlewares/rateLimiter.middleware.js";
 import { getBlockedUsers as getBlockedUsersMiddleware } from "../middlewares/blocking.middleware.js";
 import { cacheUserFeed } from "../middlewares/cache.middleware.js";
 import {
@@ -14,7 +16,10 @@ import {
     getPostById,
     deleteContent,
     editPost,
+    schedulePost,
 } from "../controllers/post.controllers.js";
+import { createDraft, getDrafts, getDraftById, updateDraft, deleteDraft, publishDraft } from "../controllers/draft.controllers.js";
+import { getPostInsights, getAccountInsights } from "../controllers/insights.controllers.js";
 import { getHomeFeed } from "../controllers/homeFeed.controllers.js";
 import { likePost, unlikePost, likeComment, unlikeComment } from "../controllers/like.controllers.js";
 import { createComment, getCommentsByPost, getCommentById, updateComment, deleteComment } from "../controllers/comment.controllers.js";
@@ -37,13 +42,14 @@ const mediaUpload = upload.fields([
 ]);
 
 router.route("/create/normal").post(mediaUpload, verifyJWT, createNormalPost);
-router.route("/create/service").post(mediaUpload, verifyJWT, createServicePost);
-router.route("/create/product").post(mediaUpload, verifyJWT, createProductPost);
+// Product/service posts and myPosts also accept a personal API key (X-API-Key) for inventory integrations
+router.route("/create/service").post(mediaUpload, verifyJWTOrApiKey("write:posts"), apiKeyRateLimit, createServicePost);
+router.route("/create/product").post(mediaUpload, verifyJWTOrApiKey("write:posts"), apiKeyRateLimit, createProductPost);
 router.route("/create/business").post(mediaUpload, verifyJWT, createBusinessPost);
 router.route("/user/:userId/profile").get(verifyJWT, getUserProfilePosts);
-router.route("/switch/profile/:userId").get(verifyJWT, getProfileTabContent);
+router.route("/switch/profile/:userId").get(verifyJWT, getBlockedUsersMiddleware, getProfileTabContent);
 router.route("/home-feed").get(optionalVerifyJWT, getBlockedUsersMiddleware, cacheUserFeed, getHomeFeed);
-router.route("/myPosts").get(verifyJWT, getMyPosts);
+router.route("/myPosts").get(verifyJWTOrApiKey("read:posts"), apiKeyRateLimit, getMyPosts);
 router.route("/notifications").get(verifyJWT, getNotifications);
 
 
@@ -82,6 +88,18 @@ router.route("/interaction/history").get(verifyJWT, getUserInteractionHistory);
 // Edit post route
 router.route("/edit/:postId").put(verifyJWT, editPost);
 
+// Schedule an unpublished post; it goes live automatically at scheduledAt
+router.route("/schedule/:postId").put(verifyJWT, schedulePost);
+
+// Draft routes (normal, product, service and business drafts; PUT with isAutoSaved=true for autosave)
+router.route("/drafts").post(mediaUpload, verifyJWT, createDraft).get(verifyJWT, getDrafts);
+router.route("/drafts/:draftId").get(verifyJWT, getDraftById).put(mediaUpload, verifyJWT, updateDraft).delete(verifyJWT, deleteDraft);
+router.route("/drafts/:draftId/publish").post(verifyJWT, publishDraft);
+
+// Insights (daily views, reach, likes, comments, saves, shares and clicks; owner only)
+router.route("/insights/summary").get(verifyJWT, getAccountInsights);
+router.route("/:postId/insights").get(verifyJWT, getPostInsights);
+
 // Common API - handles get and delete for posts, stories, and reels
 router.route("/:postId").get(verifyJWT, getPostById).delete(verifyJWT, deleteContent);
 
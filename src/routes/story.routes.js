@@ -1,5 +1,7 @@
 import express from "express";
-import { uploadStory, fetchStoriesFeed, fetchStoriesByUser, markStorySeen, fetchStoryViewers, fetchArchivedStoriesByUser, deleteStory } from "../controllers/story.controllers.js";
+import { uploadStory, fetchStoriesFeed, fetchStoriesByUser, markStorySeen, fetchStoryViewers, fetchArchivedStoriesByUser, deleteStory, replyToStory, reactToStory } from "../controllers/story.controllers.js";
+import { respondToSticker, tapLinkSticker, fetchStickerResults } from "../controllers/storySticker.controllers.js";
+import { createHighlight, updateHighlight, deleteHighlight, fetchHighlightsByUser, fetchHighlightById } from "../controllers/storyHighlight.controllers.js";
 import { verifyJWT, optionalVerifyJWT } from "../middlewares/auth.middleware.js";
 import { upload } from "../middlewares/multerConfig.js";
 import { getBlockedUsers as getBlockedUsersMiddleware } from "../middlewares/blocking.middleware.js";
@@ -21,9 +23,25 @@ router.post("/seen", verifyJWT, getBlockedUsersMiddleware, markStorySeen);
 // Fetch archived stories by user - allow both authenticated and unauthenticated users with privacy checks
 router.get("/archived/:userId", optionalVerifyJWT, getBlockedUsersMiddleware, fetchArchivedStoriesByUser);
 
-// Fetch viewers of a story
+// Story highlights (permanent collections of own active or archived stories)
+router.post("/highlights", verifyJWT, upload.single("cover"), createHighlight);
+router.get("/highlights/user/:userId", optionalVerifyJWT, getBlockedUsersMiddleware, fetchHighlightsByUser);
+router.get("/highlights/:highlightId", optionalVerifyJWT, getBlockedUsersMiddleware, fetchHighlightById);
+router.patch("/highlights/:highlightId", verifyJWT, upload.single("cover"), updateHighlight);
+router.delete("/highlights/:highlightId", verifyJWT, deleteHighlight);
+
+// Reply or react to a story (sent as a direct message to the author)
+router.post("/:storyId/reply", verifyJWT, getBlockedUsersMiddleware, replyToStory);
+router.post("/:storyId/react", verifyJWT, getBlockedUsersMiddleware, reactToStory);
+
+// Fetch viewers of a story (with their reactions for the author)
 router.get("/:storyId/viewers", verifyJWT, fetchStoryViewers);
 
+// Story stickers: viewers vote/answer and tap links, the author sees aggregated results
+router.post("/:storyId/stickers/:stickerId/respond", verifyJWT, getBlockedUsersMiddleware, respondToSticker);
+router.post("/:storyId/stickers/:stickerId/tap", verifyJWT, getBlockedUsersMiddleware, tapLinkSticker);
+router.get("/:storyId/stickers/results", verifyJWT, fetchStickerResults);
+
 // Delete a story
 router.delete("/:storyId", verifyJWT, deleteStory);
 
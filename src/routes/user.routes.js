@@ -3,16 +3,28 @@ import { upload } from "../middlewares/multerConfig.js";
 import { verifyJWT, optionalVerifyJWT } from "../middlewares/auth.middleware.js";
 import { getBlockedUsers as getBlockedUsersMiddleware } from "../middlewares/blocking.middleware.js";
 import { cacheSearchResults } from "../middlewares/cache.middleware.js";
-import { loginUser, logOutUser, registerUser, getUserProfile, updateUserProfile, changePassword, deleteAccount, searchUsers, verifyEmailWithOTP, uploadProfileImage, sendVerificationOTPForEmail, sendPasswordResetOTP, resetPasswordWithOTP, getOtherUserProfile, checkTokenExpiry, togglePhoneNumberVisibility, toggleAddressVisibility, trackSearch, getPopularSearches, blockUser, unblockUser, getBlockedUsers, checkIfUserBlocked, getUsernameSuggestions, checkUsernameAvailability, toggleFullPrivateAccount, toggleServiceAutoFill, getPreviousServicePostData, toggleProductAutoFill, getPreviousProductPostData, saveFCMToken, testFCMNotification, checkFirebaseStatus } from "../controllers/user.controllers.js";
+import { loginUser, logOutUser, refreshAccessToken, getActiveSessions, revokeSession, logOutAllSessions, registerUser, getUserProfile, updateUserProfile, changePassword, deleteAccount, searchUsers, verifyEmailWithOTP, uploadProfileImage, sendVerificationOTPForEmail, sendPasswordResetOTP, resetPasswordWithOTP, getOtherUserProfile, checkTokenExpiry, togglePhoneNumberVisibility, toggleAddressVisibility, trackSearch, getPopularSearches, blockUser, unblockUser, getBlockedUsers, checkIfUserBlocked, getUsernameSuggestions, checkUsernameAvailability, toggleFullPrivateAccount, toggleServiceAutoFill, getPreviousServicePostData, toggleProductAutoFill, getPreviousProductPostData, saveFCMToken, testFCMNotification, checkFirebaseStatus } from "../controllers/user.controllers.js";
 import { searchAllContent } from "../controllers/searchAllContent.controllers.js";
-import { followUser, unfollowUser, getFollowers, getFollowing, approveFollowRequest, rejectFollowRequest, getPendingFollowRequests, getSentFollowRequests } from "../controllers/follower.controllers.js";
+import { followUser, unfollowUser, getFollowers, getFollowing, approveFollowRequest, rejectFollowRequest, getPendingFollowRequests, getSentFollowRequests, followHashtag, unfollowHashtag, getFollowedHashtags, addCloseFriend, removeCloseFriend, getCloseFriends } from "../controllers/follower.controllers.js";
 import { getSearchSuggestions } from "../controllers/searchSuggestion.controllers.js";
+import { createApiKey, getApiKeys, revokeApiKey } from "../controllers/apiKey.controllers.js";
 
 const router = Router();
 
 router.route("/register").post(registerUser);
 router.route("/login").post(loginUser);
 router.route("/logout").post(verifyJWT, logOutUser);
+router.route("/refresh-token").post(refreshAccessToken);
+
+// Device session routes
+router.route("/sessions").get(verifyJWT, getActiveSessions);
+router.route("/sessions").delete(verifyJWT, logOutAllSessions);
+router.route("/sessions/:deviceId").delete(verifyJWT, revokeSession);
+
+// Personal API key routes (managed with a normal login, never with an API key)
+router.route("/api-keys").post(verifyJWT, createApiKey);
+router.route("/api-keys").get(verifyJWT, getApiKeys);
+router.route("/api-keys/:keyId").delete(verifyJWT, revokeApiKey);
 router.route("/profile").get(verifyJWT, getUserProfile);
 router.route("/profile").put(verifyJWT, upload.single("profileImage"), updateUserProfile);
 router.route("/profile/change-password").put(verifyJWT, changePassword);
@@ -33,6 +45,16 @@ router.post("/unfollow", verifyJWT, unfollowUser);
 router.get("/followers/:userId", verifyJWT, getFollowers);
 router.get("/following/:userId", verifyJWT, getFollowing);
 
+// Hashtag follow routes (body: { tag })
+router.post("/hashtags/follow", verifyJWT, followHashtag);
+router.post("/hashtags/unfollow", verifyJWT, unfollowHashtag);
+router.get("/hashtags/following", verifyJWT, getFollowedHashtags);
+
+// Close Friends (audience for close-friends stories)
+router.get("/close-friends", verifyJWT, getCloseFriends);
+router.post("/close-friends", verifyJWT, addCloseFriend);
+router.delete("/close-friends/:userId", verifyJWT, removeCloseFriend);
+
 // Follow request routes
 router.post("/follow-request/approve", verifyJWT, approveFollowRequest);
 router.post("/follow-request/reject", verifyJWT, rejectFollowRequest);
@@ -81,6 +81,7 @@ const createIndexes = async () => {
             [{ postType: 1, createdAt: -1 }, { name: 'idx_type_time' }],
             [{ contentType: 1, createdAt: -1 }, { name: 'idx_content_time' }],
             [{ hashtags: 1 }, { name: 'idx_hashtags' }],
+            [{ hashtags: 1, createdAt: -1 }, { name: 'idx_hashtags_time' }],
             [{ mentions: 1 }, { name: 'idx_mentions' }],
             [{ 'engagement.likes': -1 }, { name: 'idx_likes_desc' }],
             [{ 'engagement.views': -1 }, { name: 'idx_views_desc' }],
@@ -92,6 +93,7 @@ const createIndexes = async () => {
             [{ userId: 1, status: 1, createdAt: -1 }, { name: 'idx_user_status_time' }],
             [{ 'settings.privacy': 1 }, { name: 'idx_privacy' }],
             [{ 'settings.visibility': 1 }, { name: 'idx_visibility' }],
+            [{ status: 1, scheduledAt: 1 }, { name: 'idx_scheduled_due' }],
         ];
 
         for (const [indexSpec, options] of postIndexes) {
@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/findernate';
+
+const connectDB = async () => {
+    try {
+        console.log('🔄 Connecting to MongoDB...');
+        await mongoose.connect(MONGODB_URI, {
+            serverSelectionTimeoutMS: 10000,
+            connectTimeoutMS: 10000,
+            socketTimeoutMS: 60000,
+        });
+        console.log('✅ MongoDB connected successfully');
+    } catch (error) {
+        console.error('❌ MongoDB connection error:', error.message);
+        process.exit(1);
+    }
+};
+
+/**
+ * Rebuild the hashtags collection from the hashtags stored on posts
+ * Posts created before hashtag syncing existed are otherwise missing from it.
+ */
+const syncHashtags = async () => {
+    const db = mongoose.connection.db;
+    const postsCollection = db.collection('posts');
+    const hashtagsCollection = db.collection('hashtags');
+
+    console.log('\n🔍 Collecting hashtags from posts...\n');
+
+    const tags = await postsCollection.aggregate([
+        { $match: { hashtags: { $exists: true, $ne: [] } } },
+        { $project: { hashtags: 1, createdAt: 1 } },
+        { $unwind: '$hashtags' },
+        {
+            $group: {
+                _id: { $toLower: '$hashtags' },
+                posts: { $addToSet: '$_id' },
+                lastUsedAt: { $max: '$createdAt' }
+            }
+        }
+    ], { allowDiskUse: true }).toArray();
+
+    console.log(`📊 Unique hashtags found: ${tags.length}`);
+
+    const now = new Date();
+    const operations = tags.map(tag => ({
+        updateOne: {
+            filter: { tag: tag._id },
+            update: {
+                $set: {
+                    posts: tag.posts,
+                    usageCount: tag.posts.length,
+                    lastUsedAt: tag.lastUsedAt || now,
+                    updatedAt: now
+                },
+                $setOnInsert: { createdAt: now }
+            },
+            upsert: true
+        }
+    }));
+
+    // Write in batches to keep memory and request size bounded
+    const BATCH_SIZE = 500;
+    for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+        await hashtagsCollection.bulkWrite(operations.slice(i, i + BATCH_SIZE), { ordered: false });
+    }
+
+    // Hashtags no longer used by any post are removed, unless people still follow them
+    const usedTags = tags.map(tag => tag._id);
+    await hashtagsCollection.updateMany(
+        { tag: { $nin: usedTags }, followersCount: { $gt: 0 } },
+        { $set: { posts: [], usageCount: 0, updatedAt: now } }
+    );
+    const staleResult = await hashtagsCollection.deleteMany({
+        tag: { $nin: usedTags },
+        followersCount: { $not: { $gt: 0 } }
+    });
+
+    console.log(`✅ Synced ${operations.length} hashtags`);
+    console.log(`🗑️  Removed ${staleResult.deletedCount} unused hashtags`);
+};
+
+/**
+ * Main execution
+ */
+const main = async () => {
+    try {
+        console.log('═══════════════════════════════════════════════════');
+        console.log('  🏷️  HASHTAG SYNC SCRIPT');
+        console.log('═══════════════════════════════════════════════════\n');
+
+        await connectDB();
+        await syncHashtags();
+
+        console.log('\n✅ Hashtag sync completed!');
+        console.log('═══════════════════════════════════════════════════\n');
+
+        await mongoose.connection.close();
+        process.exit(0);
+    } catch (error) {
+        console.error('\n❌ Fatal error:', error);
+        await mongoose.connection.close();
+        process.exit(1);
+    }
+};
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main();
+}
+
+export { syncHashtags };
@@ -0,0 +1,159 @@
+/**
+ * Voice Note Analysis
+ * Decodes an uploaded voice note with ffmpeg into low-rate mono PCM and derives its duration
+ * and a downsampled amplitude waveform, so clients can draw the note before playing it.
+ * Container formats (MP4/3GP, WebM) carry audio or video, so a note is only accepted when ffmpeg
+ * finds an audio stream and no video. Uses the ffmpeg-static binary unless FFMPEG_PATH is set.
+ */
+
+import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import ffmpegStatic from 'ffmpeg-static';
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || ffmpegStatic || 'ffmpeg';
+const ANALYSIS_TIMEOUT_MS = 20 * 1000;
+
+// 8 kHz mono is plenty for an amplitude envelope and keeps the decoded buffer small
+const SAMPLE_RATE = 8000;
+const BYTES_PER_SAMPLE = 2; // s16le
+
+export const WAVEFORM_BARS = 64;
+export const MAX_VOICE_NOTE_SECONDS = parseInt(process.env.MAX_VOICE_NOTE_SECONDS) || 300;
+export const MAX_VOICE_NOTE_BYTES = 10 * 1024 * 1024; // 10MB
+
+export class AudioAnalysisError extends Error {
+    constructor(message, { unavailable = false } = {}) {
+        super(message);
+        this.name = 'AudioAnalysisError';
+        // ffmpeg is missing or broken (as opposed to the file being unreadable)
+        this.unavailable = unavailable;
+    }
+}
+
+// Stream types from ffmpeg's input listing ("Stream #0:0(und): Audio: aac ..."); cover art is not a video stream
+const parseStreams = (stderr) => {
+    // Only the input listing; the output section lists the decoded PCM stream
+    const input = stderr.split(/^Output #/m)[0];
+    const streams = [...input.matchAll(/Stream #\d+:\d+.*?: (Audio|Video): (.*)/g)];
+    return {
+        hasAudio: streams.some(([, type]) => type === 'Audio'),
+        hasVideo: streams.some(([, type, details]) => type === 'Video' && !details.includes('(attached pic)'))
+    };
+};
+
+// Decode to raw PCM through a temp file: MP4/M4A keep their index at the end, which ffmpeg cannot seek to on a pipe
+const decodeToPcm = async (buffer) => {
+    const inputPath = path.join(os.tmpdir(), `voice-${uuidv4()}`);
+    await fs.writeFile(inputPath, buffer);
+
+    // Decoding stops once the longest allowed note (plus a second of slack) has been read
+    const maxBytes = (MAX_VOICE_NOTE_SECONDS + 1) * SAMPLE_RATE * BYTES_PER_SAMPLE;
+
+    try {
+        return await new Promise((resolve, reject) => {
+            const ffmpeg = spawn(FFMPEG_PATH, [
+                // Info level lists the input streams; -nostats keeps progress lines out of stderr
+                '-hide_banner', '-nostats', '-loglevel', 'info',
+                '-i', inputPath,
+                '-vn', '-ac', '1', '-ar', String(SAMPLE_RATE),
+                '-f', 's16le', 'pipe:1'
+            ]);
+
+            const chunks = [];
+            let size = 0;
+            let stderr = '';
+            let truncated = false;
+
+            const timer = setTimeout(() => {
+                ffmpeg.kill('SIGKILL');
+                reject(new AudioAnalysisError('Audio analysis timed out'));
+            }, ANALYSIS_TIMEOUT_MS);
+
+            ffmpeg.stdout.on('data', (chunk) => {
+                if (truncated) return;
+                chunks.push(chunk);
+                size += chunk.length;
+                if (size >= maxBytes) {
+                    truncated = true;
+                    ffmpeg.kill('SIGKILL');
+                }
+            });
+
+            ffmpeg.stderr.on('data', (chunk) => {
+                stderr += chunk.toString();
+            });
+
+            ffmpeg.on('error', (error) => {
+                clearTimeout(timer);
+                reject(new AudioAnalysisError(`ffmpeg could not be started: ${error.message}`, { unavailable: true }));
+            });
+
+            ffmpeg.on('close', (code) => {
+                clearTimeout(timer);
+                if (code !== 0 && !truncated) {
+                    const lastLine = stderr.trim().split('\n').pop();
+                    reject(new AudioAnalysisError(`Could not decode audio: ${lastLine || `ffmpeg exited with code ${code}`}`));
+                    return;
+                }
+                resolve({ pcm: Buffer.concat(chunks, size), streams: parseStreams(stderr) });
+            });
+        });
+    } finally {
+        fs.unlink(inputPath).catch(() => {});
+    }
+};
+
+/**
+ * Peak amplitude of each of `bars` equal slices, scaled so the loudest slice is 100
+ * @param {Buffer} pcm - Signed 16-bit little-endian mono samples
+ * @param {number} bars - Number of waveform bars
+ * @returns {Array<number>} - Integers from 0 to 100
+ */
+export const buildWaveform = (pcm, bars = WAVEFORM_BARS) => {
+    const sampleCount = Math.floor(pcm.length / BYTES_PER_SAMPLE);
+    if (sampleCount === 0) return new Array(bars).fill(0);
+
+    const peaks = Array.from({ length: bars }, (_, bar) => {
+        const start = Math.floor((bar * sampleCount) / bars);
+        const end = Math.max(start + 1, Math.floor(((bar + 1) * sampleCount) / bars));
+        let peak = 0;
+        for (let i = start; i < end && i < sampleCount; i++) {
+            const amplitude = Math.abs(pcm.readInt16LE(i * BYTES_PER_SAMPLE));
+            if (amplitude > peak) peak = amplitude;
+        }
+        return peak;
+    });
+
+    const loudest = Math.max(...peaks);
+    if (loudest === 0) return peaks.map(() => 0);
+
+    return peaks.map(peak => Math.round((peak / loudest) * 100));
+};
+
+/**
+ * Duration and waveform of a voice note
+ * @param {Buffer} buffer - Uploaded audio file
+ * @returns {Promise<{ duration: number, waveform: Array<number> }>} - Duration in seconds (one decimal)
+ * @throws {AudioAnalysisError} - Also when the file has a video stream or no audio stream
+ */
+export const analyzeVoiceNote = async (buffer) => {
+    const { pcm, streams } = await decodeToPcm(buffer);
+
+    if (streams.hasVideo || !streams.hasAudio) {
+        throw new AudioAnalysisError('File is not an audio-only recording');
+    }
+
+    const sampleCount = Math.floor(pcm.length / BYTES_PER_SAMPLE);
+
+    if (sampleCount === 0) {
+        throw new AudioAnalysisError('Audio file contains no audio');
+    }
+
+    return {
+        duration: Math.round((sampleCount / SAMPLE_RATE) * 10) / 10,
+        waveform: buildWaveform(pcm)
+    };
+};
@@ -43,7 +43,13 @@ const generateFilePath = (folder = "posts", originalName = null, fileType = null
             'video/avi': 'avi',
             'video/quicktime': 'mov',
             'video/x-ms-wmv': 'wmv',
-            'video/x-flv': 'flv'
+            'video/x-flv': 'flv',
+            'audio/mpeg': 'mp3',
+            'audio/wav': 'wav',
+            'audio/ogg': 'ogg',
+            'audio/mp4': 'm4a',
+            'audio/aac': 'aac',
+            'audio/flac': 'flac'
         };
         extension = mimeToExtension[fileType.mimeType] || 'bin';
     }
@@ -52,24 +58,34 @@ const generateFilePath = (folder = "posts", originalName = null, fileType = null
 };
 
 // Helper function to determine file type
-const getFileType = (buffer, originalName = null) => {
+export const getFileType = (buffer, originalName = null) => {
+    // Checked in order: WAV and M4A come first because they share their leading bytes with WebP/AVI (RIFF) and MP4 (ftyp)
     const signatures = {
+        'audio/wav': [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x41, 0x56, 0x45],
+        'audio/mp4': [0x00, 0x00, 0x00, null, 0x66, 0x74, 0x79, 0x70, 0x4D, 0x34, 0x41, 0x20],
         'image/jpeg': [0xFF, 0xD8, 0xFF],
         'image/png': [0x89, 0x50, 0x4E, 0x47],
         'image/gif': [0x47, 0x49, 0x46],
         'image/webp': [0x52, 0x49, 0x46, 0x46],
         'video/mp4': [0x00, 0x00, 0x00, null, 0x66, 0x74, 0x79, 0x70],
         'video/webm': [0x1A, 0x45, 0xDF, 0xA3],
-        'video/avi': [0x52, 0x49, 0x46, 0x46]
+        'video/avi': [0x52, 0x49, 0x46, 0x46],
+        // ID3 tag, or a bare MPEG Layer III frame header
+        'audio/mpeg': [[0x49, 0x44, 0x33], [0xFF, 0xFB], [0xFF, 0xF3], [0xFF, 0xF2]],
+        'audio/ogg': [0x4F, 0x67, 0x67, 0x53], // Ogg (Opus/Vorbis)
+        'audio/flac': [0x66, 0x4C, 0x61, 0x43],
+        'audio/aac': [[0xFF, 0xF1], [0xFF, 0xF9]] // ADTS (MPEG-4 / MPEG-2)
     };
 
     // First try to detect by file signature
     for (const [mimeType, signature] of Object.entries(signatures)) {
-        if (signature.every((byte, index) => byte === null || buffer[index] === byte)) {
+        const alternatives = Array.isArray(signature[0]) ? signature : [signature];
+        if (alternatives.some(bytes => bytes.every((byte, index) => byte === null || buffer[index] === byte))) {
             return {
                 mimeType,
                 isVideo: mimeType.startsWith('video/'),
-                isImage: mimeType.startsWith('image/')
+                isImage: mimeType.startsWith('image/'),
+                isAudio: mimeType.startsWith('audio/')
             };
         }
     }
@@ -88,7 +104,14 @@ const getFileType = (buffer, originalName = null) => {
             'avi': 'video/avi',
             'mov': 'video/quicktime',
             'wmv': 'video/x-ms-wmv',
-            'flv': 'video/x-flv'
+            'flv': 'video/x-flv',
+            'mp3': 'audio/mpeg',
+            'wav': 'audio/wav',
+            'ogg': 'audio/ogg',
+            'opus': 'audio/ogg',
+            'm4a': 'audio/mp4',
+            'aac': 'audio/aac',
+            'flac': 'audio/flac'
         };
 
         const mimeType = extensionMimeTypes[extension];
@@ -96,7 +119,8 @@ const getFileType = (buffer, originalName = null) => {
             return {
                 mimeType,
                 isVideo: mimeType.startsWith('video/'),
-                isImage: mimeType.startsWith('image/')
+                isImage: mimeType.startsWith('image/'),
+                isAudio: mimeType.startsWith('audio/')
             };
         }
     }
@@ -104,10 +128,16 @@ const getFileType = (buffer, originalName = null) => {
     return {
         mimeType: 'application/octet-stream',
         isVideo: false,
-        isImage: false
+        isImage: false,
+        isAudio: false
     };
 };
 
+// 300x300 thumbnail of an uploaded image or video (videos use Bunny's thumbnail extraction parameter)
+export const getThumbnailUrl = (url, mediaType = 'image') => mediaType === 'video'
+    ? `${url}?thumbnail=1&width=300&height=300`
+    : `${url}?width=300&height=300&crop=fill`;
+
 // Upload buffer to Bunny.net
 export const uploadBufferToBunny = async (fileBuffer, folder = "posts", originalName = null) => {
     try {
@@ -143,14 +173,10 @@ export const uploadBufferToBunny = async (fileBuffer, folder = "posts", original
         // Generate CDN URL
         const cdnUrl = `${BUNNY_CONFIG.cdnUrl}/${filePath}`;
 
-        // Generate thumbnail URL for images
-        let thumbnailUrl = null;
-        if (fileType.isImage) {
-            thumbnailUrl = `${BUNNY_CONFIG.cdnUrl}/${filePath}?width=300&height=300&crop=fill`;
-        } else if (fileType.isVideo) {
-            // For videos, we'll use a thumbnail extraction parameter
-            thumbnailUrl = `${BUNNY_CONFIG.cdnUrl}/${filePath}?thumbnail=1&width=300&height=300`;
-        }
+        // Generate thumbnail URL for images and videos
+        const thumbnailUrl = fileType.isImage || fileType.isVideo
+            ? getThumbnailUrl(cdnUrl, fileType.isVideo ? 'video' : 'image')
+            : null;
 
         return {
             success: true,
@@ -263,6 +289,8 @@ export const generateOptimizedImageUrl = (url, options = {}) => {
 };
 
 export default {
+    getFileType,
+    getThumbnailUrl,
     uploadBufferToBunny,
     deleteFromBunny,
     deleteMultipleFromBunny,
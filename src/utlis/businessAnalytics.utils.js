@@ -0,0 +1,63 @@
+/**
+ * Business Analytics Utility Functions
+ * Records business profile views and link clicks on both the lifetime Business.insights
+ * counters and the daily BusinessInsight documents used by the analytics dashboard.
+ */
+
+import Business from "../models/business.models.js";
+import BusinessInsight from "../models/businessInsight.models.js";
+import { redisClient, RedisKeys } from "../config/redis.config.js";
+import { startOfUTCDay } from "./insightsRollup.js";
+
+const BUSINESS_EVENT_METRICS = { view: 'views', click: 'clicks' };
+
+// A visitor counts once per window, so refreshing a profile or double-tapping a link does not inflate numbers
+const DEDUPE_WINDOW_SECONDS = { view: 24 * 60 * 60, click: 60 * 60 };
+
+/**
+ * Record a profile view or link click for a business
+ * Owners looking at their own business are not counted. Failures are logged, never thrown.
+ * @param {Object} params
+ * @param {string|ObjectId} params.businessId - Business ID
+ * @param {string|ObjectId} params.ownerId - Business owner's user ID
+ * @param {string} params.event - 'view' or 'click'
+ * @param {string|ObjectId} params.viewerId - Current user ID (null for anonymous)
+ * @param {string} params.ipAddress - Used to recognize anonymous visitors
+ * @returns {Promise<boolean>} - Whether the event was counted
+ */
+export const trackBusinessEvent = async ({ businessId, ownerId, event, viewerId, ipAddress }) => {
+    const metric = BUSINESS_EVENT_METRICS[event];
+    if (!metric || !businessId) return false;
+
+    if (viewerId && ownerId && viewerId.toString() === ownerId.toString()) {
+        return false;
+    }
+
+    try {
+        const viewerKey = viewerId ? `u:${viewerId}` : (ipAddress ? `ip:${ipAddress}` : null);
+        if (viewerKey) {
+            const isFirst = await redisClient.set(
+                RedisKeys.businessEventSeen(businessId, event, viewerKey),
+                '1',
+                'EX',
+                DEDUPE_WINDOW_SECONDS[event],
+                'NX'
+            );
+            if (isFirst !== 'OK') return false;
+        }
+
+        await Promise.all([
+            Business.updateOne({ _id: businessId }, { $inc: { [`insights.${metric}`]: 1 } }),
+            BusinessInsight.updateOne(
+                { businessId, date: startOfUTCDay(new Date()) },
+                { $inc: { [metric]: 1 } },
+                { upsert: true }
+            )
+        ]);
+
+        return true;
+    } catch (error) {
+        console.error(`Business ${event} tracking error for ${businessId}:`, error);
+        return false;
+    }
+};
@@ -0,0 +1,69 @@
+/**
+ * Chat Mute Utility Functions
+ * A mute is stored per user on Chat.mutedBy with an optional end time (null = muted until unmuted).
+ * Expired mutes are simply ignored, so nothing has to clean them up.
+ */
+
+import Chat from "../models/chat.models.js";
+
+// Accepted values for the `duration` of a mute (null = forever)
+export const MUTE_DURATIONS = {
+    '8h': 8 * 60 * 60 * 1000,
+    '1w': 7 * 24 * 60 * 60 * 1000,
+    'forever': null
+};
+
+/**
+ * Query condition matching chats the user currently has muted
+ * @param {ObjectId} userId - User ID
+ * @param {Date} now - Reference time
+ */
+export const activeMuteCondition = (userId, now = new Date()) => ({
+    mutedBy: {
+        $elemMatch: {
+            user: userId,
+            $or: [{ mutedUntil: null }, { mutedUntil: { $gt: now } }]
+        }
+    }
+});
+
+/**
+ * The user's current mute on a chat document, if any
+ * @param {Object} chat - Chat with mutedBy loaded
+ * @param {string|ObjectId} userId - User ID
+ * @returns {Object|null} - { mutedUntil } (mutedUntil null = forever)
+ */
+export const getActiveMute = (chat, userId, now = new Date()) => {
+    const mute = (chat?.mutedBy || []).find(entry => entry.user?.toString() === userId.toString());
+    if (!mute) return null;
+    if (mute.mutedUntil && new Date(mute.mutedUntil) <= now) return null;
+    return { mutedUntil: mute.mutedUntil || null };
+};
+
+/**
+ * Participants of a chat that should still get push notifications
+ * @param {Object} chat - Chat with participants and mutedBy loaded
+ * @param {Array<string|ObjectId>} userIds - Candidate recipients
+ * @returns {Array} - Recipients without an active mute
+ */
+export const filterUnmutedRecipients = (chat, userIds) => {
+    const now = new Date();
+    return userIds.filter(userId => !getActiveMute(chat, userId, now));
+};
+
+/**
+ * IDs of the given chats the user currently has muted
+ * @param {ObjectId} userId - User ID
+ * @param {Array<ObjectId>} chatIds - Chats to check
+ * @returns {Promise<Array<string>>}
+ */
+export const getMutedChatIds = async (userId, chatIds) => {
+    if (!chatIds || chatIds.length === 0) return [];
+
+    const mutedChats = await Chat.find({
+        _id: { $in: chatIds },
+        ...activeMuteCondition(userId)
+    }).select('_id').lean();
+
+    return mutedChats.map(chat => chat._id.toString());
+};
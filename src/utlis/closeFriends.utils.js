@@ -0,0 +1,58 @@
+/**
+ * Close Friends Utility Functions
+ * Stories can be shared with everyone allowed by follow and privacy rules, or only with
+ * the author's Close Friends list (Story.audience 'close_friends').
+ */
+
+import CloseFriend from "../models/closeFriend.models.js";
+
+export const STORY_AUDIENCES = ['everyone', 'close_friends'];
+
+/**
+ * Whether viewerId is on ownerId's Close Friends list
+ * @param {string|ObjectId} ownerId - List owner
+ * @param {string|ObjectId} viewerId - Viewer (null for anonymous)
+ * @returns {Promise<boolean>}
+ */
+export const isCloseFriendOf = async (ownerId, viewerId) => {
+    if (!viewerId) return false;
+    return Boolean(await CloseFriend.exists({ userId: ownerId, friendId: viewerId }));
+};
+
+/**
+ * Users who have viewerId on their Close Friends list
+ * @param {string|ObjectId} viewerId - Viewer
+ * @returns {Promise<Array<string>>} - Owner IDs
+ */
+export const getCloseFriendOwnerIds = async (viewerId) => {
+    if (!viewerId) return [];
+
+    const entries = await CloseFriend.find({ friendId: viewerId }).select('userId').lean();
+    return entries.map(entry => entry.userId.toString());
+};
+
+/**
+ * Whether a viewer falls within a story's audience (follow, privacy and block rules are checked separately)
+ * @param {Object} story - Story with userId and audience
+ * @param {string|ObjectId} viewerId - Viewer (null for anonymous)
+ * @param {boolean} isCloseFriend - Whether the viewer is on the author's Close Friends list
+ * @returns {boolean}
+ */
+export const isInStoryAudience = (story, viewerId, isCloseFriend) => {
+    if (story.audience !== 'close_friends') return true;
+
+    const ownerId = (story.userId?._id || story.userId).toString();
+    return Boolean(viewerId) && (ownerId === viewerId.toString() || isCloseFriend);
+};
+
+/**
+ * Story query condition for a viewer looking at one author's stories
+ * @param {string|ObjectId} ownerId - Story author
+ * @param {string|ObjectId} viewerId - Viewer (null for anonymous)
+ * @returns {Promise<Object>} - Empty when the viewer may see close-friends stories
+ */
+export const storyAudienceFilter = async (ownerId, viewerId) => {
+    if (viewerId && ownerId.toString() === viewerId.toString()) return {};
+    if (await isCloseFriendOf(ownerId, viewerId)) return {};
+    return { audience: { $ne: 'close_friends' } };
+};
@@ -74,6 +74,37 @@ export const validateDeliveryAndLocation = async (postData, postType) => {
     return { ...postData, location };
 };
 
+/**
+ * Validates the content-type specific details of a post before it is published
+ * Shared by the create*Post controllers and draft publishing
+ * @param {string} contentType - normal, product, service or business
+ * @param {Object} details - { product, service, business }
+ * @returns {Object} Validated customization entries for the content type
+ */
+export const validatePostCustomization = async (contentType, { product, service, business } = {}) => {
+    if (contentType === 'product') {
+        const validatedProduct = await validateDeliveryAndLocation(product, "product");
+        if (!validatedProduct?.link) {
+            throw new ApiError(400, "Product post must include a product link");
+        }
+        return { product: validatedProduct };
+    }
+
+    if (contentType === 'service') {
+        return { service: await validateDeliveryAndLocation(service, "service") };
+    }
+
+    if (contentType === 'business') {
+        const validatedBusiness = await validateDeliveryAndLocation(business, "business");
+        if (!validatedBusiness?.link) {
+            throw new ApiError(400, "Business post must include a business link");
+        }
+        return { business: validatedBusiness };
+    }
+
+    return {};
+};
+
 /**
  * Validates location format for business posts
  * @param {Object} location - Location object
@@ -135,6 +166,7 @@ export const sanitizeLocationData = (location) => {
 
 export default {
     validateDeliveryAndLocation,
+    validatePostCustomization,
     isValidLocation,
     isLocationRequired,
     sanitizeLocationData
@@ -0,0 +1,135 @@
+/**
+ * Disappearing Message Sweeper
+ * Deletes expired messages together with their Bunny media. A TTL index is not
+ * enough because the media has to be deleted too. Every PM2 worker starts the interval,
+ * but the job lock lets only one of them sweep at a time.
+ */
+
+import Chat from "../models/chat.models.js";
+import Message from "../models/message.models.js";
+import StarredMessage from "../models/starredMessage.models.js";
+import { deleteFromBunny, isBunnyUrl } from "./bunny.js";
+import { runWithJobLock } from "./jobLock.utils.js";
+import notificationCache from "./notificationCache.utils.js";
+import { safeEmitToChat, invalidateChatListCache } from "../controllers/chat.controllers.js";
+
+const JOB_NAME = 'disappearing-messages-sweeper';
+const SWEEP_INTERVAL_SECONDS = parseInt(process.env.DISAPPEARING_MESSAGES_SWEEP_SECONDS) || 60;
+const LOCK_TTL_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 500;
+const MAX_BATCHES_PER_RUN = 20; // Anything left over is picked up by the next run
+
+// Forwarded copies reuse the original's media URL, so a file is only deleted once no surviving message uses it
+const deleteUnusedMedia = async (messages) => {
+    const messageIds = messages.map(message => message._id);
+    const mediaUrls = [...new Set(messages.map(message => message.mediaUrl).filter(url => url && isBunnyUrl(url)))];
+    if (mediaUrls.length === 0) return;
+
+    const stillUsed = await Message.distinct('mediaUrl', {
+        mediaUrl: { $in: mediaUrls },
+        _id: { $nin: messageIds }
+    });
+    const stillUsedSet = new Set(stillUsed);
+
+    for (const url of mediaUrls) {
+        if (stillUsedSet.has(url)) continue;
+        try {
+            await deleteFromBunny(url);
+        } catch (error) {
+            console.error(`Failed to delete expired chat media ${url}:`, error.message);
+        }
+    }
+};
+
+// Point each chat's lastMessage at its newest remaining message
+const refreshLastMessages = async (chatIds) => {
+    for (const chatId of chatIds) {
+        const latest = await Message.findOne({ chatId, isDeleted: { $ne: true } })
+            .sort({ timestamp: -1 })
+            .select('sender message timestamp')
+            .lean();
+
+        await Chat.updateOne(
+            { _id: chatId },
+            {
+                $set: latest ? {
+                    lastMessage: { sender: latest.sender, message: latest.message, timestamp: latest.timestamp },
+                    lastMessageId: latest._id
+                } : {
+                    lastMessage: {},
+                    lastMessageId: null
+                }
+            }
+        );
+    }
+};
+
+const sweepBatch = async (now) => {
+    const messages = await Message.find({ expiresAt: { $lte: now } })
+        .sort({ expiresAt: 1 })
+        .limit(BATCH_SIZE)
+        .select('chatId mediaUrl')
+        .lean();
+
+    if (messages.length === 0) return 0;
+
+    const messageIds = messages.map(message => message._id);
+    const idsByChat = new Map();
+    messages.forEach(message => {
+        const chatId = message.chatId.toString();
+        if (!idsByChat.has(chatId)) idsByChat.set(chatId, []);
+        idsByChat.get(chatId).push(message._id.toString());
+    });
+    const chatIds = [...idsByChat.keys()];
+
+    await Message.deleteMany({ _id: { $in: messageIds } });
+    await Promise.all([
+        StarredMessage.deleteMany({ messageId: { $in: messageIds } }),
+        Chat.updateMany({ _id: { $in: chatIds } }, { $pull: { pinnedMessages: { $in: messageIds } } })
+    ]);
+
+    await deleteUnusedMedia(messages);
+    await refreshLastMessages(chatIds);
+
+    idsByChat.forEach((ids, chatId) => {
+        safeEmitToChat(chatId, 'messages_expired', { chatId, messageIds: ids });
+    });
+
+    // Unread counts and chat list previews may have changed
+    const chats = await Chat.find({ _id: { $in: chatIds } }).select('participants').lean();
+    const participantIds = [...new Set(chats.flatMap(chat => chat.participants.map(id => id.toString())))];
+    await Promise.all([
+        notificationCache.invalidateMultipleUsersCache(participantIds, 'message'),
+        invalidateChatListCache(participantIds)
+    ]);
+
+    return messages.length;
+};
+
+const sweepExpiredMessages = async () => {
+    const now = new Date();
+    let removed = 0;
+
+    for (let batch = 0; batch < MAX_BATCHES_PER_RUN; batch++) {
+        const count = await sweepBatch(now);
+        removed += count;
+        if (count < BATCH_SIZE) break;
+    }
+
+    if (removed > 0) {
+        console.log(`⏳ Removed ${removed} expired disappearing messages`);
+    }
+};
+
+export const startDisappearingMessageSweeper = () => {
+    const run = async () => {
+        try {
+            await runWithJobLock(JOB_NAME, LOCK_TTL_MS, sweepExpiredMessages);
+        } catch (error) {
+            console.error('❌ Error sweeping disappearing messages:', error);
+        }
+    };
+
+    run();
+    return setInterval(run, SWEEP_INTERVAL_SECONDS * 1000);
+};
@@ -0,0 +1,35 @@
+/**
+ * Disappearing Messages Utility Functions
+ * Chats can make new messages expire a set time after they are sent (Message.expiresAt);
+ * the disappearing message sweeper removes them once they expire.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Accepted values for a chat's disappearing messages setting (null = off)
+export const DISAPPEARING_DURATIONS = {
+    'off': null,
+    '24h': 24 * HOUR_MS,
+    '7d': 7 * 24 * HOUR_MS,
+    '90d': 90 * 24 * HOUR_MS
+};
+
+export const DISAPPEARING_LABELS = {
+    '24h': '24 hours',
+    '7d': '7 days',
+    '90d': '90 days'
+};
+
+// Current setting of a chat; chats created before the setting existed are 'off'
+export const getDisappearingDuration = (chat) => chat?.disappearingMessages?.duration || 'off';
+
+/**
+ * Expiry for a message sent now in this chat
+ * @param {Object} chat - Chat with disappearingMessages
+ * @param {Date} sentAt - Send time
+ * @returns {Date|null} - null when disappearing messages are off
+ */
+export const getMessageExpiry = (chat, sentAt = new Date()) => {
+    const durationMs = DISAPPEARING_DURATIONS[getDisappearingDuration(chat)];
+    return durationMs ? new Date(sentAt.getTime() + durationMs) : null;
+};
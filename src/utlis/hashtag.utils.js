@@ -0,0 +1,75 @@
+/**
+ * Hashtag Utility Functions
+ * Keeps the Hashtag collection in sync with the hashtags extracted from posts
+ * and looks up the hashtags users follow
+ */
+
+import Hashtag from "../models/hashtag.models.js";
+import HashtagFollow from "../models/hashtagFollow.models.js";
+
+/**
+ * Normalize user input like "#StreetFood" to the stored form "streetfood"
+ * @param {string} tag - Raw hashtag
+ * @returns {string} - Normalized hashtag ('' if nothing is left)
+ */
+export const normalizeHashtag = (tag) => String(tag || '').trim().replace(/^#+/, '').toLowerCase();
+
+/**
+ * Apply a post's hashtag changes to the Hashtag collection
+ * @param {string|ObjectId} postId - Post ID
+ * @param {Array<string>} previousTags - Hashtags before the change ([] for a new post)
+ * @param {Array<string>} nextTags - Hashtags after the change ([] for a deleted post)
+ */
+export const syncPostHashtags = async (postId, previousTags = [], nextTags = []) => {
+    const previous = new Set(previousTags.map(normalizeHashtag).filter(Boolean));
+    const next = new Set(nextTags.map(normalizeHashtag).filter(Boolean));
+
+    const added = [...next].filter(tag => !previous.has(tag));
+    const removed = [...previous].filter(tag => !next.has(tag));
+
+    if (added.length === 0 && removed.length === 0) return;
+
+    const now = new Date();
+    const operations = [
+        ...added.map(tag => ({
+            updateOne: {
+                filter: { tag },
+                update: {
+                    $addToSet: { posts: postId },
+                    $inc: { usageCount: 1 },
+                    $set: { lastUsedAt: now }
+                },
+                upsert: true
+            }
+        })),
+        // Only decrement tags that actually reference the post
+        ...removed.map(tag => ({
+            updateOne: {
+                filter: { tag, posts: postId },
+                update: {
+                    $pull: { posts: postId },
+                    $inc: { usageCount: -1 }
+                }
+            }
+        }))
+    ];
+
+    try {
+        await Hashtag.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+        // Hashtag stats are secondary - never fail the post operation because of them
+        console.error(`Hashtag sync error for post ${postId}:`, error);
+    }
+};
+
+/**
+ * Hashtags a user follows (used to boost matching posts in the home feed)
+ * @param {string|ObjectId} userId - User ID
+ * @returns {Promise<Array<string>>} - Followed hashtags
+ */
+export const getFollowedTags = async (userId) => {
+    if (!userId) return [];
+
+    const follows = await HashtagFollow.find({ userId }).select('tag').lean();
+    return follows.map(follow => follow.tag);
+};
@@ -0,0 +1,346 @@
+/**
+ * Post Insights Rollup
+ * Periodically folds new likes, comments, saves and tracked interactions (views, shares, clicks)
+ * into one Insight document per post with a daily series. PostInteraction rows expire after
+ * 90 days, so Insight is the long-term record. Every PM2 worker starts the interval, but the
+ * job lock lets only one of them roll up at a time.
+ *
+ * A run that fails partway is retried over the same window, so both phases are safe to repeat:
+ * interaction deltas are written in the same transaction that marks their rows as rolled up, and
+ * likes, comments and saves are recounted per post and day and stored with $set.
+ */
+
+import mongoose from "mongoose";
+import Post from "../models/userPost.models.js";
+import Insight from "../models/insights.models.js";
+import PostInteraction from "../models/postInteraction.models.js";
+import Like from "../models/like.models.js";
+import Comment from "../models/comment.models.js";
+import SavedPost from "../models/savedPost.models.js";
+import JobState from "../models/jobState.models.js";
+import { runWithJobLock } from "./jobLock.utils.js";
+
+const JOB_NAME = 'post-insights-rollup';
+const ROLLUP_INTERVAL_MINUTES = parseInt(process.env.INSIGHTS_ROLLUP_INTERVAL_MINUTES) || 60;
+const LOCK_TTL_MS = 30 * 60 * 1000;
+const WRITE_LAG_MS = 60 * 1000; // Rows stamped just before a run may not be committed yet; leave them for the next run
+const INTERACTION_BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days of daily series kept on each Insight document
+export const INSIGHTS_MAX_DAYS = 365;
+
+export const DAILY_METRICS = ['views', 'reach', 'likes', 'comments', 'saves', 'shares', 'clicks'];
+
+// PostInteraction types that feed a metric (likes and comments come from their own collections)
+const INTERACTION_METRICS = { view: 'views', share: 'shares', click: 'clicks' };
+
+// Metrics counted from individual rows with a creation time
+const CREATED_ROW_SOURCES = [
+    { metric: 'likes', Model: Like, match: { postId: { $type: 'objectId' }, commentId: null }, dateField: 'createdAt' },
+    { metric: 'comments', Model: Comment, match: {}, dateField: 'createdAt' },
+    { metric: 'saves', Model: SavedPost, match: {}, dateField: 'savedAt' }
+];
+
+export const startOfUTCDay = (date) => {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+};
+
+const emptyMetrics = () => Object.fromEntries(DAILY_METRICS.map(metric => [metric, 0]));
+
+// Deltas keyed by post and day; newViewers counts first-ever viewers for the lifetime reach
+const addDelta = (deltas, postId, date, metric, amount) => {
+    const key = `${postId}|${date.getTime()}`;
+    if (!deltas.has(key)) {
+        deltas.set(key, { postId, date, metrics: emptyMetrics(), newViewers: 0 });
+    }
+    const delta = deltas.get(key);
+    if (metric === 'newViewers') {
+        delta.newViewers += amount;
+    } else {
+        delta.metrics[metric] += amount;
+    }
+};
+
+const applyDelta = async ({ postId, date, metrics, newViewers }, ownerId, now, session) => {
+    const lifetimeInc = {
+        views: metrics.views,
+        likes: metrics.likes,
+        comments: metrics.comments,
+        saves: metrics.saves,
+        shares: metrics.shares,
+        clicks: metrics.clicks,
+        reach: newViewers
+    };
+    const set = { userId: ownerId, lastRolledUpAt: now, updatedAt: now };
+
+    const dailyInc = Object.fromEntries(DAILY_METRICS.map(metric => [`daily.$.${metric}`, metrics[metric]]));
+    const result = await Insight.updateOne(
+        { postId, 'daily.date': date },
+        { $inc: { ...lifetimeInc, ...dailyInc }, $set: set },
+        { session }
+    );
+
+    if (result.matchedCount === 0) {
+        // First activity of the day (or first ever) - append the day and keep the series bounded
+        await Insight.updateOne(
+            { postId },
+            {
+                $inc: lifetimeInc,
+                $set: set,
+                $push: { daily: { $each: [{ date, ...metrics }], $sort: { date: 1 }, $slice: -INSIGHTS_MAX_DAYS } }
+            },
+            { upsert: true, session }
+        );
+    }
+};
+
+// Owners of the posts that still exist (activity on deleted posts is skipped)
+const getPostOwners = async (postIds, session = null) => {
+    const posts = await Post.find({ _id: { $in: postIds } }).select('userId').session(session).lean();
+    return new Map(posts.map(post => [post._id.toString(), post.userId]));
+};
+
+// Engagement rate = (likes + comments + saves + shares) per unique viewer, as a percentage
+const refreshEngagementRates = (postIds, session = null) => Insight.updateMany(
+    { postId: { $in: postIds } },
+    [{
+        $set: {
+            engagementRate: {
+                $cond: [
+                    { $gt: ['$reach', 0] },
+                    {
+                        $round: [{
+                            $multiply: [
+                                { $divide: [{ $add: ['$likes', '$comments', '$saves', '$shares'] }, '$reach'] },
+                                100
+                            ]
+                        }, 2]
+                    },
+                    0
+                ]
+            }
+        }
+    }],
+    { session }
+);
+
+const applyDeltas = async (deltas, now, session) => {
+    if (deltas.size === 0) return;
+
+    const entries = [...deltas.values()];
+    const ownerByPost = await getPostOwners([...new Set(entries.map(entry => entry.postId.toString()))], session);
+
+    for (const entry of entries) {
+        const ownerId = ownerByPost.get(entry.postId.toString());
+        if (!ownerId) continue;
+        await applyDelta(entry, ownerId, now, session);
+    }
+
+    await refreshEngagementRates([...ownerByPost.keys()], session);
+};
+
+/**
+ * Views, shares and clicks: PostInteraction keeps one row per user, post and type with a running
+ * interactionCount, so only the part not rolled up yet (interactionCount - rolledUpCount) is added.
+ * A viewer adds to a day's reach once, and to the lifetime reach the first time their view is rolled up.
+ */
+const rollUpInteractions = async (from, to, now) => {
+    const cursor = PostInteraction.find({
+        interactionType: { $in: Object.keys(INTERACTION_METRICS) },
+        lastInteracted: { $gte: from, $lt: to }
+    })
+        .select('postId interactionType interactionCount rolledUpCount rolledUpAt lastInteracted')
+        .lean()
+        .cursor();
+
+    let deltas = new Map();
+    let marks = [];
+
+    // Deltas and the marks on their rows commit together, so a failed batch is redone in full and never counted twice
+    const flush = async () => {
+        if (marks.length > 0) {
+            const session = await mongoose.startSession();
+            try {
+                await session.withTransaction(async () => {
+                    await applyDeltas(deltas, now, session);
+                    await PostInteraction.bulkWrite(marks, { ordered: false, session });
+                });
+            } finally {
+                await session.endSession();
+            }
+        }
+        deltas = new Map();
+        marks = [];
+    };
+
+    for await (const interaction of cursor) {
+        const day = startOfUTCDay(interaction.lastInteracted);
+        const newInteractions = (interaction.interactionCount || 0) - (interaction.rolledUpCount || 0);
+
+        if (newInteractions > 0) {
+            addDelta(deltas, interaction.postId, day, INTERACTION_METRICS[interaction.interactionType], newInteractions);
+        }
+
+        if (interaction.interactionType === 'view') {
+            const countedToday = interaction.rolledUpAt && startOfUTCDay(interaction.rolledUpAt).getTime() === day.getTime();
+            if (!countedToday) addDelta(deltas, interaction.postId, day, 'reach', 1);
+            if (!interaction.rolledUpCount) addDelta(deltas, interaction.postId, day, 'newViewers', 1);
+        }
+
+        marks.push({
+            updateOne: {
+                filter: { _id: interaction._id },
+                update: { $set: { rolledUpCount: interaction.interactionCount, rolledUpAt: interaction.lastInteracted } }
+            }
+        });
+
+        if (marks.length >= INTERACTION_BATCH_SIZE) await flush();
+    }
+
+    await flush();
+};
+
+// Count rows created in [from, to) per post and UTC day
+const countByPostAndDay = (Model, match, dateField, from, to) => Model.aggregate([
+    { $match: { ...match, [dateField]: { $gte: from, $lt: to } } },
+    {
+        $group: {
+            _id: {
+                postId: '$postId',
+                date: {
+                    $dateFromParts: {
+                        year: { $year: `$${dateField}` },
+                        month: { $month: `$${dateField}` },
+                        day: { $dayOfMonth: `$${dateField}` }
+                    }
+                }
+            },
+            count: { $sum: 1 }
+        }
+    }
+]).allowDiskUse(true);
+
+// Store recounted likes, comments and saves of one post: lifetime totals and each given day
+const setCreatedRowCounts = async (postId, ownerId, lifetime, days, now) => {
+    await Insight.updateOne(
+        { postId },
+        { $set: { ...lifetime, userId: ownerId, lastRolledUpAt: now, updatedAt: now } },
+        { upsert: true }
+    );
+
+    for (const { date, counts } of days) {
+        const dailySet = Object.fromEntries(Object.entries(counts).map(([metric, count]) => [`daily.$.${metric}`, count]));
+        const result = await Insight.updateOne({ postId, 'daily.date': date }, { $set: dailySet });
+
+        if (result.matchedCount === 0) {
+            await Insight.updateOne(
+                { postId },
+                { $push: { daily: { $each: [{ date, ...emptyMetrics(), ...counts }], $sort: { date: 1 }, $slice: -INSIGHTS_MAX_DAYS } } }
+            );
+        }
+    }
+};
+
+/**
+ * Likes, comments and saves are individual rows with a creation time. Every post and day that
+ * got new rows in [from, to) is recounted in full (along with the post's lifetime totals) and
+ * stored with $set, so repeating a window gives the same result; removed likes and saves drop out.
+ */
+const rollUpCreatedRows = async (from, to, now) => {
+    const created = await Promise.all(CREATED_ROW_SOURCES.map(({ Model, match, dateField }) =>
+        countByPostAndDay(Model, match, dateField, from, to)
+    ));
+
+    // Days with new rows, per post
+    const daysByPost = new Map();
+    created.flat().forEach(({ _id }) => {
+        const postId = _id.postId.toString();
+        if (!daysByPost.has(postId)) daysByPost.set(postId, new Set());
+        daysByPost.get(postId).add(_id.date.getTime());
+    });
+
+    const postIds = [...daysByPost.keys()];
+    const dayStart = startOfUTCDay(from);
+    const dayEnd = new Date(startOfUTCDay(to).getTime() + DAY_MS);
+
+    for (let i = 0; i < postIds.length; i += INTERACTION_BATCH_SIZE) {
+        const batch = postIds.slice(i, i + INTERACTION_BATCH_SIZE);
+        const batchObjectIds = batch.map(id => new mongoose.Types.ObjectId(id));
+
+        const [ownerByPost, ...counts] = await Promise.all([
+            getPostOwners(batch),
+            ...CREATED_ROW_SOURCES.flatMap(({ Model, match, dateField }) => {
+                const postMatch = { ...match, postId: { $in: batchObjectIds } };
+                return [
+                    countByPostAndDay(Model, postMatch, dateField, dayStart, dayEnd),
+                    Model.aggregate([
+                        { $match: postMatch },
+                        { $group: { _id: '$postId', count: { $sum: 1 } } }
+                    ])
+                ];
+            })
+        ]);
+
+        const lifetimeByPost = new Map();
+        const dailyByKey = new Map();
+        CREATED_ROW_SOURCES.forEach(({ metric }, index) => {
+            const [daily, lifetime] = [counts[index * 2], counts[index * 2 + 1]];
+            daily.forEach(({ _id, count }) => dailyByKey.set(`${_id.postId}|${_id.date.getTime()}|${metric}`, count));
+            lifetime.forEach(({ _id, count }) => lifetimeByPost.set(`${_id}|${metric}`, count));
+        });
+
+        for (const postId of batch) {
+            const ownerId = ownerByPost.get(postId);
+            if (!ownerId) continue;
+
+            const countsFor = (keyPrefix, source) => Object.fromEntries(
+                CREATED_ROW_SOURCES.map(({ metric }) => [metric, source.get(`${keyPrefix}|${metric}`) || 0])
+            );
+            const days = [...daysByPost.get(postId)].map(time => ({
+                date: new Date(time),
+                counts: countsFor(`${postId}|${time}`, dailyByKey)
+            }));
+
+            await setCreatedRowCounts(postId, ownerId, countsFor(postId, lifetimeByPost), days, now);
+        }
+
+        await refreshEngagementRates([...ownerByPost.keys()]);
+    }
+};
+
+const rollUpInsights = async () => {
+    const now = new Date();
+    const state = await JobState.findOne({ name: JOB_NAME }).lean();
+
+    // The first run backfills everything still on record
+    const from = state?.processedUntil || new Date(0);
+    const to = new Date(now.getTime() - WRITE_LAG_MS);
+    if (to <= from) return;
+
+    await rollUpInteractions(from, to, now);
+    await rollUpCreatedRows(from, to, now);
+
+    await JobState.updateOne(
+        { name: JOB_NAME },
+        { $set: { processedUntil: to } },
+        { upsert: true }
+    );
+
+    console.log(`📈 Post insights rolled up until ${to.toISOString()}`);
+};
+
+export const startPostInsightsRollup = () => {
+    const run = async () => {
+        try {
+            await runWithJobLock(JOB_NAME, LOCK_TTL_MS, rollUpInsights);
+        } catch (error) {
+            console.error('❌ Error during post insights rollup:', error);
+        }
+    };
+
+    run();
+    return setInterval(run, ROLLUP_INTERVAL_MINUTES * 60 * 1000);
+};
@@ -0,0 +1,52 @@
+/**
+ * Background Job Lock Utility Functions
+ * Every PM2 cluster worker schedules the same background jobs; a Redis lock
+ * makes sure only one worker runs a given job at a time.
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import { redisClient, RedisKeys } from "../config/redis.config.js";
+
+// Only delete the lock if this worker still holds it (it may have expired and been taken by another worker)
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+    return redis.call("del", KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Run a job while holding its cluster-wide lock
+ * @param {string} jobName - Job name used for the lock key
+ * @param {number} ttlMs - Lock expiry, so a crashed worker cannot hold the lock forever
+ * @param {Function} job - Async function to run
+ * @returns {Promise<boolean>} - Whether this worker acquired the lock and ran the job
+ */
+export const runWithJobLock = async (jobName, ttlMs, job) => {
+    const key = RedisKeys.jobLock(jobName);
+    const token = `${process.env.INSTANCE_ID || process.pid}:${uuidv4()}`;
+
+    let acquired;
+    try {
+        acquired = await redisClient.set(key, token, 'PX', ttlMs, 'NX');
+    } catch (error) {
+        console.error(`❌ Could not acquire lock for job ${jobName}:`, error);
+        return false;
+    }
+
+    if (acquired !== 'OK') {
+        return false;
+    }
+
+    try {
+        await job();
+    } finally {
+        try {
+            await redisClient.eval(RELEASE_LOCK_SCRIPT, 1, key, token);
+        } catch (error) {
+            console.error(`❌ Could not release lock for job ${jobName}:`, error);
+        }
+    }
+
+    return true;
+};
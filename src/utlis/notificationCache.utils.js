@@ -3,6 +3,7 @@ import Notification from '../models/notification.models.js';
 import Message from '../models/message.models.js';
 import Chat from '../models/chat.models.js';
 import Block from '../models/block.models.js';
+import { getMutedChatIds } from './chatMute.utils.js';
 
 class NotificationCacheManager {
     constructor() {
@@ -206,9 +207,13 @@ class NotificationCacheManager {
                 await this.setCachedUserChats(userId, chatIds);
             }
 
-            // Get unread messages count (excluding blocked users)
+            // Muted chats don't count towards the unread badge (mutes can expire, so this is not cached)
+            const mutedChatIds = new Set(await getMutedChatIds(userId, chatIds));
+            const countedChatIds = chatIds.filter(chatId => !mutedChatIds.has(chatId.toString()));
+
+            // Get unread messages count (excluding blocked users and muted chats)
             const messageQuery = {
-                chatId: { $in: chatIds },
+                chatId: { $in: countedChatIds },
                 sender: { $ne: userId },
                 readBy: { $ne: userId },
                 isDeleted: false
@@ -0,0 +1,39 @@
+/**
+ * Post Cleanup Utility Functions
+ * Data that only references a post is cleaned up when the post is deleted. Single deletes run
+ * this from the Post findOneAndDelete hook (own delete, content delete, reports, admin actions);
+ * bulk deletes go through deletePosts, since deleteMany does not hand the deleted posts to a hook.
+ */
+
+import Post from "../models/userPost.models.js";
+import Insight from "../models/insights.models.js";
+import { syncPostHashtags } from "./hashtag.utils.js";
+
+/**
+ * Remove everything that references deleted posts
+ * @param {Array<Object>} posts - Deleted posts with _id and hashtags
+ */
+export const cleanUpDeletedPosts = async (posts) => {
+    if (posts.length === 0) return;
+
+    await Promise.all([
+        // Hashtags lose the posts' usage
+        ...posts.map(post => syncPostHashtags(post._id, post.hashtags || [], [])),
+        // Per-post insight rollups
+        Insight.deleteMany({ postId: { $in: posts.map(post => post._id) } })
+    ]);
+};
+
+/**
+ * Delete every post matching a filter and clean up after them
+ * @param {Object} filter - Post filter
+ * @returns {Promise<Object>} - deleteMany result
+ */
+export const deletePosts = async (filter) => {
+    const posts = await Post.find(filter).select("_id hashtags").lean();
+    if (posts.length === 0) return { acknowledged: true, deletedCount: 0 };
+
+    const result = await Post.deleteMany({ _id: { $in: posts.map(post => post._id) } });
+    await cleanUpDeletedPosts(posts);
+    return result;
+};
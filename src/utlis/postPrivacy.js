@@ -3,6 +3,29 @@
  * Handles post visibility based on account privacy and individual post privacy settings
  */
 
+import mongoose from 'mongoose';
+
+// Post statuses that only the author may see
+export const UNPUBLISHED_POST_STATUSES = ['scheduled', 'draft'];
+
+/**
+ * Builds a Post query condition that hides unpublished posts from everyone except their author
+ * Posts without a status predate the field and are treated as published.
+ * @param {string|ObjectId} viewerId - Current user ID (null for anonymous)
+ * @returns {Object} - Condition to combine with a Post query (use inside $and when the query has its own $or)
+ */
+export const publishedPostsFilter = (viewerId) => {
+    const isPublished = { status: { $nin: UNPUBLISHED_POST_STATUSES } };
+    if (!viewerId) return isPublished;
+
+    return {
+        $or: [
+            isPublished,
+            { userId: new mongoose.Types.ObjectId(viewerId.toString()) }
+        ]
+    };
+};
+
 /**
  * Determines who can view a post based on account privacy and post privacy
  * @param {Object} post - Post object with settings.privacy field
@@ -20,6 +43,11 @@ export const canViewPost = (post, postOwner, viewer, viewerFollowing = [], viewe
         return true;
     }
 
+    // Scheduled posts and drafts stay hidden until they are published
+    if (UNPUBLISHED_POST_STATUSES.includes(post.status)) {
+        return false;
+    }
+
     // FULL PRIVATE MODE: Overrides all other privacy settings
     if (postOwner.isFullPrivate) {
         if (!viewer) return false; // Anonymous users cannot see any posts
@@ -0,0 +1,90 @@
+/**
+ * Scheduled Post Publisher
+ * Publishes posts whose scheduledAt has passed. Every PM2 worker starts the interval,
+ * but the job lock lets only one of them publish at a time.
+ */
+
+import Post from "../models/userPost.models.js";
+import Follower from "../models/follower.models.js";
+import { runWithJobLock } from "./jobLock.utils.js";
+import { invalidatePostCaches } from "../controllers/post.controllers.js";
+import { createNewPostNotifications } from "../controllers/notification.controllers.js";
+
+const PUBLISH_INTERVAL_SECONDS = parseInt(process.env.SCHEDULED_POST_INTERVAL_SECONDS) || 60;
+const LOCK_TTL_MS = 5 * 60 * 1000; // Longer than a run should take; frees the lock if a worker dies mid-run
+const BATCH_SIZE = 50;
+
+const notifyFollowers = async (post) => {
+    const followers = await Follower.find({ userId: post.userId }).select('followerId').lean();
+
+    await createNewPostNotifications({
+        recipientIds: followers.map(follower => follower.followerId),
+        sourceUserId: post.userId,
+        postId: post._id
+    });
+};
+
+const publishPost = async (postId, now) => {
+    // Only publish if the post is still scheduled and due (it may have been rescheduled or deleted meanwhile)
+    const post = await Post.findOneAndUpdate(
+        { _id: postId, status: 'scheduled', scheduledAt: { $lte: now } },
+        // Feeds order by createdAt, so a published post starts out as new content
+        { $set: { status: 'published', publishedAt: now, createdAt: now, updatedAt: now } },
+        { new: true }
+    );
+
+    if (!post) return false;
+
+    await invalidatePostCaches(post._id, post.userId);
+
+    try {
+        await notifyFollowers(post);
+    } catch (error) {
+        console.error(`❌ Failed to notify followers about scheduled post ${post._id}:`, error);
+    }
+
+    return true;
+};
+
+const publishDuePosts = async () => {
+    let published = 0;
+
+    while (true) {
+        const now = new Date();
+        const duePosts = await Post.find({ status: 'scheduled', scheduledAt: { $lte: now } })
+            .sort({ scheduledAt: 1 })
+            .limit(BATCH_SIZE)
+            .select('_id')
+            .lean();
+
+        let batchPublished = 0;
+        for (const { _id } of duePosts) {
+            try {
+                if (await publishPost(_id, now)) batchPublished++;
+            } catch (error) {
+                console.error(`❌ Failed to publish scheduled post ${_id}:`, error);
+            }
+        }
+        published += batchPublished;
+
+        // Stop when the backlog is drained, or when a whole batch keeps failing
+        if (duePosts.length < BATCH_SIZE || batchPublished === 0) break;
+    }
+
+    if (published > 0) {
+        console.log(`📅 Published ${published} scheduled posts`);
+    }
+};
+
+export const startScheduledPostPublisher = () => {
+    const run = async () => {
+        try {
+            await runWithJobLock('scheduled-post-publisher', LOCK_TTL_MS, publishDuePosts);
+        } catch (error) {
+            console.error('❌ Error during scheduled post publishing:', error);
+        }
+    };
+
+    run();
+    return setInterval(run, PUBLISH_INTERVAL_SECONDS * 1000);
+};
@@ -0,0 +1,170 @@
+/**
+ * Device Session Utility Functions
+ * Each login creates a Device row holding its own refresh token,
+ * so signing in on one device no longer ends the session on another.
+ */
+
+import jwt from "jsonwebtoken";
+import { v4 as uuidv4 } from "uuid";
+import Device from "../models/device.models.js";
+import { User } from "../models/user.models.js";
+import { invalidateAuthCache } from "../middlewares/auth.middleware.js";
+import { revokeAccessToken } from "./tokenRevocation.utils.js";
+
+const DEVICE_TYPES = ['web', 'android', 'ios', 'other'];
+
+const detectOS = (userAgent) => {
+    if (/android/i.test(userAgent)) return 'Android';
+    if (/iphone|ipad|ipod/i.test(userAgent)) return 'iOS';
+    if (/windows/i.test(userAgent)) return 'Windows';
+    if (/mac os x|macintosh/i.test(userAgent)) return 'macOS';
+    if (/linux/i.test(userAgent)) return 'Linux';
+    return undefined;
+};
+
+const detectBrowser = (userAgent) => {
+    if (/edg\//i.test(userAgent)) return 'Edge';
+    if (/opr\/|opera/i.test(userAgent)) return 'Opera';
+    if (/chrome\//i.test(userAgent)) return 'Chrome';
+    if (/firefox\//i.test(userAgent)) return 'Firefox';
+    if (/safari\//i.test(userAgent)) return 'Safari';
+    return undefined;
+};
+
+/**
+ * Build device details for a session from the request
+ * Clients may send deviceId/deviceType in the body or the X-Device-Id header;
+ * web clients get their deviceId back through the deviceId cookie.
+ * @param {Object} req - Express request
+ * @returns {Object} - { deviceId, deviceType, browser, os, ipAddress }
+ */
+export const getDeviceInfo = (req) => {
+    const userAgent = req.headers?.['user-agent'] || '';
+    const os = detectOS(userAgent);
+
+    let deviceType = req.body?.deviceType;
+    if (!DEVICE_TYPES.includes(deviceType)) {
+        if (os === 'Android') deviceType = 'android';
+        else if (os === 'iOS') deviceType = 'ios';
+        else if (detectBrowser(userAgent)) deviceType = 'web';
+        else deviceType = 'other';
+    }
+
+    return {
+        deviceId: req.body?.deviceId || req.headers?.['x-device-id'] || req.cookies?.deviceId || uuidv4(),
+        deviceType,
+        browser: detectBrowser(userAgent),
+        os,
+        ipAddress: req.ip
+    };
+};
+
+// jti/exp of the access token last issued to a device, so it can be revoked when the device is logged out
+const getAccessTokenClaims = (accessToken) => {
+    const { jti, exp } = jwt.decode(accessToken) || {};
+    return { accessTokenJti: jti, accessTokenExpiresAt: exp ? new Date(exp * 1000) : undefined };
+};
+
+const revokeDeviceAccessToken = (device) => revokeAccessToken(
+    device?.accessTokenJti,
+    device?.accessTokenExpiresAt ? Math.floor(device.accessTokenExpiresAt.getTime() / 1000) : undefined
+);
+
+/**
+ * Start (or restart) a session for a device and issue its token pair
+ * @param {Object} user - User document
+ * @param {Object} deviceInfo - Output of getDeviceInfo
+ * @returns {Object} - { accessToken, refreshToken, deviceId }
+ */
+export const createDeviceSession = async (user, deviceInfo) => {
+    const deviceId = String(deviceInfo.deviceId);
+    const accessToken = user.generateAccessToken(deviceId);
+    const refreshToken = user.generateRefreshToken(deviceId);
+
+    await Device.findOneAndUpdate(
+        { userId: user._id, deviceId },
+        {
+            $set: {
+                deviceType: deviceInfo.deviceType,
+                browser: deviceInfo.browser,
+                os: deviceInfo.os,
+                ipAddress: deviceInfo.ipAddress,
+                refreshToken,
+                ...getAccessTokenClaims(accessToken),
+                isLoggedIn: true,
+                lastUsedAt: new Date()
+            },
+            $unset: { loggedOutAt: 1 }
+        },
+        { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    return { accessToken, refreshToken, deviceId };
+};
+
+/**
+ * Rotate the token pair of a device session
+ * The swap only happens if the presented token is still the current one,
+ * so a refresh token can never be used twice.
+ * @returns {Object|null} - New { accessToken, refreshToken, deviceId }, or null if the token is not current
+ */
+export const rotateDeviceSession = async (user, deviceId, incomingRefreshToken, ipAddress) => {
+    const accessToken = user.generateAccessToken(deviceId);
+    const refreshToken = user.generateRefreshToken(deviceId);
+
+    const device = await Device.findOneAndUpdate(
+        { userId: user._id, deviceId, isLoggedIn: true, refreshToken: incomingRefreshToken },
+        { $set: { refreshToken, ...getAccessTokenClaims(accessToken), ipAddress, lastUsedAt: new Date() } }
+    );
+
+    if (!device) {
+        return null;
+    }
+
+    return { accessToken, refreshToken, deviceId };
+};
+
+/**
+ * Log a single device out and revoke its current access token
+ * @returns {boolean} - Whether an active session was found
+ */
+export const revokeDeviceSession = async (userId, deviceId) => {
+    const device = await Device.findOneAndUpdate(
+        { userId, deviceId, isLoggedIn: true },
+        {
+            $set: { isLoggedIn: false, loggedOutAt: new Date() },
+            $unset: { refreshToken: 1 }
+        }
+    );
+
+    if (!device) {
+        return false;
+    }
+
+    await revokeDeviceAccessToken(device);
+    return true;
+};
+
+/**
+ * Log a user out everywhere: every device session and its access token,
+ * the legacy single refresh token and the cached auth user used by verifyJWT
+ */
+export const revokeAllUserSessions = async (userId) => {
+    const devices = await Device.find({ userId, isLoggedIn: true })
+        .select('accessTokenJti accessTokenExpiresAt')
+        .lean();
+
+    await Promise.all([
+        ...devices.map(revokeDeviceAccessToken),
+        Device.updateMany(
+            { userId, isLoggedIn: true },
+            {
+                $set: { isLoggedIn: false, loggedOutAt: new Date() },
+                $unset: { refreshToken: 1 }
+            }
+        ),
+        User.findByIdAndUpdate(userId, { $unset: { refreshToken: 1 } })
+    ]);
+
+    await invalidateAuthCache(userId);
+};
@@ -0,0 +1,37 @@
+/**
+ * Story Archiver
+ * Stories expire 24h after upload (Story.expiresAt); this job marks expired stories as archived
+ * so they show up in the author's archive and can be added to highlights. Every PM2 worker
+ * starts the interval, but the job lock lets only one of them archive at a time.
+ */
+
+import Story from "../models/story.models.js";
+import { runWithJobLock } from "./jobLock.utils.js";
+
+const JOB_NAME = 'story-archiver';
+const ARCHIVE_INTERVAL_SECONDS = parseInt(process.env.STORY_ARCHIVE_INTERVAL_SECONDS) || 300;
+const LOCK_TTL_MS = 5 * 60 * 1000;
+
+const archiveExpiredStories = async () => {
+    const result = await Story.updateMany(
+        { isArchived: false, expiresAt: { $lte: new Date() } },
+        { $set: { isArchived: true } }
+    );
+
+    if (result.modifiedCount > 0) {
+        console.log(`🗃️ Archived ${result.modifiedCount} expired stories`);
+    }
+};
+
+export const startStoryArchiver = () => {
+    const run = async () => {
+        try {
+            await runWithJobLock(JOB_NAME, LOCK_TTL_MS, archiveExpiredStories);
+        } catch (error) {
+            console.error('❌ Error archiving expired stories:', error);
+        }
+    };
+
+    run();
+    return setInterval(run, ARCHIVE_INTERVAL_SECONDS * 1000);
+};
@@ -0,0 +1,62 @@
+/**
+ * Story Cleanup Utility Functions
+ * Data that only references a story is cleaned up when the story is deleted. This runs from the
+ * Story findOneAndDelete hook, so every delete path (own delete, content delete, reports,
+ * admin actions) gets it.
+ */
+
+import Story from "../models/story.models.js";
+import StoryHighlight from "../models/storyHighlight.models.js";
+import StoryStickerResponse from "../models/storyStickerResponse.models.js";
+import { deleteFromBunny } from "./bunny.js";
+
+/**
+ * Delete a highlight's cover from Bunny when it was uploaded for the highlight
+ * (covers taken from a story are owned by the story)
+ * @param {Object} highlight - Highlight with coverStoryId and coverImageUrl
+ */
+export const deleteUploadedHighlightCover = (highlight) => {
+    if (highlight.coverStoryId || !highlight.coverImageUrl) return;
+    deleteFromBunny(highlight.coverImageUrl).catch(error =>
+        console.error('⚠️ Failed to delete highlight cover from Bunny CDN:', error.message)
+    );
+};
+
+/**
+ * Drop a deleted story from every highlight; highlights left empty are deleted
+ * and highlights that used it as cover fall back to their first story
+ * @param {ObjectId} storyId - Deleted story
+ */
+export const removeStoryFromHighlights = async (storyId) => {
+    const highlights = await StoryHighlight.find({ stories: storyId });
+    if (highlights.length === 0) return;
+
+    for (const highlight of highlights) {
+        highlight.stories = highlight.stories.filter(id => id.toString() !== storyId.toString());
+
+        if (highlight.stories.length === 0) {
+            deleteUploadedHighlightCover(highlight);
+            await highlight.deleteOne();
+            continue;
+        }
+
+        if (highlight.coverStoryId?.toString() === storyId.toString()) {
+            const firstStory = await Story.findById(highlight.stories[0]).select("mediaUrl").lean();
+            highlight.coverStoryId = firstStory?._id || null;
+            highlight.coverImageUrl = firstStory?.mediaUrl;
+        }
+        await highlight.save();
+    }
+};
+
+/**
+ * Remove everything that references a deleted story
+ * @param {ObjectId} storyId - Deleted story
+ */
+export const cleanUpDeletedStory = async (storyId) => {
+    await Promise.all([
+        removeStoryFromHighlights(storyId),
+        // Sticker votes, answers and link taps
+        StoryStickerResponse.deleteMany({ storyId })
+    ]);
+};
@@ -0,0 +1,274 @@
+/**
+ * Story Sticker Utility Functions
+ * Stickers are drawn over a story: polls, question boxes, emoji sliders, links and mentions.
+ * They are sent with the story upload (JSON) and validated here; viewer responses live in
+ * StoryStickerResponse and are tallied for the author by buildStickerResults.
+ */
+
+import mongoose from "mongoose";
+import { ApiError } from "./ApiError.js";
+import { User } from "../models/user.models.js";
+import StoryStickerResponse from "../models/storyStickerResponse.models.js";
+
+export const STICKER_TYPES = ['poll', 'question', 'emoji_slider', 'link', 'mention'];
+// Stickers viewers can respond to, and the body field each one takes
+export const RESPONSE_FIELDS = {
+    poll: 'optionIndex',
+    emoji_slider: 'value',
+    question: 'answer'
+};
+
+export const MAX_STICKERS = 10;
+export const MAX_ANSWER_LENGTH = 300;
+const MAX_QUESTION_LENGTH = 100;
+const MAX_OPTION_LENGTH = 40;
+const MAX_LABEL_LENGTH = 40;
+const MAX_URL_LENGTH = 2048;
+const MAX_EMOJI_LENGTH = 16;
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 4;
+
+const optionalText = (value, field, maxLength) => {
+    if (value === undefined || value === null || value === "") return undefined;
+    if (typeof value !== "string") throw new ApiError(400, `${field} must be a string`);
+    const trimmed = value.trim();
+    if (trimmed.length > maxLength) throw new ApiError(400, `${field} can be at most ${maxLength} characters`);
+    return trimmed || undefined;
+};
+
+const requiredText = (value, field, maxLength) => {
+    const text = optionalText(value, field, maxLength);
+    if (!text) throw new ApiError(400, `${field} is required`);
+    return text;
+};
+
+const parsePosition = (position) => {
+    const { x, y, scale = 1, rotation = 0 } = position || {};
+    const isFraction = (n) => typeof n === "number" && n >= 0 && n <= 1;
+
+    if (!isFraction(x) || !isFraction(y)) {
+        throw new ApiError(400, "Sticker position x and y must be numbers between 0 and 1");
+    }
+    if (typeof scale !== "number" || scale <= 0 || scale > 5) {
+        throw new ApiError(400, "Sticker scale must be a number between 0 and 5");
+    }
+    if (typeof rotation !== "number" || !Number.isFinite(rotation)) {
+        throw new ApiError(400, "Sticker rotation must be a number");
+    }
+
+    return { x, y, scale, rotation: rotation % 360 };
+};
+
+const parseUrl = (value) => {
+    const url = requiredText(value, "Link url", MAX_URL_LENGTH);
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new ApiError(400, "Link url is not a valid URL");
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new ApiError(400, "Link url must start with http:// or https://");
+    }
+    return parsed.toString();
+};
+
+// Only the fields of the sticker's own type are kept
+const parseSticker = (sticker) => {
+    if (!sticker || typeof sticker !== "object" || !STICKER_TYPES.includes(sticker.type)) {
+        throw new ApiError(400, `Sticker type must be one of: ${STICKER_TYPES.join(', ')}`);
+    }
+
+    const parsed = { type: sticker.type, position: parsePosition(sticker.position) };
+
+    switch (sticker.type) {
+        case "poll": {
+            const { options } = sticker;
+            if (!Array.isArray(options) || options.length < MIN_POLL_OPTIONS || options.length > MAX_POLL_OPTIONS) {
+                throw new ApiError(400, `A poll needs ${MIN_POLL_OPTIONS} to ${MAX_POLL_OPTIONS} options`);
+            }
+            parsed.question = optionalText(sticker.question, "Poll question", MAX_QUESTION_LENGTH);
+            parsed.options = options.map(option => requiredText(option, "Poll option", MAX_OPTION_LENGTH));
+            break;
+        }
+        case "question":
+            parsed.question = requiredText(sticker.question, "Question prompt", MAX_QUESTION_LENGTH);
+            break;
+        case "emoji_slider":
+            parsed.question = optionalText(sticker.question, "Slider question", MAX_QUESTION_LENGTH);
+            parsed.emoji = requiredText(sticker.emoji, "Slider emoji", MAX_EMOJI_LENGTH);
+            break;
+        case "link":
+            parsed.url = parseUrl(sticker.url);
+            parsed.label = optionalText(sticker.label, "Link label", MAX_LABEL_LENGTH);
+            break;
+        case "mention":
+            if (!mongoose.Types.ObjectId.isValid(sticker.mentionedUserId)) {
+                throw new ApiError(400, "Invalid mentioned user ID");
+            }
+            parsed.mentionedUserId = String(sticker.mentionedUserId);
+            break;
+    }
+
+    return parsed;
+};
+
+/**
+ * Validate the stickers of a story upload
+ * @param {Array|string} rawStickers - Array (JSON body) or JSON string (multipart upload)
+ * @returns {Promise<Array<Object>|undefined>} - Sanitized stickers, undefined when none were sent
+ */
+export const parseStickers = async (rawStickers) => {
+    if (rawStickers === undefined || rawStickers === null || rawStickers === "") return undefined;
+
+    let stickers = rawStickers;
+    if (typeof stickers === "string") {
+        try {
+            stickers = JSON.parse(stickers);
+        } catch {
+            throw new ApiError(400, "stickers must be a JSON array");
+        }
+    }
+
+    if (!Array.isArray(stickers)) throw new ApiError(400, "stickers must be an array");
+    if (stickers.length === 0) return undefined;
+    if (stickers.length > MAX_STICKERS) {
+        throw new ApiError(400, `A story can have at most ${MAX_STICKERS} stickers`);
+    }
+
+    const parsed = stickers.map(parseSticker);
+
+    // Mentioned users must exist
+    const mentionedIds = [...new Set(parsed.filter(s => s.type === "mention").map(s => s.mentionedUserId))];
+    if (mentionedIds.length > 0) {
+        const found = await User.countDocuments({ _id: { $in: mentionedIds } });
+        if (found !== mentionedIds.length) throw new ApiError(400, "Mentioned user not found");
+    }
+
+    return parsed;
+};
+
+/**
+ * Validate a viewer's response to a sticker
+ * @param {Object} sticker - Story sticker
+ * @param {Object} body - Request body ({ optionIndex } | { value } | { answer })
+ * @returns {Object} - Fields to store on the StoryStickerResponse
+ */
+export const parseStickerResponse = (sticker, body = {}) => {
+    switch (sticker.type) {
+        case "poll": {
+            const { optionIndex } = body;
+            if (!Number.isInteger(optionIndex) || optionIndex < 0 || optionIndex >= sticker.options.length) {
+                throw new ApiError(400, `optionIndex must be an integer between 0 and ${sticker.options.length - 1}`);
+            }
+            return { optionIndex };
+        }
+        case "emoji_slider": {
+            const { value } = body;
+            if (typeof value !== "number" || value < 0 || value > 100) {
+                throw new ApiError(400, "value must be a number between 0 and 100");
+            }
+            return { value: Math.round(value) };
+        }
+        case "question":
+            return { answer: requiredText(body.answer, "Answer", MAX_ANSWER_LENGTH) };
+        default:
+            throw new ApiError(400, "This sticker does not take responses");
+    }
+};
+
+/**
+ * Add the viewer's own response to each sticker (viewerResponse, null when not answered yet),
+ * so clients show a poll as voted instead of offering the vote again
+ * @param {Array<Object>} stories - Plain story objects with stickers
+ * @param {string|ObjectId} viewerId - Viewer (null for anonymous)
+ */
+export const attachViewerResponses = async (stories, viewerId) => {
+    const storiesWithStickers = stories.filter(story => story.stickers?.length > 0);
+    if (storiesWithStickers.length === 0) return;
+
+    const responses = viewerId
+        ? await StoryStickerResponse.find({
+            storyId: { $in: storiesWithStickers.map(story => story._id) },
+            userId: viewerId,
+            stickerType: { $in: Object.keys(RESPONSE_FIELDS) }
+        }).select('stickerId optionIndex value answer').lean()
+        : [];
+    const responsesBySticker = new Map(responses.map(response => [response.stickerId.toString(), response]));
+
+    storiesWithStickers.forEach(story => {
+        story.stickers.forEach(sticker => {
+            if (!RESPONSE_FIELDS[sticker.type]) return;
+            const response = responsesBySticker.get(sticker._id.toString());
+            const field = RESPONSE_FIELDS[sticker.type];
+            sticker.viewerResponse = response ? { [field]: response[field] } : null;
+        });
+    });
+};
+
+/**
+ * Per-sticker results of a story for its author
+ * @param {Array<Object>} stickers - Story stickers
+ * @param {Array<Object>} tallies - { _id: { stickerId, optionIndex }, count, valueSum, taps } groups of StoryStickerResponse
+ * @param {Map<string, Array>} answersBySticker - Latest answers of each question sticker
+ * @returns {Array<Object>}
+ */
+export const buildStickerResults = (stickers = [], tallies = [], answersBySticker = new Map()) => {
+    const talliesBySticker = new Map();
+    tallies.forEach(tally => {
+        const stickerId = tally._id.stickerId.toString();
+        if (!talliesBySticker.has(stickerId)) talliesBySticker.set(stickerId, []);
+        talliesBySticker.get(stickerId).push(tally);
+    });
+
+    return stickers.map(sticker => {
+        const stickerId = sticker._id.toString();
+        const stickerTallies = talliesBySticker.get(stickerId) || [];
+        const responseCount = stickerTallies.reduce((sum, tally) => sum + tally.count, 0);
+        const result = { stickerId: sticker._id, type: sticker.type };
+
+        switch (sticker.type) {
+            case "poll":
+                return {
+                    ...result,
+                    question: sticker.question,
+                    totalVotes: responseCount,
+                    options: sticker.options.map((text, index) => {
+                        const votes = stickerTallies.find(tally => tally._id.optionIndex === index)?.count || 0;
+                        return {
+                            text,
+                            votes,
+                            percentage: responseCount > 0 ? Math.round((votes / responseCount) * 100) : 0
+                        };
+                    })
+                };
+            case "emoji_slider": {
+                const valueSum = stickerTallies.reduce((sum, tally) => sum + (tally.valueSum || 0), 0);
+                return {
+                    ...result,
+                    question: sticker.question,
+                    emoji: sticker.emoji,
+                    responseCount,
+                    averageValue: responseCount > 0 ? Math.round(valueSum / responseCount) : null
+                };
+            }
+            case "question":
+                return {
+                    ...result,
+                    question: sticker.question,
+                    answerCount: responseCount,
+                    answers: answersBySticker.get(stickerId) || []
+                };
+            case "link":
+                return {
+                    ...result,
+                    url: sticker.url,
+                    label: sticker.label,
+                    taps: stickerTallies.reduce((sum, tally) => sum + (tally.taps || 0), 0),
+                    uniqueTaps: responseCount
+                };
+            default:
+                return { ...result, mentionedUserId: sticker.mentionedUserId };
+        }
+    });
+};
@@ -0,0 +1,42 @@
+/**
+ * Access Token Revocation Utility Functions
+ * Revoked access tokens are tracked by their jti in Redis until they would have expired anyway.
+ */
+
+import { redisClient, RedisKeys } from "../config/redis.config.js";
+
+/**
+ * Revoke an access token
+ * @param {string} jti - Token id (the jti claim)
+ * @param {number} exp - Token expiry as a unix timestamp in seconds (the exp claim)
+ */
+export const revokeAccessToken = async (jti, exp) => {
+    if (!jti) return;
+
+    // Keep the entry only for the token's remaining life; expired tokens are rejected by jwt.verify anyway
+    const ttl = exp ? exp - Math.floor(Date.now() / 1000) : 0;
+    if (ttl <= 0) return;
+
+    try {
+        await redisClient.setex(RedisKeys.tokenBlacklist(jti), ttl, '1');
+    } catch (error) {
+        console.error('Error revoking access token:', error);
+    }
+};
+
+/**
+ * Check whether an access token has been revoked
+ * Tokens issued before jti was added cannot be revoked individually and are treated as valid.
+ * @param {string} jti - Token id (the jti claim)
+ * @returns {boolean}
+ */
+export const isAccessTokenRevoked = async (jti) => {
+    if (!jti) return false;
+
+    try {
+        return (await redisClient.exists(RedisKeys.tokenBlacklist(jti))) === 1;
+    } catch (error) {
+        console.error('Error checking access token revocation:', error);
+        return false;
+    }
+};